@@ -0,0 +1,447 @@
+/**
+ * Animated GIF / APNG export for the XENFT SVG Generator
+ *
+ * Renders a card once per color cycle palette (and optionally several frames
+ * of its SVG animation per palette), rasterizes the frames on a canvas and
+ * encodes them in the browser. GIF frames are reduced to 256 colors with a
+ * median cut; APNG frames reuse the canvas's own PNG encoding.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const GIF_MAX_CODE = 4096;
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Concatenates byte arrays
+ * @param {Uint8Array[]} parts - Byte arrays
+ * @returns {Uint8Array} All bytes in order
+ */
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+/**
+ * Reduces an RGBA image to at most 256 colors (median cut on 5-bit color bins)
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Pixels, 4 bytes each; alpha is ignored
+ * @param {number} [maxColors] - Palette size limit
+ * @returns {Object} { palette: Uint8Array of RGB triples, indices: Uint8Array with one palette index per pixel }
+ */
+function quantizeColors(rgba, maxColors = 256) {
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    const pixelCount = rgba.length / 4;
+    const binOf = offset => ((rgba[offset] >> 3) << 10) | ((rgba[offset + 1] >> 3) << 5) | (rgba[offset + 2] >> 3);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const bin = binOf(i * 4);
+        counts[bin]++;
+        sums[bin * 3] += rgba[i * 4];
+        sums[bin * 3 + 1] += rgba[i * 4 + 1];
+        sums[bin * 3 + 2] += rgba[i * 4 + 2];
+    }
+
+    const used = [];
+    for (let bin = 0; bin < counts.length; bin++) {
+        if (counts[bin] > 0) used.push(bin);
+    }
+
+    // Split the most populated box along its widest channel until the palette is full
+    const channel = (bin, c) => (bin >> (10 - c * 5)) & 31;
+    const boxes = [{ bins: used, pixels: pixelCount }];
+    while (boxes.length < maxColors) {
+        let target = -1;
+        boxes.forEach((box, i) => {
+            if (box.bins.length > 1 && (target < 0 || box.pixels > boxes[target].pixels)) target = i;
+        });
+        if (target < 0) break;
+
+        const { bins, pixels } = boxes[target];
+        const ranges = [0, 1, 2].map(c => {
+            const values = bins.map(bin => channel(bin, c));
+            return Math.max(...values) - Math.min(...values);
+        });
+        const widest = ranges.indexOf(Math.max(...ranges));
+        bins.sort((a, b) => channel(a, widest) - channel(b, widest));
+
+        let cut = 0;
+        let below = 0;
+        while (cut < bins.length - 1 && below + counts[bins[cut]] <= pixels / 2) {
+            below += counts[bins[cut++]];
+        }
+        if (cut === 0) {
+            below = counts[bins[0]];
+            cut = 1;
+        }
+        boxes.splice(target, 1, { bins: bins.slice(0, cut), pixels: below }, { bins: bins.slice(cut), pixels: pixels - below });
+    }
+
+    const palette = new Uint8Array(boxes.length * 3);
+    const lookup = new Uint8Array(32768);
+    boxes.forEach((box, index) => {
+        const total = [0, 0, 0];
+        box.bins.forEach(bin => {
+            lookup[bin] = index;
+            for (let c = 0; c < 3; c++) total[c] += sums[bin * 3 + c];
+        });
+        for (let c = 0; c < 3; c++) {
+            palette[index * 3 + c] = box.pixels > 0 ? Math.round(total[c] / box.pixels) : 0;
+        }
+    });
+
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        indices[i] = lookup[binOf(i * 4)];
+    }
+
+    return { palette, indices };
+}
+
+/**
+ * GIF variable-width LZW compression
+ * @param {Uint8Array} indices - Palette indices
+ * @param {number} minCodeSize - LZW minimum code size (2-8)
+ * @returns {Uint8Array} Compressed data, not yet split into sub-blocks
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = new Uint8Array(Math.ceil(indices.length * 1.5) + 16);
+    let length = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+
+    const write = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output[length++] = bitBuffer & 0xFF;
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        write(prefix);
+        if (nextCode < GIF_MAX_CODE) {
+            dictionary.set(key, nextCode++);
+            // The decoder adds its entries one code later, so widen once the next code no longer fits
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            write(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = indices[i];
+    }
+    write(prefix);
+    write(endCode);
+    if (bitCount > 0) {
+        output[length++] = bitBuffer & 0xFF;
+    }
+
+    return output.slice(0, length);
+}
+
+/**
+ * Creates an animated GIF encoder; frames are compressed as they are added
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} [options] - Encoder options
+ * @param {number} [options.loop] - Number of repeats, 0 for forever
+ * @returns {Object} { addFrame(rgba, delayMs), finish() } where finish returns the GIF bytes
+ */
+function createGIFEncoder(width, height, { loop = 0 } = {}) {
+    const u16 = value => [value & 0xFF, (value >> 8) & 0xFF];
+    const parts = [
+        Uint8Array.from([
+            ...'GIF89a'.split('').map(char => char.charCodeAt(0)),
+            ...u16(width), ...u16(height), 0, 0, 0,
+            // NETSCAPE2.0 extension: repeat count
+            0x21, 0xFF, 0x0B, ...'NETSCAPE2.0'.split('').map(char => char.charCodeAt(0)), 0x03, 0x01, ...u16(loop), 0x00
+        ])
+    ];
+
+    return {
+        addFrame(rgba, delayMs) {
+            if (rgba.length !== width * height * 4) {
+                throw new Error(`Frame is not ${width}x${height}`);
+            }
+
+            const { palette, indices } = quantizeColors(rgba);
+            const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+            const colorTable = new Uint8Array(3 << tableBits);
+            colorTable.set(palette);
+
+            // GIF delays are in hundredths of a second; most viewers treat less than 2 as 10
+            const delay = Math.max(2, Math.round(delayMs / 10));
+            parts.push(Uint8Array.from([
+                0x21, 0xF9, 0x04, 0x04, ...u16(delay), 0x00, 0x00,
+                0x2C, 0, 0, 0, 0, ...u16(width), ...u16(height), 0x80 | (tableBits - 1)
+            ]), colorTable);
+
+            const minCodeSize = Math.max(2, tableBits);
+            const data = lzwEncode(indices, minCodeSize);
+            const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 2);
+            let offset = 0;
+            blocks[offset++] = minCodeSize;
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.subarray(i, i + 255);
+                blocks[offset++] = block.length;
+                blocks.set(block, offset);
+                offset += block.length;
+            }
+            blocks[offset++] = 0x00;
+            parts.push(blocks.subarray(0, offset));
+        },
+
+        finish() {
+            return concatBytes([...parts, Uint8Array.of(0x3B)]);
+        }
+    };
+}
+
+/**
+ * Splits a PNG file into its chunks
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Object[]} { type, data } for each chunk
+ */
+function readPngChunks(bytes) {
+    if (bytes.length < 8 || PNG_SIGNATURE.some((byte, i) => bytes[i] !== byte)) {
+        throw new Error("Frame is not a PNG image");
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+/**
+ * Serializes a PNG chunk with its length and CRC
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk bytes
+ */
+function writePngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Creates an APNG encoder that assembles same-sized PNG frames
+ * @param {Object} [options] - Encoder options
+ * @param {number} [options.loop] - Number of plays, 0 for forever
+ * @returns {Object} { addFrame(pngBytes, delayMs), finish() } where finish returns the APNG bytes
+ */
+function createAPNGEncoder({ loop = 0 } = {}) {
+    const frames = [];
+    let header = null;
+
+    return {
+        addFrame(pngBytes, delayMs) {
+            const chunks = readPngChunks(pngBytes);
+            const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+            if (!ihdr || !chunks.some(chunk => chunk.type === 'IDAT')) {
+                throw new Error("Frame PNG has no image data");
+            }
+            if (!header) {
+                header = chunks;
+            } else if (ihdr.data.some((byte, i) => byte !== header[0].data[i])) {
+                throw new Error("All frames must have the same size and PNG format");
+            }
+            frames.push({ chunks, delayMs });
+        },
+
+        finish() {
+            if (frames.length === 0) {
+                throw new Error("No frames to encode");
+            }
+
+            const ihdr = header.find(chunk => chunk.type === 'IHDR').data;
+            const u32 = (...values) => {
+                const bytes = new Uint8Array(values.length * 4);
+                values.forEach((value, i) => new DataView(bytes.buffer).setUint32(i * 4, value));
+                return bytes;
+            };
+
+            // Ancillary chunks of the first frame (color space, density) apply to the whole animation
+            const ancillary = header.filter(chunk => !['IHDR', 'IDAT', 'IEND'].includes(chunk.type));
+            const parts = [
+                Uint8Array.from(PNG_SIGNATURE),
+                writePngChunk('IHDR', ihdr),
+                writePngChunk('acTL', u32(frames.length, loop)),
+                ...ancillary.map(chunk => writePngChunk(chunk.type, chunk.data))
+            ];
+
+            let sequence = 0;
+            frames.forEach(({ chunks, delayMs }, index) => {
+                const control = new Uint8Array(26);
+                const view = new DataView(control.buffer);
+                view.setUint32(0, sequence++);
+                view.setUint32(4, new DataView(ihdr.buffer, ihdr.byteOffset).getUint32(0));
+                view.setUint32(8, new DataView(ihdr.buffer, ihdr.byteOffset).getUint32(4));
+                view.setUint16(20, Math.min(65535, Math.max(1, Math.round(delayMs))));
+                view.setUint16(22, 1000);
+                parts.push(writePngChunk('fcTL', control));
+
+                // The first frame doubles as the still image; later frames go in numbered fdAT chunks
+                chunks.filter(chunk => chunk.type === 'IDAT').forEach(chunk => {
+                    parts.push(index === 0
+                        ? writePngChunk('IDAT', chunk.data)
+                        : writePngChunk('fdAT', concatBytes([u32(sequence++), chunk.data])));
+                });
+            });
+            parts.push(writePngChunk('IEND', new Uint8Array(0)));
+
+            return concatBytes(parts);
+        }
+    };
+}
+
+/**
+ * Lists the SVG frames of a color cycle animation, starting at the card's current palette
+ * @param {Object} xenftData - The XENFT data
+ * @param {Object} [renderOptions] - generateXENFTSVG options (template, asOf, palettes, ...)
+ * @param {Object} [options] - Frame options
+ * @param {number} [options.framesPerPalette] - 1 for a still card per palette, more to include the SVG animation
+ * @param {number} [options.frameDurationMs] - Time between frames, used to step the SVG animation
+ * @returns {Object[]} { svg, colorCycle, animationTime } for each frame
+ */
+function buildCycleFrames(xenftData, renderOptions = {}, { framesPerPalette = 1, frameDurationMs = 500 } = {}) {
+    const generateSVG = typeof generateXENFTSVG === 'function' ? generateXENFTSVG : require('./mintInfoDecoder').generateXENFTSVG;
+    const colorSchemeOf = typeof generateColorScheme === 'function' ? generateColorScheme : require('./mintInfoDecoder').generateColorScheme;
+
+    const { cycleNumber, cycleCount } = colorSchemeOf(renderOptions.asOf, renderOptions.palettes);
+    const frames = [];
+    for (let step = 0; step < cycleCount; step++) {
+        const colorCycle = (cycleNumber + step) % cycleCount;
+        for (let i = 0; i < framesPerPalette; i++) {
+            // Animation time runs on across palettes so rotations stay smooth
+            const animationTime = framesPerPalette > 1 ? (frames.length * frameDurationMs) / 1000 : undefined;
+            const options = { ...renderOptions, colorCycle, animated: false };
+            if (animationTime !== undefined) options.animationTime = animationTime;
+            frames.push({ svg: generateSVG(xenftData, options), colorCycle, animationTime });
+        }
+    }
+    return frames;
+}
+
+/**
+ * Renders a card through every palette and encodes it as an animated GIF or APNG
+ * @param {Object} xenftData - The XENFT data
+ * @param {Object} renderOptions - generateXENFTSVG options of the card
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format] - "gif" or "apng"
+ * @param {number} [options.size] - Width and height in pixels
+ * @param {number} [options.frameDurationMs] - How long each frame shows
+ * @param {number} [options.framesPerPalette] - Frames per palette; more than 1 includes the SVG animation
+ * @param {Function} [options.onProgress] - Called with (framesDone, frameCount)
+ * @returns {Promise<Blob>} The animated image
+ */
+async function exportCycleAnimation(xenftData, renderOptions, { format = 'gif', size = 400, frameDurationMs = 500, framesPerPalette = 1, onProgress } = {}) {
+    if (!['gif', 'apng'].includes(format)) {
+        throw new Error(`Unknown animation format: ${format}`);
+    }
+    if (!Number.isInteger(size) || size < 16 || size > 2048) {
+        throw new Error("Size must be between 16 and 2048 pixels");
+    }
+    if (!(frameDurationMs >= 20)) {
+        throw new Error("Frame duration must be at least 20 ms");
+    }
+
+    const frames = buildCycleFrames(xenftData, renderOptions, { framesPerPalette, frameDurationMs });
+    const encoder = format === 'gif' ? createGIFEncoder(size, size) : createAPNGEncoder();
+
+    for (let i = 0; i < frames.length; i++) {
+        // Frames go through the raster export pipeline (rasterExport.js)
+        const canvas = await rasterizeSVG(frames[i].svg, { width: size, height: size });
+        if (format === 'gif') {
+            let pixels;
+            try {
+                pixels = canvas.getContext('2d').getImageData(0, 0, size, size).data;
+            } catch (error) {
+                throw new Error("The canvas was tainted by external content in the SVG, so the browser blocked the export");
+            }
+            encoder.addFrame(pixels, frameDurationMs);
+        } else {
+            const blob = await canvasToBlob(canvas, 'image/png');
+            encoder.addFrame(new Uint8Array(await blob.arrayBuffer()), frameDurationMs);
+        }
+        if (onProgress) onProgress(i + 1, frames.length);
+    }
+
+    return new Blob([encoder.finish()], { type: format === 'gif' ? 'image/gif' : 'image/apng' });
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.buildCycleFrames = buildCycleFrames;
+    window.exportCycleAnimation = exportCycleAnimation;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        crc32,
+        quantizeColors,
+        lzwEncode,
+        createGIFEncoder,
+        createAPNGEncoder,
+        buildCycleFrames
+    };
+}
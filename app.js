@@ -1,8 +1,14 @@
-// Constants
-const XENFT_ADDRESS = "0x379002701BF6f2862e3dFdd1f96d3C5E1BF450B6"; // XENTorrent contract
-const XEN_CRYPTO_ADDRESS = "0xffcbF84650cE02DaFE96926B37a0ac5E34932fa5"; // cbXEN contract on Base
-const BASE_CHAIN_ID = "0x2105"; // Base mainnet (8453 in hex)
-const RPC_URL = "https://base-mainnet.g.alchemy.com/v2/8dASJbrbZeVybFKSf3HWqgLu3uFhskOL";
+// Constants (contract addresses, chain IDs and public RPCs of each chain are in chains.js)
+const BUILT_IN_RPC_URLS = { // Tried before the public RPCs unless switched off in the RPC settings
+    base: "https://base-mainnet.g.alchemy.com/v2/8dASJbrbZeVybFKSf3HWqgLu3uFhskOL"
+};
+const DEMO_FIXTURE_URL = "fixtures/demo.json"; // Tokens served by the offline demo mode (see fixtureProvider.js)
+const ETHERS_SOURCES = [ // Tried in order; demo mode tries the local copy first, which only exists after npm install
+    "https://unpkg.com/ethers@5.7.2/dist/ethers.umd.min.js",
+    "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.umd.min.js",
+    "https://cdn.skypack.dev/ethers@5.7.2",
+    "node_modules/ethers/dist/ethers.umd.min.js"
+];
 
 // ABIs (minimal necessary functions)
 const XENFT_ABI = [
@@ -15,10 +21,12 @@ const XENFT_ABI = [
 ];
 
 const XEN_CRYPTO_ABI = [
+    "function globalRank() view returns (uint256)",
     "function userMints(address user) view returns (address user, uint256 term, uint256 maturityTs, uint256 rank, uint256 amplifier, uint256 eaaRate)"
 ];
 
 // State variables
+let selectedChain = getChain(localStorage.getItem('xenftChain')) || getChain(DEFAULT_CHAIN_KEY); // Chain the contracts are read on
 let provider = null;
 let xenftContract = null;
 let xenCryptoContract = null;
@@ -27,10 +35,35 @@ let ownedTokens = [];
 let currentTokenId = null;
 let web3Provider = null;
 let ethers = null;
+let demoFixture = null; // Fixture the demo mode reads from, null when reading a chain
+let currentXenftData = null;
+let asOfTimestamp = null; // Preview date in milliseconds, null means "now"
+let selectedTemplate = localStorage.getItem('xenftTemplate') || 'classic';
+let currentOnChainMetadata = null;
+let globalRankValue = localStorage.getItem(getChainStorageKey('xenftGlobalRank')) || null; // Last fetched or entered XEN global rank
+let showRewardOnSvg = localStorage.getItem('xenftShowReward') === 'true';
+let animateSvg = localStorage.getItem('xenftAnimated') === 'true'; // Embed the animation in previews and downloads
+let rasterOptions = loadRasterOptions(); // Format, scale and background of image downloads
+let rpcSettings = loadRpcSettings(); // User-supplied endpoints per chain, and whether the built-in ones are used
+let currentRoute = parseRoute(window.location.hash); // Shareable state, mirrored in the URL hash (see router.js)
+let xenftDataCache = new Map(); // tokenId -> xenftData, filled by batched reads of the owned tokens
+let portfolioSort = { key: 'tokenId', direction: 'asc' };
+let watchlist = loadWatchlist(); // Token IDs of the selected chain followed in the maturity calendar
 
 // DOM Elements
+const chainSelect = document.getElementById('chainSelect');
+const rpcUrlsInput = document.getElementById('rpcUrlsInput');
+const rpcBuiltInToggle = document.getElementById('rpcBuiltInToggle');
+const saveRpcSettingsBtn = document.getElementById('saveRpcSettingsBtn');
+const checkRpcHealthBtn = document.getElementById('checkRpcHealthBtn');
+const rpcSettingsStatus = document.getElementById('rpcSettingsStatus');
+const rpcEndpointList = document.getElementById('rpcEndpointList');
+const rpcStatus = document.getElementById('rpcStatus');
 const connectWalletBtn = document.getElementById('connectWalletBtn');
 const useRpcBtn = document.getElementById('useRpcBtn');
+const demoModeBtn = document.getElementById('demoModeBtn');
+const loadFixtureBtn = document.getElementById('loadFixtureBtn');
+const fixtureInput = document.getElementById('fixtureInput');
 const errorMessage = document.getElementById('errorMessage');
 const loadingMessage = document.getElementById('loadingMessage');
 const connectionContainer = document.getElementById('connectionContainer');
@@ -50,12 +83,62 @@ const vmuCount = document.getElementById('vmuCount');
 const termValue = document.getElementById('termValue');
 const burnedValue = document.getElementById('burnedValue');
 const typeValue = document.getElementById('typeValue');
+const rewardValue = document.getElementById('rewardValue');
+const globalRankInput = document.getElementById('globalRankInput');
+const showRewardToggle = document.getElementById('showRewardToggle');
+const animatedToggle = document.getElementById('animatedToggle');
+const cycleLabel = document.getElementById('cycleLabel');
 const cycleName = document.getElementById('cycleName');
 const daysUntilNextCycle = document.getElementById('daysUntilNextCycle');
 const primaryColor = document.getElementById('primaryColor');
 const secondaryColor = document.getElementById('secondaryColor');
 const tertiaryColor = document.getElementById('tertiaryColor');
 const backgroundColor = document.getElementById('backgroundColor');
+const asOfSlider = document.getElementById('asOfSlider');
+const asOfDate = document.getElementById('asOfDate');
+const asOfTodayBtn = document.getElementById('asOfTodayBtn');
+const asOfMaturityBtn = document.getElementById('asOfMaturityBtn');
+const themeEditorContainer = document.getElementById('themeEditorContainer');
+const templateSelect = document.getElementById('templateSelect');
+const onChainContainer = document.getElementById('onChainContainer');
+const onChainStatus = document.getElementById('onChainStatus');
+const onChainImage = document.getElementById('onChainImage');
+const generatedImage = document.getElementById('generatedImage');
+const attributeDiffTable = document.getElementById('attributeDiffTable');
+const vmuContainer = document.getElementById('vmuContainer');
+const loadVmuMintsBtn = document.getElementById('loadVmuMintsBtn');
+const vmuAddressInput = document.getElementById('vmuAddressInput');
+const lookupVmuAddressBtn = document.getElementById('lookupVmuAddressBtn');
+const vmuStatus = document.getElementById('vmuStatus');
+const vmuTable = document.getElementById('vmuTable');
+const ownerLookupContainer = document.getElementById('ownerLookupContainer');
+const ownerAddressInput = document.getElementById('ownerAddressInput');
+const lookupOwnerBtn = document.getElementById('lookupOwnerBtn');
+const ownerLookupStatus = document.getElementById('ownerLookupStatus');
+const portfolioView = document.getElementById('portfolioView');
+const portfolioStatus = document.getElementById('portfolioStatus');
+const portfolioSummary = document.getElementById('portfolioSummary');
+const portfolioTable = document.getElementById('portfolioTable');
+const exportPortfolioCsvBtn = document.getElementById('exportPortfolioCsvBtn');
+const calendarView = document.getElementById('calendarView');
+const calendarStatus = document.getElementById('calendarStatus');
+const calendarContainer = document.getElementById('calendarContainer');
+const exportIcsBtn = document.getElementById('exportIcsBtn');
+const watchTokenInput = document.getElementById('watchTokenInput');
+const addWatchBtn = document.getElementById('addWatchBtn');
+const watchTokenBtn = document.getElementById('watchTokenBtn');
+const rasterFormatSelect = document.getElementById('rasterFormatSelect');
+const rasterScaleSelect = document.getElementById('rasterScaleSelect');
+const rasterBackgroundSelect = document.getElementById('rasterBackgroundSelect');
+const rasterBackgroundColor = document.getElementById('rasterBackgroundColor');
+const downloadRasterBtn = document.getElementById('downloadRasterBtn');
+const rasterExportStatus = document.getElementById('rasterExportStatus');
+const cycleFormatSelect = document.getElementById('cycleFormatSelect');
+const cycleSizeSelect = document.getElementById('cycleSizeSelect');
+const cycleFrameDurationInput = document.getElementById('cycleFrameDurationInput');
+const cycleFramesSelect = document.getElementById('cycleFramesSelect');
+const exportCycleBtn = document.getElementById('exportCycleBtn');
+const cycleExportStatus = document.getElementById('cycleExportStatus');
 
 // Initialize Web3Modal for wallet connections
 async function initWeb3Modal() {
@@ -83,11 +166,8 @@ async function initWeb3Modal() {
             walletconnect: {
                 package: window.WalletConnectProvider.default,
                 options: {
-                    rpc: {
-                        8453: "https://mainnet.base.org"
-                    },
-                    network: "base",
-                    chainId: 8453
+                    rpc: Object.fromEntries(getChains().map(chain => [chain.chainId, chain.rpcUrls[0]])),
+                    chainId: selectedChain.chainId
                 }
             }
         };
@@ -107,15 +187,205 @@ async function initWeb3Modal() {
     }
 }
 
+// Get the palettes of the active color theme (defaults when themes.js is unavailable)
+function getColorPalettes() {
+    return typeof getActiveThemePalettes === 'function' ? getActiveThemePalettes() : undefined;
+}
+
+// Options shared by every render of the current card
+function getRenderOptions(xenftData) {
+    const rewardEstimate = showRewardOnSvg && xenftData ? getRewardEstimate(xenftData) : null;
+    return {
+        template: selectedTemplate,
+        asOf: getAsOfTimestamp(),
+        palettes: getColorPalettes(),
+        rewardEstimate: rewardEstimate || undefined,
+        animated: animateSvg
+    };
+}
+
+// Estimate the XEN reward of a token when claimed on the as-of date (null without a global rank)
+function getRewardEstimate(xenftData) {
+    if (!globalRankValue || typeof estimateXENReward !== 'function') return null;
+    
+    try {
+        return estimateXENReward(xenftData, {
+            globalRank: globalRankValue,
+            claimTs: Math.floor(getAsOfTimestamp() / 1000)
+        });
+    } catch (error) {
+        console.error("Error estimating XEN reward:", error);
+        return null;
+    }
+}
+
+// Show the reward estimate in the info section
+function updateRewardInfo(xenftData) {
+    if (!rewardValue) return;
+    
+    const estimate = getRewardEstimate(xenftData);
+    if (!estimate) {
+        rewardValue.textContent = 'enter a global rank';
+    } else if (estimate.redeemed) {
+        rewardValue.textContent = 'already claimed';
+    } else {
+        rewardValue.textContent = `${estimate.net.toLocaleString()} XEN` +
+            (estimate.isLate ? ` (${estimate.penaltyPct}% late penalty, ${estimate.gross.toLocaleString()} XEN gross)` : '');
+    }
+}
+
+// Set the XEN global rank used for estimates and refresh the card
+function setGlobalRank(value) {
+    globalRankValue = value ? String(value) : null;
+    if (globalRankValue) {
+        localStorage.setItem(getChainStorageKey('xenftGlobalRank'), globalRankValue);
+    } else {
+        localStorage.removeItem(getChainStorageKey('xenftGlobalRank'));
+    }
+    if (globalRankInput) globalRankInput.value = globalRankValue || '';
+    
+    if (currentXenftData) {
+        displayXENFT(currentXenftData);
+    }
+}
+
+// Fetch the current XEN global rank from the chain
+async function fetchGlobalRank() {
+    if (!xenCryptoContract) return;
+    
+    try {
+        const rank = await xenCryptoContract.globalRank();
+        setGlobalRank(rank.toString());
+    } catch (error) {
+        // Keep the stored or entered value; estimates work offline
+        console.error("Error fetching XEN global rank:", error);
+    }
+}
+
+// Get the name of the template the card is rendered with
+function getSelectedTemplate() {
+    return selectedTemplate;
+}
+
+// Switch the card template, remember it and re-render the current card
+// Templates opened from a link are not remembered, so a shared card doesn't change the visitor's default
+function setSelectedTemplate(templateName, { remember = true } = {}) {
+    if (!getSVGTemplates().some(template => template.name === templateName)) {
+        console.warn(`Unknown template "${templateName}", keeping "${selectedTemplate}"`);
+        return;
+    }
+    
+    selectedTemplate = templateName;
+    if (remember) localStorage.setItem('xenftTemplate', templateName);
+    if (templateSelect) templateSelect.value = templateName;
+    updateTokenRoute();
+    
+    if (currentXenftData) {
+        displayXENFT(currentXenftData);
+    }
+}
+
+// Fill the template selector with the registered templates
+function renderTemplateOptions() {
+    if (!templateSelect) return;
+    
+    const templates = getSVGTemplates();
+    if (!templates.some(template => template.name === selectedTemplate)) {
+        selectedTemplate = 'classic';
+    }
+    
+    templateSelect.innerHTML = '';
+    templates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.name;
+        option.textContent = template.label;
+        option.title = template.description;
+        templateSelect.appendChild(option);
+    });
+    templateSelect.value = selectedTemplate;
+}
+
 // Initialize color cycle info
 function updateColorCycleInfo() {
-    const colorScheme = generateColorScheme();
-    cycleName.textContent = `${colorScheme.cycleNumber + 1}/12`;
+    const colorScheme = generateColorScheme(getAsOfTimestamp(), getColorPalettes());
+    if (cycleLabel) {
+        cycleLabel.textContent = asOfTimestamp === null
+            ? 'Current Color Cycle'
+            : `Color Cycle on ${formatAsOfDate(asOfTimestamp)}`;
+    }
+    cycleName.textContent = `${colorScheme.cycleNumber + 1}/${colorScheme.cycleCount}`;
     daysUntilNextCycle.textContent = colorScheme.daysUntilNextCycle;
-    primaryColor.style.backgroundColor = colorScheme.primary;
-    secondaryColor.style.backgroundColor = colorScheme.secondary;
-    tertiaryColor.style.backgroundColor = colorScheme.tertiary;
-    backgroundColor.style.backgroundColor = colorScheme.background;
+    primaryColor.value = colorScheme.primary.toLowerCase();
+    secondaryColor.value = colorScheme.secondary.toLowerCase();
+    tertiaryColor.value = colorScheme.tertiary.toLowerCase();
+    backgroundColor.value = colorScheme.background.toLowerCase();
+    
+    // Highlight the displayed cycle in the theme editor
+    if (themeEditorContainer && typeof renderThemeEditor === 'function') {
+        renderThemeEditor(themeEditorContainer, {
+            currentCycle: colorScheme.cycleNumber,
+            onChange: handleThemeChange
+        });
+    }
+}
+
+// Refresh the header and the current card after the color theme changed
+function handleThemeChange() {
+    updateColorCycleInfo();
+    if (currentXenftData) {
+        displayXENFT(currentXenftData);
+    }
+}
+
+// Apply a header swatch edit to the displayed cycle's palette of the active theme
+function handleSwatchChange(event) {
+    try {
+        const key = event.target.dataset.colorKey;
+        const { cycleNumber } = generateColorScheme(getAsOfTimestamp(), getColorPalettes());
+        
+        // Editing the read-only Classic theme switches to an editable copy
+        const theme = ensureEditableActiveTheme();
+        const palettes = theme.palettes.slice();
+        palettes[cycleNumber] = { ...palettes[cycleNumber], [key]: event.target.value };
+        updateTheme(theme.id, { palettes });
+        
+        handleThemeChange();
+    } catch (error) {
+        console.error("Error updating color theme:", error);
+        showError("Failed to update the color theme: " + error.message);
+    }
+}
+
+// Get the timestamp (ms) the card and color cycle are rendered for
+function getAsOfTimestamp() {
+    return asOfTimestamp === null ? Date.now() : asOfTimestamp;
+}
+
+// Format a timestamp (ms) as YYYY-MM-DD in UTC, matching the SVG "Generated on" stamp
+function formatAsOfDate(timestamp) {
+    return new Date(timestamp).toISOString().split('T')[0];
+}
+
+// Set the preview date (null returns to live rendering) and refresh everything that depends on it
+function setAsOf(timestamp) {
+    asOfTimestamp = timestamp;
+    
+    // Keep the slider (days from today) and the date picker in sync
+    const shownTimestamp = getAsOfTimestamp();
+    if (asOfSlider) {
+        asOfSlider.value = Math.round((shownTimestamp - Date.now()) / 86400000);
+    }
+    if (asOfDate) {
+        asOfDate.value = formatAsOfDate(shownTimestamp);
+    }
+    
+    updateColorCycleInfo();
+    updateTokenRoute();
+    
+    // Re-render the current card for the new date
+    if (currentXenftData) {
+        displayXENFT(currentXenftData);
+    }
 }
 
 // Load scripts dynamically with improved error handling and timeout
@@ -153,27 +423,27 @@ function loadScript(src) {
 }
 
 // Load ethers.js dynamically only when needed
-async function loadEthers() {
+async function loadEthers({ preferLocal = false } = {}) {
     if (ethers) return ethers;
     
-    // Try a different CDN for ethers
-    try {
-        await loadScript('https://unpkg.com/ethers@5.7.2/dist/ethers.umd.min.js');
-        ethers = window.ethers;
-        return ethers;
-    } catch (error) {
-        console.error("Failed to load ethers from unpkg, trying jsDelivr...");
+    const local = ETHERS_SOURCES[ETHERS_SOURCES.length - 1];
+    const sources = preferLocal ? [local, ...ETHERS_SOURCES.filter(src => src !== local)] : ETHERS_SOURCES;
+    
+    // Try each source until one loads
+    let lastError = null;
+    for (const src of sources) {
         try {
-            await loadScript('https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.umd.min.js');
-            ethers = window.ethers;
-            return ethers;
-        } catch (error2) {
-            console.error("Failed to load ethers from jsDelivr, trying skypack...");
-            await loadScript('https://cdn.skypack.dev/ethers@5.7.2');
-            ethers = window.ethers;
-            return ethers;
+            await loadScript(src);
+            if (window.ethers) {
+                ethers = window.ethers;
+                return ethers;
+            }
+        } catch (error) {
+            console.error(`Failed to load ethers from ${src}, trying the next source...`);
+            lastError = error;
         }
     }
+    throw lastError || new Error("Failed to load ethers");
 }
 
 // Connect to wallet using Web3Modal
@@ -217,6 +487,11 @@ async function connectWallet() {
         
         web3Provider.on("chainChanged", (chainId) => {
             console.log("Chain changed:", chainId);
+            // Follow the wallet to any chain with a XENFT deployment
+            const chain = getChainById(chainId);
+            if (chain) {
+                localStorage.setItem('xenftChain', chain.key);
+            }
             // Handle chain change - refresh page is best practice
             window.location.reload();
         });
@@ -231,50 +506,13 @@ async function connectWallet() {
         provider = new ethers.providers.Web3Provider(web3Provider, "any");
         console.log("Ethers provider created");
         
-        // Check if we're on Base network
+        // Check if we're on the selected chain
         console.log("Checking network...");
         const network = await provider.getNetwork();
-        if (network.chainId !== 8453) {
-            // Try to switch to Base
-            try {
-                await web3Provider.request({
-                    method: 'wallet_switchEthereumChain',
-                    params: [{ chainId: BASE_CHAIN_ID }],
-                });
-                // Refresh provider after chain switch
-                provider = new ethers.providers.Web3Provider(web3Provider);
-            } catch (switchError) {
-                // This error code indicates that the chain has not been added to the wallet
-                if (switchError.code === 4902) {
-                    try {
-                        await web3Provider.request({
-                            method: 'wallet_addEthereumChain',
-                            params: [{
-                                chainId: BASE_CHAIN_ID,
-                                chainName: 'Base Mainnet',
-                                nativeCurrency: {
-                                    name: 'ETH',
-                                    symbol: 'ETH',
-                                    decimals: 18
-                                },
-                                rpcUrls: ['https://mainnet.base.org'],
-                                blockExplorerUrls: ['https://basescan.org']
-                            }]
-                        });
-                        // After adding, try switching again
-                        await web3Provider.request({
-                            method: 'wallet_switchEthereumChain',
-                            params: [{ chainId: BASE_CHAIN_ID }],
-                        });
-                        // Refresh provider after chain switch
-                        provider = new ethers.providers.Web3Provider(web3Provider);
-                    } catch (addError) {
-                        throw new Error("Failed to add Base network to wallet. Please add it manually.");
-                    }
-                } else {
-                    throw switchError;
-                }
-            }
+        if (network.chainId !== selectedChain.chainId) {
+            await switchWalletChain(selectedChain);
+            // Refresh provider after chain switch
+            provider = new ethers.providers.Web3Provider(web3Provider);
         }
         
         // Get account
@@ -297,6 +535,214 @@ async function connectWallet() {
     }
 }
 
+// Ask the wallet to switch to a chain, adding the chain to the wallet first if it doesn't know it
+async function switchWalletChain(chain) {
+    const chainId = toHexChainId(chain.chainId);
+    try {
+        await web3Provider.request({
+            method: 'wallet_switchEthereumChain',
+            params: [{ chainId }],
+        });
+    } catch (switchError) {
+        // This error code indicates that the chain has not been added to the wallet
+        if (switchError.code !== 4902) {
+            throw switchError;
+        }
+        try {
+            await web3Provider.request({
+                method: 'wallet_addEthereumChain',
+                params: [getAddChainParams(chain)]
+            });
+            // After adding, try switching again
+            await web3Provider.request({
+                method: 'wallet_switchEthereumChain',
+                params: [{ chainId }],
+            });
+        } catch (addError) {
+            throw new Error(`Failed to add ${chain.name} to wallet. Please add it manually.`);
+        }
+    }
+}
+
+// Storage key of a per-chain setting; Base keeps the key it used before other chains were supported
+function getChainStorageKey(key, chain = selectedChain) {
+    return chain.key === DEFAULT_CHAIN_KEY ? key : `${key}:${chain.key}`;
+}
+
+// Fill the chain picker from the registry
+function renderChainOptions() {
+    if (!chainSelect) return;
+    
+    chainSelect.innerHTML = '';
+    getChains().forEach(chain => {
+        const option = document.createElement('option');
+        option.value = chain.key;
+        option.textContent = chain.name;
+        chainSelect.appendChild(option);
+    });
+    chainSelect.value = selectedChain.key;
+}
+
+// Select the chain to read XENFTs on
+// A wallet session asks the wallet to switch (its chainChanged event reloads the page);
+// a view-only session reconnects to the new chain. Returns false when the page is about to reload or the switch failed.
+async function setSelectedChain(key) {
+    const chain = getChain(key);
+    if (!chain) return false;
+    if (chain === selectedChain) return true;
+    
+    if (web3Provider) {
+        try {
+            await switchWalletChain(chain);
+        } catch (error) {
+            console.error("Error switching chain:", error);
+            showError(error.message || `Failed to switch to ${chain.name}.`);
+            if (chainSelect) chainSelect.value = selectedChain.key;
+        }
+        return false;
+    }
+    
+    selectedChain = chain;
+    localStorage.setItem('xenftChain', chain.key);
+    if (chainSelect) chainSelect.value = chain.key;
+    updateRpcControls();
+    
+    // Token IDs, cached data and settings of the previous chain don't apply here
+    watchlist = loadWatchlist();
+    globalRankValue = localStorage.getItem(getChainStorageKey('xenftGlobalRank')) || null;
+    if (globalRankInput) globalRankInput.value = globalRankValue || '';
+    ownedTokens = [];
+    currentTokenId = null;
+    currentXenftData = null;
+    currentOnChainMetadata = null;
+    xenftDataCache = new Map();
+    renderOwnedTokens();
+    if (xenftCardContainer) xenftCardContainer.classList.add('hidden');
+    if (onChainContainer) onChainContainer.classList.add('hidden');
+    if (ownerLookupStatus) ownerLookupStatus.textContent = '';
+    resetVmuInspector();
+    
+    if (demoFixture) {
+        await connectToFixture(demoFixture);
+    } else if (provider) {
+        await connectToRPC();
+    }
+    return true;
+}
+
+// Load the RPC settings from local storage
+function loadRpcSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('xenftRpcSettings') || '{}');
+        return {
+            urls: stored.urls && typeof stored.urls === 'object' ? stored.urls : {},
+            useBuiltIn: stored.useBuiltIn !== false
+        };
+    } catch (error) {
+        console.error("Error loading the RPC settings:", error);
+        return { urls: {}, useBuiltIn: true };
+    }
+}
+
+// Endpoints of a chain, in the order they are tried: the user's, the built-in one, then the public RPCs
+function getRpcUrls(chain) {
+    const urls = [
+        ...(rpcSettings.urls[chain.key] || []),
+        ...(rpcSettings.useBuiltIn && BUILT_IN_RPC_URLS[chain.key] ? [BUILT_IN_RPC_URLS[chain.key]] : []),
+        ...chain.rpcUrls
+    ];
+    return [...new Set(urls)];
+}
+
+// Show the selected chain's RPC settings in the controls
+function updateRpcControls() {
+    if (!rpcUrlsInput) return;
+    
+    rpcUrlsInput.value = (rpcSettings.urls[selectedChain.key] || []).join('\n');
+    rpcBuiltInToggle.checked = rpcSettings.useBuiltIn;
+    rpcBuiltInToggle.disabled = !BUILT_IN_RPC_URLS[selectedChain.key];
+    rpcSettingsStatus.textContent = '';
+    renderRpcStatus();
+}
+
+// Persist the RPC settings; a view-only session reconnects through the new endpoints
+async function saveRpcSettings() {
+    const { urls, invalid } = parseRpcUrls(rpcUrlsInput.value);
+    if (invalid.length > 0) {
+        rpcSettingsStatus.textContent = `Not a valid http(s) URL: ${invalid.join(', ')}`;
+        return;
+    }
+    
+    rpcSettings.urls[selectedChain.key] = urls;
+    rpcSettings.useBuiltIn = rpcBuiltInToggle.checked;
+    localStorage.setItem('xenftRpcSettings', JSON.stringify(rpcSettings));
+    rpcSettingsStatus.textContent = `Saved ${getRpcUrls(selectedChain).length} endpoints for ${selectedChain.name}`;
+    
+    if (provider && !web3Provider && !demoFixture) {
+        await connectToRPC();
+    } else {
+        renderRpcStatus();
+    }
+}
+
+// Probe the endpoints of the current session
+async function checkRpcHealth() {
+    if (!provider || !provider.checkHealth) {
+        rpcSettingsStatus.textContent = web3Provider ? 'Reads go through your wallet'
+            : (demoFixture ? 'Demo mode reads from a local fixture' : 'Connect with the public RPC to check the endpoints');
+        return;
+    }
+    
+    checkRpcHealthBtn.disabled = true;
+    rpcSettingsStatus.textContent = 'Checking endpoints...';
+    try {
+        const endpoints = await provider.checkHealth();
+        const healthy = endpoints.filter(endpoint => endpoint.healthy).length;
+        rpcSettingsStatus.textContent = `${healthy} of ${endpoints.length} endpoints are healthy`;
+    } finally {
+        checkRpcHealthBtn.disabled = false;
+    }
+}
+
+// Show which endpoint answered last, and the state of every endpoint
+function renderRpcStatus() {
+    if (!rpcStatus) return;
+    
+    const endpoints = provider && provider.endpoints;
+    if (web3Provider) {
+        rpcStatus.textContent = 'Reading through your wallet';
+    } else if (demoFixture) {
+        rpcStatus.textContent = `Demo mode: ${provider.fixture.tokens.size} tokens from a local fixture, no network`;
+    } else if (endpoints) {
+        const last = provider.lastEndpoint;
+        rpcStatus.textContent = last ? `Reading from ${last.label} (${last.latencyMs} ms)` : `Connecting to ${endpoints[0].label}...`;
+    } else {
+        rpcStatus.textContent = '';
+    }
+    
+    rpcEndpointList.innerHTML = '';
+    (endpoints || getRpcUrls(selectedChain).map(url => ({ label: getEndpointLabel(url), healthy: null }))).forEach(endpoint => {
+        const coolingDown = endpoint.cooldownUntil > Date.now();
+        let state = 'not checked';
+        if (endpoint.healthy === false) {
+            state = `down${endpoint.lastError ? `: ${endpoint.lastError}` : ''}`;
+        } else if (coolingDown) {
+            state = `backing off${endpoint.lastError ? ` after ${endpoint.lastError}` : ''}`;
+        } else if (endpoint.healthy) {
+            state = `${endpoint.latencyMs} ms · block ${endpoint.blockNumber}`;
+        }
+        
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = endpoint.label;
+        const status = document.createElement('span');
+        status.textContent = state;
+        status.className = endpoint.healthy === false || coolingDown ? 'unhealthy' : (endpoint.healthy ? 'healthy' : '');
+        item.append(label, status);
+        rpcEndpointList.appendChild(item);
+    });
+}
+
 // Connect to public RPC (view only)
 async function connectToRPC() {
     try {
@@ -306,8 +752,13 @@ async function connectToRPC() {
         // Load ethers.js dynamically
         await loadEthers();
         
-        // Connect to Base using public RPC
-        provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+        // Connect to the selected chain through the configured endpoints, falling back from one to the next
+        if (provider && provider.stopHealthChecks) provider.stopHealthChecks();
+        provider = createRpcProvider(ethers, getRpcUrls(selectedChain), {
+            network: { name: selectedChain.key, chainId: selectedChain.chainId },
+            onStatus: renderRpcStatus
+        });
+        provider.startHealthChecks();
         
         // Initialize contracts
         initializeContracts();
@@ -322,40 +773,163 @@ async function connectToRPC() {
     }
 }
 
+// Demo mode: read from a local fixture instead of a chain, with no network at all
+// The fixture's owner stands in for a connected account
+async function connectToFixture(fixture) {
+    try {
+        showLoading(true);
+        hideError();
+    
+        await loadEthers({ preferLocal: true });
+    
+        if (provider && provider.stopHealthChecks) provider.stopHealthChecks();
+        provider = createFixtureProvider(ethers, fixture, {
+            network: { name: selectedChain.key, chainId: selectedChain.chainId },
+            xenftAddress: selectedChain.xenftAddress
+        });
+        demoFixture = fixture;
+        account = provider.fixture.owner;
+    
+        initializeContracts();
+        updateUIOnConnect(Boolean(account));
+        await fetchOwnedTokens();
+    } catch (error) {
+        console.error("Error loading fixture:", error);
+        showError("Failed to start demo mode: " + (error.message || "Unknown error"));
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Start demo mode with the bundled fixture
+async function startDemoMode() {
+    let fixture;
+    try {
+        const response = await fetch(DEMO_FIXTURE_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        fixture = await response.json();
+    } catch (error) {
+        console.error("Error fetching the demo fixture:", error);
+        // Browsers don't fetch files from file:// pages; a custom fixture can still be loaded
+        showError(`Could not load ${DEMO_FIXTURE_URL} (${error.message}). Serve the app over http, or load a fixture file instead.`);
+        return;
+    }
+    
+    await connectToFixture(fixture);
+}
+
 // Initialize contract instances
 function initializeContracts() {
     if (!ethers || !provider) return;
     
-    xenftContract = new ethers.Contract(XENFT_ADDRESS, XENFT_ABI, provider);
-    xenCryptoContract = new ethers.Contract(XEN_CRYPTO_ADDRESS, XEN_CRYPTO_ABI, provider);
+    xenftContract = new ethers.Contract(selectedChain.xenftAddress, XENFT_ABI, provider);
+    xenCryptoContract = new ethers.Contract(selectedChain.xen.address, XEN_CRYPTO_ABI, provider);
+    
+    // Global rank for reward estimates (non-blocking)
+    fetchGlobalRank();
 }
 
-// Fetch tokens owned by the connected address
-async function fetchOwnedTokens() {
-    if (!account || !xenftContract) return;
+// Fetch tokens owned by an address (the connected account by default)
+// ownedTokens() lists msg.sender's tokens, so the owner is passed as the call's `from`
+// Failures are shown in the error message; returns whether the tokens were read
+async function fetchOwnedTokens(owner = account) {
+    if (!owner || !xenftContract) return;
     
     try {
-        const signer = provider.getSigner(account);
-        const connectedContract = xenftContract.connect(signer);
-        
-        const tokens = await connectedContract.ownedTokens();
+        const tokens = await xenftContract.ownedTokens({ from: owner });
         ownedTokens = tokens.map(t => Number(t));
         
         // Update UI
         tokenCount.textContent = ownedTokens.length;
         ownedTokensCount.classList.toggle('hidden', ownedTokens.length === 0);
         
+        // Load every owned token's data in a few batched requests
+        await prefetchXenftData(ownedTokens);
+        
         // Render token badges
         renderOwnedTokens();
         
-        // Set the first token as current if available
-        if (ownedTokens.length > 0) {
+        // Set the first token as current if available, unless a linked card is on display
+        if (ownedTokens.length > 0 && currentRoute.view !== 'token') {
             currentTokenId = ownedTokens[0];
-            fetchAndRenderXenft(currentTokenId);
+            fetchAndRenderXenft(currentTokenId, { useCache: true });
+        }
+        
+        // Keep an open dashboard in sync with the new token list
+        if (portfolioView && !portfolioView.classList.contains('hidden')) {
+            renderPortfolio();
         }
+        return true;
     } catch (error) {
         console.error("Error fetching owned tokens:", error);
-        showError("Failed to fetch your XENFTs. Please try again.");
+        showError(owner === account
+            ? "Failed to fetch your XENFTs. Please try again."
+            : `Failed to fetch the XENFTs of ${owner}. Please try again.`);
+        return false;
+    }
+}
+
+// Resolve an address or ENS name to a checksummed address
+async function resolveOwnerAddress(input) {
+    if (ethers.utils.isAddress(input)) {
+        return ethers.utils.getAddress(input);
+    }
+    
+    if (!input.includes('.')) {
+        throw new Error("Enter a valid address or ENS name");
+    }
+    
+    // Demo mode never touches the network
+    if (demoFixture) {
+        throw new Error("ENS names can't be resolved in demo mode. Enter an address instead.");
+    }
+    
+    // ENS lives on Ethereum mainnet, whichever chain the XENFTs are on; it's read through Ethereum's configured endpoints
+    const ethereum = getChain('ethereum');
+    const ensProvider = createRpcProvider(ethers, getRpcUrls(ethereum), {
+        network: ethers.providers.getNetwork(ethereum.chainId)
+    });
+    const address = await ensProvider.resolveName(input);
+    if (!address) {
+        throw new Error(`${input} does not resolve to an address`);
+    }
+    return address;
+}
+
+// Look up the XENFTs of any address (view-only mode)
+async function handleLookupOwner() {
+    if (!xenftContract || !ethers) return;
+    
+    const input = ownerAddressInput.value.trim();
+    if (!input) return;
+    
+    hideError();
+    lookupOwnerBtn.disabled = true;
+    ownerLookupStatus.textContent = `Looking up ${input}...`;
+    
+    try {
+        const owner = await resolveOwnerAddress(input);
+        ownerLookupStatus.textContent = `Loading XENFTs of ${owner}...`;
+        setRoute({ view: 'address', chain: selectedChain.key, address: input });
+        
+        // Start from a clean slate so the previous owner's tokens don't linger
+        ownedTokens = [];
+        currentTokenId = null;
+        renderOwnedTokens();
+        
+        const label = owner.toLowerCase() === input.toLowerCase() ? owner : `${input} (${owner})`;
+        if (!await fetchOwnedTokens(owner)) {
+            ownerLookupStatus.textContent = `Failed to load the XENFTs of ${label}`;
+            return;
+        }
+        ownerLookupStatus.textContent = `${label} owns ${ownedTokens.length} XENFT${ownedTokens.length === 1 ? '' : 's'}`;
+    } catch (error) {
+        console.error("Error looking up owner:", error);
+        ownerLookupStatus.textContent = error.message;
+    } finally {
+        lookupOwnerBtn.disabled = false;
     }
 }
 
@@ -379,7 +953,8 @@ function renderOwnedTokens() {
             document.querySelectorAll('.token-badge').forEach(b => b.classList.remove('active'));
             badge.classList.add('active');
             currentTokenId = tokenId;
-            fetchAndRenderXenft(tokenId);
+            fetchAndRenderXenft(tokenId, { useCache: true });
+            setRoute(getTokenRoute(tokenId));
         });
         ownedTokensContainer.appendChild(badge);
     });
@@ -387,35 +962,424 @@ function renderOwnedTokens() {
     ownedTokensContainer.classList.remove('hidden');
 }
 
+// Switch the visible tab ("mainView", "portfolioView" or "galleryView")
+function showView(viewId) {
+    document.querySelectorAll('.tab-button[data-view]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === viewId);
+        const view = document.getElementById(tab.dataset.view);
+        if (view) view.classList.toggle('hidden', tab.dataset.view !== viewId);
+    });
+}
+
+// Show a tab, render its content and put it in the URL
+function openView(viewId) {
+    showView(viewId);
+    
+    if (viewId === 'galleryView') {
+        const galleryContainer = document.getElementById('galleryContainer');
+        if (typeof renderGallery === 'function' && galleryContainer) {
+            renderGallery(galleryContainer);
+        } else {
+            console.warn("renderGallery function not available or gallery container not found");
+        }
+        setRoute({ view: 'gallery' });
+    } else if (viewId === 'portfolioView') {
+        renderPortfolio();
+        setRoute({ view: 'portfolio' });
+    } else if (viewId === 'calendarView') {
+        renderCalendar();
+        setRoute({ view: 'calendar' });
+    } else if (getRouteView(currentRoute) !== 'mainView') {
+        // Back on the viewer: link the card on display, if any
+        setRoute(currentXenftData ? getTokenRoute(currentXenftData.tokenId) : { view: 'home' });
+    }
+}
+
+// Route of a card as it is currently rendered
+function getTokenRoute(tokenId, chain = selectedChain.key) {
+    const route = { view: 'token', chain, tokenId, template: selectedTemplate };
+    if (asOfTimestamp !== null) route.asOf = asOfTimestamp;
+    return route;
+}
+
+// Record a route in the URL; pushState/replaceState don't fire hashchange, so this never re-applies it
+function setRoute(route, { replace = false } = {}) {
+    const hash = formatRoute(route);
+    currentRoute = parseRoute(hash);
+    if (window.location.hash === hash || (!window.location.hash && hash === '#/')) return;
+    
+    try {
+        history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+    } catch (error) {
+        console.error("Error updating the URL:", error);
+    }
+}
+
+// Keep a token link in sync with the template and as-of date
+function updateTokenRoute() {
+    if (currentRoute.view === 'token') {
+        setRoute(getTokenRoute(currentRoute.tokenId, currentRoute.chain), { replace: true });
+    }
+}
+
+// Restore the state a route describes (on load, and when the hash is edited or history is navigated)
+async function applyRoute(route) {
+    currentRoute = route;
+    
+    if (route.view !== 'token' && route.view !== 'address') {
+        openView(getRouteView(route));
+        return;
+    }
+    
+    showView('mainView');
+    
+    // The link's chain wins over the one picked before
+    if (!(await setSelectedChain(route.chain))) return;
+    
+    // Links to tokens and owners work without a wallet, through the public RPC
+    if (!xenftContract) {
+        await connectToRPC();
+        if (!xenftContract) return;
+    }
+    
+    if (route.view === 'token') {
+        if (route.template && route.template !== selectedTemplate) {
+            setSelectedTemplate(route.template, { remember: false });
+        }
+        if ((route.asOf === undefined ? null : route.asOf) !== asOfTimestamp) {
+            setAsOf(route.asOf === undefined ? null : route.asOf);
+        }
+        
+        tokenIdInput.value = route.tokenId;
+        currentTokenId = route.tokenId;
+        document.querySelectorAll('.token-badge').forEach(badge => {
+            badge.classList.toggle('active', parseInt(badge.textContent.slice(1)) === route.tokenId);
+        });
+        await fetchAndRenderXenft(route.tokenId, { useCache: true });
+    } else if (ownerAddressInput) {
+        ownerAddressInput.value = route.address;
+        await handleLookupOwner();
+    }
+}
+
+// Render the portfolio dashboard for the owned tokens
+async function renderPortfolio() {
+    if (!portfolioView) return;
+    
+    portfolioSummary.innerHTML = '';
+    portfolioTable.classList.add('hidden');
+    exportPortfolioCsvBtn.disabled = true;
+    
+    if (ownedTokens.length === 0) {
+        portfolioStatus.textContent = account || !xenftContract
+            ? 'No XENFTs to show. Connect a wallet that owns XENFTs.'
+            : 'No XENFTs to show. Look up an address above to see its portfolio.';
+        return;
+    }
+    
+    // Load whatever the batched prefetch did not cover
+    const missing = ownedTokens.filter(tokenId => !xenftDataCache.has(tokenId));
+    if (missing.length > 0) {
+        portfolioStatus.textContent = `Loading ${missing.length} XENFTs...`;
+        await prefetchXenftData(missing);
+    }
+    
+    const tokens = ownedTokens.filter(tokenId => xenftDataCache.has(tokenId)).map(tokenId => xenftDataCache.get(tokenId));
+    const failed = ownedTokens.length - tokens.length;
+    portfolioStatus.textContent = failed > 0 ? `${failed} of ${ownedTokens.length} XENFTs could not be loaded` : '';
+    
+    const rows = buildPortfolioRows(tokens);
+    const summary = summarizePortfolio(rows);
+    
+    const cards = [
+        ['XENFTs', summary.tokens],
+        ['VMUs', summary.vmus.toLocaleString('en-US')],
+        ['XEN Burned', summary.xenBurned.toLocaleString('en-US')],
+        ['Apex / Limited / Common', `${summary.categories.Apex} / ${summary.categories.Limited} / ${summary.categories.Common}`],
+        ['Matured / Maturing / Redeemed', `${summary.statuses.Matured} / ${summary.statuses.Maturing} / ${summary.statuses.Redeemed}`]
+    ];
+    cards.forEach(([label, value]) => {
+        const card = document.createElement('div');
+        card.className = 'portfolio-stat';
+        const valueEl = document.createElement('strong');
+        valueEl.textContent = value;
+        const labelEl = document.createElement('span');
+        labelEl.textContent = label;
+        card.append(valueEl, labelEl);
+        portfolioSummary.appendChild(card);
+    });
+    
+    renderPortfolioTable(rows);
+    exportPortfolioCsvBtn.disabled = rows.length === 0;
+}
+
+// Render the sortable portfolio table
+function renderPortfolioTable(rows) {
+    const headerRow = portfolioTable.querySelector('thead tr');
+    const tbody = portfolioTable.querySelector('tbody');
+    headerRow.innerHTML = '';
+    tbody.innerHTML = '';
+    
+    PORTFOLIO_COLUMNS.forEach(column => {
+        const th = document.createElement('th');
+        const isSorted = portfolioSort.key === column.key;
+        th.textContent = `${column.label}${isSorted ? (portfolioSort.direction === 'asc' ? ' ▲' : ' ▼') : ''}`;
+        th.className = 'sortable';
+        th.addEventListener('click', () => {
+            portfolioSort = {
+                key: column.key,
+                direction: isSorted && portfolioSort.direction === 'asc' ? 'desc' : 'asc'
+            };
+            renderPortfolioTable(rows);
+        });
+        headerRow.appendChild(th);
+    });
+    
+    sortPortfolioRows(rows, portfolioSort.key, portfolioSort.direction).forEach(row => {
+        const tr = document.createElement('tr');
+        PORTFOLIO_COLUMNS.forEach(column => {
+            const td = document.createElement('td');
+            td.textContent = column.format(row);
+            tr.appendChild(td);
+        });
+        
+        // Open the token in the viewer
+        tr.addEventListener('click', () => {
+            showView('mainView');
+            currentTokenId = row.tokenId;
+            renderOwnedTokens();
+            fetchAndRenderXenft(row.tokenId, { useCache: true });
+            setRoute(getTokenRoute(row.tokenId));
+        });
+        tbody.appendChild(tr);
+    });
+    
+    portfolioTable.classList.remove('hidden');
+}
+
+// Download the portfolio table as CSV
+function exportPortfolioCsv() {
+    const tokens = ownedTokens.filter(tokenId => xenftDataCache.has(tokenId)).map(tokenId => xenftDataCache.get(tokenId));
+    if (tokens.length === 0) return;
+    
+    const rows = sortPortfolioRows(buildPortfolioRows(tokens), portfolioSort.key, portfolioSort.direction);
+    const blob = new Blob([portfolioToCSV(rows)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'xenft-portfolio.csv';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Load the watchlist of the selected chain from local storage
+function loadWatchlist() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getChainStorageKey('xenftWatchlist')) || '[]');
+        return Array.isArray(stored) ? stored.filter(Number.isInteger) : [];
+    } catch (error) {
+        console.error("Error loading the watchlist:", error);
+        return [];
+    }
+}
+
+// Add or remove a token from the watchlist
+function setWatched(tokenId, watched) {
+    watchlist = watchlist.filter(id => id !== tokenId);
+    if (watched) {
+        watchlist.push(tokenId);
+    }
+    localStorage.setItem(getChainStorageKey('xenftWatchlist'), JSON.stringify(watchlist));
+    updateWatchButton();
+    
+    if (calendarView && !calendarView.classList.contains('hidden')) {
+        renderCalendar();
+    }
+}
+
+// Reflect the displayed token's watch state on the card button
+function updateWatchButton() {
+    if (!watchTokenBtn) return;
+    
+    const watched = currentXenftData && watchlist.includes(currentXenftData.tokenId);
+    watchTokenBtn.textContent = watched ? 'Unwatch' : 'Watch';
+}
+
+// Collect the calendar's tokens and where each one comes from
+async function getCalendarSources() {
+    const enabled = {};
+    document.querySelectorAll('[data-calendar-source]').forEach(checkbox => {
+        enabled[checkbox.dataset.calendarSource] = checkbox.checked;
+    });
+    
+    const lists = {
+        owned: ownedTokens,
+        saved: typeof getGalleryItems === 'function'
+            ? (await getGalleryItems()).filter(item => item.chain === selectedChain.key).map(item => item.tokenId)
+            : [],
+        watched: watchlist
+    };
+    
+    const sourcesById = {};
+    Object.entries(lists).forEach(([source, tokenIds]) => {
+        if (!enabled[source]) return;
+        tokenIds.forEach(tokenId => {
+            sourcesById[tokenId] = sourcesById[tokenId] || [];
+            sourcesById[tokenId].push(source);
+        });
+    });
+    return sourcesById;
+}
+
+// Build calendar entries for the selected sources, loading any missing token data
+async function loadCalendarEntries() {
+    const sourcesById = await getCalendarSources();
+    const tokenIds = Object.keys(sourcesById).map(Number);
+    
+    const missing = tokenIds.filter(tokenId => !xenftDataCache.has(tokenId));
+    if (missing.length > 0) {
+        calendarStatus.textContent = `Loading ${missing.length} XENFTs...`;
+        await prefetchXenftData(missing);
+    }
+    
+    const tokens = tokenIds.filter(tokenId => xenftDataCache.has(tokenId)).map(tokenId => xenftDataCache.get(tokenId));
+    return {
+        entries: buildCalendarEntries(tokens, sourcesById),
+        failed: tokenIds.length - tokens.length
+    };
+}
+
+// Render the maturity calendar, grouped by month
+async function renderCalendar() {
+    if (!calendarContainer) return;
+    
+    calendarContainer.innerHTML = '';
+    exportIcsBtn.disabled = true;
+    
+    const { entries, failed } = await loadCalendarEntries();
+    if (entries.length === 0) {
+        calendarStatus.textContent = 'No maturity dates to show. Own, save or watch XENFTs to follow them here.';
+        return;
+    }
+    calendarStatus.textContent = failed > 0 ? `${failed} XENFTs could not be loaded` : '';
+    
+    const formatDateTime = timestampSec => new Date(timestampSec * 1000).toUTCString().replace(' GMT', ' UTC');
+    
+    groupEntriesByMonth(entries).forEach(group => {
+        const section = document.createElement('section');
+        section.className = 'calendar-month';
+        const heading = document.createElement('h3');
+        heading.textContent = group.label;
+        section.appendChild(heading);
+        
+        group.entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `calendar-entry status-${entry.status.toLowerCase()}`;
+            
+            const title = document.createElement('strong');
+            title.textContent = `XENFT #${entry.tokenId}`;
+            title.addEventListener('click', () => {
+                showView('mainView');
+                currentTokenId = entry.tokenId;
+                fetchAndRenderXenft(entry.tokenId, { useCache: true });
+                setRoute(getTokenRoute(entry.tokenId));
+            });
+            
+            const status = document.createElement('span');
+            status.className = 'calendar-status';
+            status.textContent = entry.status === 'Maturing' ? `Matures in ${entry.daysToMaturity} days` : entry.status;
+            
+            const details = document.createElement('p');
+            details.textContent = `Matures ${formatDateTime(entry.claimWindow.opensTs)} · no penalty until ${formatDateTime(entry.claimWindow.penaltyFreeUntilTs)} · window closes ${formatDateTime(entry.claimWindow.closesTs)}`;
+            
+            const sources = document.createElement('span');
+            sources.className = 'calendar-sources';
+            sources.textContent = entry.sources.join(', ');
+            
+            item.append(title, status, sources, details);
+            
+            if (entry.sources.includes('watched')) {
+                const unwatch = document.createElement('button');
+                unwatch.className = 'btn btn-sm btn-secondary';
+                unwatch.textContent = 'Unwatch';
+                unwatch.addEventListener('click', () => setWatched(entry.tokenId, false));
+                item.appendChild(unwatch);
+            }
+            section.appendChild(item);
+        });
+        
+        calendarContainer.appendChild(section);
+    });
+    
+    exportIcsBtn.disabled = !entries.some(entry => entry.status !== 'Redeemed');
+}
+
+// Download the calendar as an .ics file
+async function exportCalendarIcs() {
+    const { entries } = await loadCalendarEntries();
+    if (entries.length === 0) return;
+    
+    const blob = new Blob([generateICS(entries)], { type: 'text/calendar' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'xenft-maturities.ics';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Fetch token data for many XENFTs at once and keep it in the cache
+async function prefetchXenftData(tokenIds) {
+    if (!xenftContract || tokenIds.length === 0) return;
+    
+    try {
+        const results = await fetchXenftDataBatch(ethers, xenftContract, tokenIds);
+        results.forEach(({ tokenId, data, error }) => {
+            if (data) {
+                xenftDataCache.set(tokenId, data);
+            } else {
+                console.error(`Error fetching XENFT #${tokenId}:`, error);
+            }
+        });
+    } catch (error) {
+        console.error("Error prefetching XENFT data:", error);
+    }
+}
+
 // Fetch and render XENFT data
-async function fetchAndRenderXenft(tokenId) {
+// With useCache, data prefetched for the owned tokens is reused instead of read again
+async function fetchAndRenderXenft(tokenId, { useCache = false } = {}) {
     if (!tokenId || !xenftContract) return;
     
     try {
         showLoading(true);
+        resetVmuInspector();
         
-        // Fetch data from the contract
-        const vmuCountValue = await xenftContract.vmuCount(tokenId);
-        const mintInfoValue = await xenftContract.mintInfo(tokenId);
-        const xenBurnedValue = await xenftContract.xenBurned(tokenId);
-        const isApexValue = await xenftContract.isApex(tokenId);
-        
-        // Decode the mintInfo
-        const decodedMintInfo = decodeMintInfo(mintInfoValue);
-        
-        const xenftData = {
-            tokenId,
-            vmuCount: Number(vmuCountValue),
-            mintInfo: decodedMintInfo,
-            xenBurned: Number(xenBurnedValue),
-            isApex: isApexValue
-        };
+        let xenftData = useCache ? xenftDataCache.get(tokenId) : null;
+        if (!xenftData) {
+            // vmuCount, mintInfo, xenBurned and isApex in a single batched request
+            const [result] = await fetchXenftDataBatch(ethers, xenftContract, [tokenId]);
+            if (!result.data) {
+                throw new Error(result.error);
+            }
+            xenftData = result.data;
+            xenftDataCache.set(tokenId, xenftData);
+        }
         
         // Display XENFT card
         displayXENFT(xenftData);
         
         // Show the card container
         xenftCardContainer.classList.remove('hidden');
+        
+        // Compare with the official metadata in the background
+        loadOnChainMetadata(xenftData);
     } catch (error) {
         console.error("Error fetching XENFT data:", error);
         showError(`Failed to fetch data for XENFT #${tokenId}. Please try again.`);
@@ -426,11 +1390,13 @@ async function fetchAndRenderXenft(tokenId) {
 
 // Display XENFT card with data
 function displayXENFT(xenftData) {
+    currentXenftData = xenftData;
+    
     // Get rarity information
     const rarityInfo = getXENFTRarityInfo(xenftData);
     
-    // Generate SVG
-    const svg = generateXENFTSVG(xenftData);
+    // Generate SVG for the selected preview date
+    const svg = generateXENFTSVG(xenftData, getRenderOptions(xenftData));
     
     // Update the SVG container
     svgContainer.innerHTML = svg;
@@ -441,16 +1407,213 @@ function displayXENFT(xenftData) {
     termValue.textContent = xenftData.mintInfo.term;
     burnedValue.textContent = xenftData.xenBurned;
     typeValue.textContent = `${rarityInfo.category} (${rarityInfo.rarity})`;
+    updateRewardInfo(xenftData);
+    
+    // Allow jumping to the maturity date when the token has one
+    if (asOfMaturityBtn) {
+        asOfMaturityBtn.disabled = !xenftData.mintInfo.maturityTs;
+    }
+    
+    if (loadVmuMintsBtn) {
+        loadVmuMintsBtn.disabled = false;
+    }
+    updateWatchButton();
+    
+    // Keep the comparison view in sync with the rendered card
+    if (generatedImage) {
+        generatedImage.innerHTML = svg;
+    }
+    if (currentOnChainMetadata && currentOnChainMetadata.tokenId === xenftData.tokenId) {
+        renderOnChainComparison();
+    }
+}
+
+// Fetch and decode the official tokenURI for the comparison view
+async function loadOnChainMetadata(xenftData) {
+    if (!onChainContainer || !xenftContract) return;
+    
+    const { tokenId } = xenftData;
+    currentOnChainMetadata = null;
+    onChainContainer.classList.remove('hidden');
+    onChainStatus.textContent = 'Loading on-chain tokenURI...';
+    onChainImage.innerHTML = '';
+    attributeDiffTable.classList.add('hidden');
+    
+    try {
+        const tokenURI = await xenftContract.tokenURI(tokenId);
+        
+        // Ignore the result if another token was opened meanwhile
+        if (!currentXenftData || currentXenftData.tokenId !== tokenId) return;
+        
+        currentOnChainMetadata = { tokenId, ...decodeTokenURI(tokenURI) };
+        renderOnChainComparison();
+    } catch (error) {
+        if (!currentXenftData || currentXenftData.tokenId !== tokenId) return;
+        console.error("Error loading on-chain metadata:", error);
+        onChainStatus.textContent = `Could not load on-chain metadata: ${error.reason || error.message}`;
+    }
+}
+
+// Render the official image and the attribute diff table
+function renderOnChainComparison() {
+    if (!currentOnChainMetadata || !currentXenftData) return;
+    
+    // Show the official image through <img> so on-chain markup never runs in the page
+    onChainImage.innerHTML = '';
+    if (currentOnChainMetadata.image) {
+        const img = document.createElement('img');
+        img.src = currentOnChainMetadata.imageSvg && !currentOnChainMetadata.image.startsWith('data:')
+            ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(currentOnChainMetadata.imageSvg)}`
+            : currentOnChainMetadata.image;
+        img.alt = currentOnChainMetadata.name || `XENFT #${currentOnChainMetadata.tokenId}`;
+        onChainImage.appendChild(img);
+    } else {
+        onChainImage.textContent = 'No image in metadata';
+    }
+    
+    // Diff the attributes against our decoded values
+    const rows = compareTokenAttributes(
+        currentOnChainMetadata.attributes,
+        currentXenftData,
+        getXENFTRarityInfo(currentXenftData)
+    );
+    
+    const tbody = attributeDiffTable.querySelector('tbody');
+    tbody.innerHTML = '';
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        const statusLabels = { match: '✓ Match', mismatch: '✗ Mismatch', missing: 'Not in metadata', extra: 'Not decoded' };
+        [
+            row.trait && row.trait !== row.label ? `${row.label} (${row.trait})` : row.label,
+            row.official === null ? '-' : String(row.official),
+            row.generated === null ? '-' : String(row.generated),
+            statusLabels[row.status]
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tr.lastChild.className = `status-${row.status}`;
+        tbody.appendChild(tr);
+    });
+    attributeDiffTable.classList.remove('hidden');
+    
+    const mismatches = rows.filter(row => row.status === 'mismatch').length;
+    const matches = rows.filter(row => row.status === 'match').length;
+    onChainStatus.textContent = mismatches > 0
+        ? `${mismatches} attribute(s) differ from the on-chain metadata`
+        : `All ${matches} comparable attributes match the on-chain metadata`;
+}
+
+// Clear the VMU mint table (when another token is opened)
+function resetVmuInspector() {
+    if (!vmuTable) return;
+    vmuTable.classList.add('hidden');
+    vmuTable.querySelector('tbody').innerHTML = '';
+    vmuStatus.textContent = '';
+}
+
+// Read the cbXEN mint of every VMU proxy of the current XENFT and check it against mintInfo
+async function handleLoadVmuMints() {
+    if (!currentXenftData || !xenCryptoContract || !ethers) return;
+    
+    const xenftData = currentXenftData;
+    loadVmuMintsBtn.disabled = true;
+    
+    try {
+        const addresses = getVmuProxyAddresses(ethers, selectedChain.xenftAddress, xenftData.tokenId, xenftData.vmuCount);
+        vmuStatus.textContent = `Loading ${addresses.length} VMU mint records...`;
+        
+        const mints = await fetchUserMints(xenCryptoContract, addresses, (done, total) => {
+            vmuStatus.textContent = `Loading VMU mint records... ${done}/${total}`;
+        });
+        
+        // Ignore the result if another token was opened meanwhile
+        if (currentXenftData !== xenftData) return;
+        
+        const { rows, summary } = compareVmuMints(mints, xenftData.mintInfo);
+        renderVmuTable(rows);
+        
+        vmuStatus.textContent = `${summary.active}/${summary.total} VMUs have an active mint` +
+            (summary.mismatches > 0 ? ` · ${summary.mismatches} differ from the XENFT mintInfo` : ' · all consistent with mintInfo') +
+            (summary.errors > 0 ? ` · ${summary.errors} failed to load` : '');
+        
+        // Make the summary available to the SVG templates
+        displayXENFT({ ...xenftData, vmuMintSummary: summary });
+    } catch (error) {
+        console.error("Error loading VMU mints:", error);
+        vmuStatus.textContent = `Failed to load VMU mints: ${error.reason || error.message}`;
+    } finally {
+        loadVmuMintsBtn.disabled = !currentXenftData;
+    }
+}
+
+// Read the cbXEN mint record of a user-supplied address
+async function handleLookupVmuAddress() {
+    if (!xenCryptoContract || !ethers) return;
+    
+    const address = vmuAddressInput.value.trim();
+    if (!ethers.utils.isAddress(address)) {
+        vmuStatus.textContent = 'Please enter a valid address';
+        return;
+    }
+    
+    try {
+        vmuStatus.textContent = `Loading mint record of ${address}...`;
+        const mints = await fetchUserMints(xenCryptoContract, [ethers.utils.getAddress(address)]);
+        const { rows, summary } = compareVmuMints(mints);
+        renderVmuTable(rows);
+        vmuStatus.textContent = summary.active > 0 ? `Active mint found for ${address}` : `No active mint for ${address}`;
+    } catch (error) {
+        console.error("Error looking up address mint:", error);
+        vmuStatus.textContent = `Failed to load the mint record: ${error.reason || error.message}`;
+    }
+}
+
+// Render VMU mint rows
+function renderVmuTable(rows) {
+    const tbody = vmuTable.querySelector('tbody');
+    tbody.innerHTML = '';
+    
+    const statusLabels = { ok: '✓ OK', empty: 'No mint', mismatch: '✗ Mismatch', error: 'Error' };
+    rows.forEach((row, index) => {
+        const tr = document.createElement('tr');
+        const hasMint = row.status === 'ok' || (row.status === 'mismatch' && row.term);
+        [
+            index + 1,
+            `${row.address.slice(0, 8)}...${row.address.slice(-6)}`,
+            hasMint ? row.term : '-',
+            hasMint ? formatAsOfDate(row.maturityTs * 1000) : '-',
+            hasMint ? row.rank : '-',
+            hasMint ? row.amplifier : '-',
+            hasMint ? row.eaaRate : '-',
+            row.issues.length ? `${statusLabels[row.status]}: ${row.issues.join('; ')}` : statusLabels[row.status]
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tr.children[1].title = row.address;
+        tr.lastChild.className = `status-${row.status}`;
+        tbody.appendChild(tr);
+    });
+    
+    vmuTable.classList.remove('hidden');
 }
 
 // Update UI when connected
 function updateUIOnConnect(hasAccount) {
     connectionContainer.classList.add('hidden');
     connectedContainer.classList.remove('hidden');
+    if (vmuContainer) vmuContainer.classList.remove('hidden');
+    renderRpcStatus();
     
     if (hasAccount) {
         accountInfo.classList.remove('hidden');
         updateAccountInfo();
+    } else if (ownerLookupContainer) {
+        // View-only mode: browse the XENFTs of any address instead
+        ownerLookupContainer.classList.remove('hidden');
     }
 }
 
@@ -477,13 +1640,20 @@ function disconnect() {
     }
     
     // Reset state
+    if (provider && provider.stopHealthChecks) provider.stopHealthChecks();
     provider = null;
     xenftContract = null;
     xenCryptoContract = null;
     account = null;
     ownedTokens = [];
     currentTokenId = null;
+    currentXenftData = null;
+    currentOnChainMetadata = null;
+    xenftDataCache = new Map();
     web3Provider = null;
+    demoFixture = null;
+    
+    if (asOfMaturityBtn) asOfMaturityBtn.disabled = true;
     
     // Reset UI safely
     if (connectionContainer) connectionContainer.classList.remove('hidden');
@@ -491,6 +1661,21 @@ function disconnect() {
     if (accountInfo) accountInfo.classList.add('hidden');
     if (ownedTokensContainer) ownedTokensContainer.classList.add('hidden');
     if (xenftCardContainer) xenftCardContainer.classList.add('hidden');
+    if (onChainContainer) onChainContainer.classList.add('hidden');
+    if (vmuContainer) vmuContainer.classList.add('hidden');
+    if (ownerLookupContainer) ownerLookupContainer.classList.add('hidden');
+    if (ownerLookupStatus) ownerLookupStatus.textContent = '';
+    if (portfolioSummary) portfolioSummary.innerHTML = '';
+    if (portfolioTable) portfolioTable.classList.add('hidden');
+    if (portfolioStatus) portfolioStatus.textContent = '';
+    if (exportPortfolioCsvBtn) exportPortfolioCsvBtn.disabled = true;
+    if (calendarContainer) calendarContainer.innerHTML = '';
+    if (calendarStatus) calendarStatus.textContent = '';
+    if (exportIcsBtn) exportIcsBtn.disabled = true;
+    if (loadVmuMintsBtn) loadVmuMintsBtn.disabled = true;
+    resetVmuInspector();
+    renderRpcStatus();
+    setRoute({ view: 'home' });
     
     // Clear any errors
     hideError();
@@ -503,6 +1688,7 @@ function showLoading(isLoading) {
     loadingMessage.classList.toggle('hidden', !isLoading);
     connectWalletBtn.disabled = isLoading;
     useRpcBtn.disabled = isLoading;
+    if (demoModeBtn) demoModeBtn.disabled = isLoading;
 }
 
 // Show error message
@@ -533,6 +1719,7 @@ function handleViewToken() {
     
     // Fetch and display the token
     fetchAndRenderXenft(tokenId);
+    setRoute(getTokenRoute(tokenId));
 }
 
 // Download the current SVG as a file
@@ -552,6 +1739,104 @@ function downloadSvg() {
     URL.revokeObjectURL(url);
 }
 
+// Load the image download settings from local storage
+function loadRasterOptions() {
+    try {
+        return normalizeRasterOptions(JSON.parse(localStorage.getItem('xenftRasterOptions') || '{}'));
+    } catch (error) {
+        console.error("Error loading the image export settings:", error);
+        return normalizeRasterOptions();
+    }
+}
+
+// Show the image download settings in the controls
+function updateRasterControls() {
+    if (!rasterFormatSelect) return;
+    
+    const solid = rasterOptions.background !== 'transparent';
+    rasterFormatSelect.value = rasterOptions.format;
+    rasterScaleSelect.value = String(rasterOptions.scale);
+    rasterBackgroundSelect.value = solid ? 'solid' : 'transparent';
+    if (solid) rasterBackgroundColor.value = rasterOptions.background;
+    rasterBackgroundColor.disabled = !solid;
+    
+    // JPEG has no transparency
+    rasterBackgroundSelect.querySelector('option[value="transparent"]').disabled = !RASTER_FORMATS[rasterOptions.format].transparent;
+}
+
+// Apply and persist the settings chosen in the controls
+function handleRasterControlsChange() {
+    const format = rasterFormatSelect.value;
+    const solid = rasterBackgroundSelect.value === 'solid' || !RASTER_FORMATS[format].transparent;
+    
+    rasterOptions = normalizeRasterOptions({
+        format,
+        scale: parseInt(rasterScaleSelect.value),
+        background: solid ? rasterBackgroundColor.value : 'transparent'
+    });
+    localStorage.setItem('xenftRasterOptions', JSON.stringify(rasterOptions));
+    updateRasterControls();
+}
+
+// Download the current card as PNG, JPEG or WebP
+async function downloadRasterImage() {
+    if (!currentXenftData) return;
+    
+    // An image is a single frame, so rasterize the static card
+    const svg = generateXENFTSVG(currentXenftData, { ...getRenderOptions(currentXenftData), animated: false });
+    const { width, height } = getSVGSize(svg);
+    downloadRasterBtn.disabled = true;
+    rasterExportStatus.textContent = 'Rendering...';
+    
+    try {
+        const blob = await downloadRaster(svg, currentXenftData.tokenId, rasterOptions);
+        rasterExportStatus.textContent = `Downloaded ${width * rasterOptions.scale}x${height * rasterOptions.scale} ` +
+            `${RASTER_FORMATS[rasterOptions.format].label} (${(blob.size / 1024).toFixed(0)} KB)`;
+    } catch (error) {
+        console.error("Error exporting the image:", error);
+        rasterExportStatus.textContent = `Export failed: ${error.message}`;
+    } finally {
+        downloadRasterBtn.disabled = false;
+    }
+}
+
+// Export the current card cycling through every palette as an animated GIF or APNG
+async function exportCycleAnimationFile() {
+    if (!currentXenftData || typeof exportCycleAnimation !== 'function') return;
+    
+    const xenftData = currentXenftData;
+    const format = cycleFormatSelect.value;
+    exportCycleBtn.disabled = true;
+    
+    try {
+        const blob = await exportCycleAnimation(xenftData, { ...getRenderOptions(xenftData), animated: false }, {
+            format,
+            size: parseInt(cycleSizeSelect.value),
+            frameDurationMs: Number(cycleFrameDurationInput.value),
+            framesPerPalette: parseInt(cycleFramesSelect.value),
+            onProgress: (done, total) => {
+                cycleExportStatus.textContent = `Rendering frame ${done} of ${total}...`;
+            }
+        });
+        
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `XENFT-${xenftData.tokenId}-cycle.${format === 'gif' ? 'gif' : 'png'}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        cycleExportStatus.textContent = `Exported ${(blob.size / 1024).toFixed(0)} KB ${format.toUpperCase()}`;
+    } catch (error) {
+        console.error("Error exporting the color cycle animation:", error);
+        cycleExportStatus.textContent = `Export failed: ${error.message}`;
+    } finally {
+        exportCycleBtn.disabled = false;
+    }
+}
+
 // Initialize the application
 function init() {
     console.log("Initializing application...");
@@ -577,6 +1862,11 @@ function init() {
         document.body.prepend(errorEl);
     }
     
+    // Migrate older gallery storage in the background
+    if (typeof initGalleryStore === 'function') {
+        initGalleryStore();
+    }
+    
     // Update color cycle information
     try {
         if (typeof generateColorScheme === 'function') {
@@ -588,6 +1878,28 @@ function init() {
         console.error("Error initializing color cycle:", error);
     }
     
+    // Chain picker
+    if (chainSelect) {
+        renderChainOptions();
+        chainSelect.addEventListener('change', async () => {
+            if (!(await setSelectedChain(chainSelect.value))) return;
+            
+            // A link to a token or owner of the previous chain no longer matches what is shown
+            if (currentRoute.chain && currentRoute.chain !== selectedChain.key) {
+                setRoute({ view: 'home' });
+            } else if (currentRoute.view === 'portfolio' || currentRoute.view === 'calendar') {
+                openView(getRouteView(currentRoute));
+            }
+        });
+    }
+    
+    // RPC endpoints
+    if (saveRpcSettingsBtn) {
+        updateRpcControls();
+        saveRpcSettingsBtn.addEventListener('click', saveRpcSettings);
+        checkRpcHealthBtn.addEventListener('click', checkRpcHealth);
+    }
+    
     // Add event listeners with error handling
     if (connectWalletBtn) {
         connectWalletBtn.addEventListener('click', async () => {
@@ -616,6 +1928,21 @@ function init() {
         });
     }
     
+    if (demoModeBtn) {
+        demoModeBtn.addEventListener('click', startDemoMode);
+    }
+    
+    if (loadFixtureBtn && fixtureInput) {
+        loadFixtureBtn.addEventListener('click', () => fixtureInput.click());
+        fixtureInput.addEventListener('change', async () => {
+            const file = fixtureInput.files[0];
+            fixtureInput.value = '';
+            if (!file) return;
+            
+            await connectToFixture(await file.text());
+        });
+    }
+    
     if (disconnectBtn) {
         disconnectBtn.addEventListener('click', disconnect);
     }
@@ -624,6 +1951,160 @@ function init() {
         viewTokenBtn.addEventListener('click', handleViewToken);
     }
     
+    // Portfolio dashboard
+    if (exportPortfolioCsvBtn) {
+        exportPortfolioCsvBtn.addEventListener('click', exportPortfolioCsv);
+    }
+    
+    // Maturity calendar and watchlist
+    if (exportIcsBtn) {
+        exportIcsBtn.addEventListener('click', exportCalendarIcs);
+    }
+    document.querySelectorAll('[data-calendar-source]').forEach(checkbox => {
+        checkbox.addEventListener('change', renderCalendar);
+    });
+    if (addWatchBtn && watchTokenInput) {
+        const addToWatchlist = () => {
+            const tokenId = parseInt(watchTokenInput.value, 10);
+            if (!tokenId || tokenId <= 0) {
+                calendarStatus.textContent = 'Please enter a valid token ID';
+                return;
+            }
+            watchTokenInput.value = '';
+            setWatched(tokenId, true);
+        };
+        addWatchBtn.addEventListener('click', addToWatchlist);
+        watchTokenInput.addEventListener('keypress', (event) => {
+            if (event.key === 'Enter') {
+                addToWatchlist();
+            }
+        });
+    }
+    if (watchTokenBtn) {
+        watchTokenBtn.addEventListener('click', () => {
+            if (!currentXenftData) return;
+            setWatched(currentXenftData.tokenId, !watchlist.includes(currentXenftData.tokenId));
+        });
+    }
+    
+    // Image download settings
+    if (downloadRasterBtn) {
+        updateRasterControls();
+        [rasterFormatSelect, rasterScaleSelect, rasterBackgroundSelect, rasterBackgroundColor].forEach(control => {
+            control.addEventListener('change', handleRasterControlsChange);
+        });
+        downloadRasterBtn.addEventListener('click', downloadRasterImage);
+    }
+    
+    // Color cycle GIF / APNG export
+    if (exportCycleBtn) {
+        exportCycleBtn.addEventListener('click', exportCycleAnimationFile);
+    }
+    
+    // View-only owner lookup
+    if (lookupOwnerBtn) {
+        lookupOwnerBtn.addEventListener('click', handleLookupOwner);
+    }
+    if (ownerAddressInput) {
+        ownerAddressInput.addEventListener('keypress', (event) => {
+            if (event.key === 'Enter') {
+                handleLookupOwner();
+            }
+        });
+    }
+    
+    // Reward estimator controls
+    if (globalRankInput) {
+        globalRankInput.value = globalRankValue || '';
+        globalRankInput.addEventListener('change', () => {
+            const value = globalRankInput.value.trim();
+            if (value === '' || /^\d+$/.test(value)) {
+                setGlobalRank(value);
+            } else {
+                showError("Please enter a valid global rank");
+            }
+        });
+    }
+    
+    if (showRewardToggle) {
+        showRewardToggle.checked = showRewardOnSvg;
+        showRewardToggle.addEventListener('change', () => {
+            showRewardOnSvg = showRewardToggle.checked;
+            localStorage.setItem('xenftShowReward', String(showRewardOnSvg));
+            if (currentXenftData) {
+                displayXENFT(currentXenftData);
+            }
+        });
+    }
+    
+    // Static or animated SVG output
+    if (animatedToggle) {
+        animatedToggle.checked = animateSvg;
+        animatedToggle.addEventListener('change', () => {
+            animateSvg = animatedToggle.checked;
+            localStorage.setItem('xenftAnimated', String(animateSvg));
+            if (currentXenftData) {
+                displayXENFT(currentXenftData);
+            }
+        });
+    }
+    
+    // VMU mint inspector
+    if (loadVmuMintsBtn) {
+        loadVmuMintsBtn.addEventListener('click', handleLoadVmuMints);
+    }
+    
+    if (lookupVmuAddressBtn) {
+        lookupVmuAddressBtn.addEventListener('click', handleLookupVmuAddress);
+    }
+    
+    // Template selector
+    renderTemplateOptions();
+    if (templateSelect) {
+        templateSelect.addEventListener('change', () => setSelectedTemplate(templateSelect.value));
+    }
+    
+    // Header swatches edit the displayed cycle's colors
+    if (typeof ensureEditableActiveTheme === 'function') {
+        [primaryColor, secondaryColor, tertiaryColor, backgroundColor]
+            .filter(Boolean)
+            .forEach(swatch => swatch.addEventListener('change', handleSwatchChange));
+    }
+    
+    // Timeline controls for previewing other dates
+    if (asOfSlider) {
+        asOfSlider.addEventListener('input', () => {
+            const days = parseInt(asOfSlider.value);
+            setAsOf(days === 0 ? null : Date.now() + days * 86400000);
+        });
+    }
+    
+    if (asOfDate) {
+        asOfDate.value = formatAsOfDate(Date.now());
+        asOfDate.addEventListener('change', () => {
+            if (!asOfDate.value) {
+                setAsOf(null);
+                return;
+            }
+            const timestamp = Date.parse(asOfDate.value); // YYYY-MM-DD parses as UTC midnight
+            if (!isNaN(timestamp)) {
+                setAsOf(timestamp);
+            }
+        });
+    }
+    
+    if (asOfTodayBtn) {
+        asOfTodayBtn.addEventListener('click', () => setAsOf(null));
+    }
+    
+    if (asOfMaturityBtn) {
+        asOfMaturityBtn.addEventListener('click', () => {
+            if (currentXenftData && currentXenftData.mintInfo.maturityTs) {
+                setAsOf(currentXenftData.mintInfo.maturityTs * 1000);
+            }
+        });
+    }
+    
     // Add download functionality
     try {
         const downloadBtn = document.createElement('button');
@@ -650,6 +2131,12 @@ function init() {
         });
     }
     
+    // Deep links: restore the linked view, and follow back/forward and edited hashes
+    window.addEventListener('hashchange', () => applyRoute(parseRoute(window.location.hash)));
+    if (currentRoute.view !== 'home') {
+        applyRoute(currentRoute);
+    }
+    
     console.log("Application initialized successfully");
 }
 
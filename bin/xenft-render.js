@@ -0,0 +1,433 @@
+#!/usr/bin/env node
+/**
+ * xenft-render
+ *
+ * Headless batch renderer for XENFT SVGs. Reads vmuCount, mintInfo, xenBurned
+ * and isApex for a range of token IDs from an RPC endpoint (or, offline, from a
+ * fixture file) and writes one SVG (and optionally one PNG) per token, plus an
+ * optional JSON manifest.
+ *
+ * Usage:
+ *   xenft-render --from 1 --to 500 --out ./svgs [--png] [--manifest]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { generateXENFTSVG, getXENFTRarityInfo, generateColorScheme, getSVGTemplates, estimateXENReward } = require('../renderer');
+const { fetchXenftDataBatch } = require('../xenftReader');
+const { DEFAULT_CHAIN_KEY, getChain, getChains } = require('../chains');
+const { createFixtureProvider } = require('../fixtureProvider');
+
+// Defaults (contract and RPC come from the chain registry, like in app.js)
+const DEFAULT_PNG_SIZE = 800;
+const DEFAULT_CONCURRENCY = 4;
+const TOKENS_PER_BATCH = 50; // Tokens read per Multicall3 request
+
+// ABI (only the reads the renderer needs)
+const XENFT_ABI = [
+    "function vmuCount(uint256 tokenId) view returns (uint256)",
+    "function mintInfo(uint256 tokenId) view returns (uint256)",
+    "function xenBurned(uint256 tokenId) view returns (uint256)",
+    "function isApex(uint256 tokenId) view returns (bool)"
+];
+
+const USAGE = `Usage: xenft-render --from <id> --to <id> [options]
+
+Options:
+  --from <id>          First token ID to render (required)
+  --to <id>            Last token ID to render, inclusive (required)
+  --out <dir>          Output directory (default: ./svgs)
+  --chain <key>        Chain: ${getChains().map(chain => chain.key).join(', ')} (default: ${DEFAULT_CHAIN_KEY})
+  --rpc <url>          JSON-RPC endpoint (default: $XENFT_RPC_URL or the chain's public RPC)
+  --contract <addr>    XENFT contract address (default: XENTorrent on the chain)
+  --fixture <file>     Read the tokens from a fixture file instead of a chain (no network)
+  --png                Also write a PNG next to each SVG (requires @resvg/resvg-js)
+  --png-size <px>      PNG width and height in pixels (default: ${DEFAULT_PNG_SIZE})
+  --manifest [file]    Write a JSON manifest (default file: <out>/manifest.json)
+  --concurrency <n>    Batches of ${TOKENS_PER_BATCH} tokens fetched in parallel (default: ${DEFAULT_CONCURRENCY})
+  --seed <value>       Extra seed mixed with each token ID for the background pattern
+  --as-of <date>       Render the cards as they look on this date (YYYY-MM-DD, default: now)
+  --template <name>    SVG template: ${getSVGTemplates().map(template => template.name).join(', ')} (default: classic)
+  --animated           Embed the card animation in the SVGs (PNGs stay static)
+  --global-rank <n>    XEN global rank; adds the estimated reward to the SVGs and manifest
+  --theme <file>       Color theme JSON exported from the web app (default: built-in palettes)
+  -h, --help           Show this help
+`;
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        from: null,
+        to: null,
+        out: './svgs',
+        chain: DEFAULT_CHAIN_KEY,
+        rpc: null,
+        contract: null,
+        fixture: null,
+        png: false,
+        pngSize: DEFAULT_PNG_SIZE,
+        manifest: null,
+        concurrency: DEFAULT_CONCURRENCY,
+        seed: null,
+        asOf: null,
+        theme: null,
+        template: 'classic',
+        animated: false,
+        globalRank: null,
+        help: false
+    };
+
+    const takeValue = (i, flag) => {
+        const value = argv[i + 1];
+        if (value === undefined || value.startsWith('--')) {
+            throw new Error(`Missing value for ${flag}`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--from':
+                options.from = parsePositiveInt(takeValue(i++, arg), arg);
+                break;
+            case '--to':
+                options.to = parsePositiveInt(takeValue(i++, arg), arg);
+                break;
+            case '--out':
+                options.out = takeValue(i++, arg);
+                break;
+            case '--chain':
+                options.chain = takeValue(i++, arg);
+                break;
+            case '--rpc':
+                options.rpc = takeValue(i++, arg);
+                break;
+            case '--contract':
+                options.contract = takeValue(i++, arg);
+                break;
+            case '--fixture':
+                options.fixture = takeValue(i++, arg);
+                break;
+            case '--png':
+                options.png = true;
+                break;
+            case '--png-size':
+                options.pngSize = parsePositiveInt(takeValue(i++, arg), arg);
+                break;
+            case '--manifest': {
+                // The manifest path is optional
+                const next = argv[i + 1];
+                if (next !== undefined && !next.startsWith('--')) {
+                    options.manifest = next;
+                    i++;
+                } else {
+                    options.manifest = true;
+                }
+                break;
+            }
+            case '--concurrency':
+                options.concurrency = parsePositiveInt(takeValue(i++, arg), arg);
+                break;
+            case '--seed':
+                options.seed = takeValue(i++, arg);
+                break;
+            case '--as-of': {
+                const value = takeValue(i++, arg);
+                options.asOf = Date.parse(value);
+                if (isNaN(options.asOf)) {
+                    throw new Error(`--as-of expects a date, got "${value}"`);
+                }
+                break;
+            }
+            case '--template':
+                options.template = takeValue(i++, arg);
+                break;
+            case '--animated':
+                options.animated = true;
+                break;
+            case '--global-rank':
+                options.globalRank = String(parsePositiveInt(takeValue(i++, arg), arg));
+                break;
+            case '--theme':
+                options.theme = takeValue(i++, arg);
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.help) return options;
+
+    if (options.from === null || options.to === null) {
+        throw new Error("Both --from and --to are required");
+    }
+    if (options.to < options.from) {
+        throw new Error("--to must be greater than or equal to --from");
+    }
+    if (!getSVGTemplates().some(template => template.name === options.template)) {
+        throw new Error(`Unknown template: ${options.template}`);
+    }
+    const chain = getChain(options.chain);
+    if (!chain) {
+        throw new Error(`Unknown chain: ${options.chain}`);
+    }
+    if (!options.fixture) {
+        options.rpc = options.rpc || process.env.XENFT_RPC_URL || chain.rpcUrls[0];
+    }
+    options.contract = options.contract || chain.xenftAddress;
+    if (!ethers.utils.isAddress(options.contract)) {
+        throw new Error(`Invalid contract address: ${options.contract}`);
+    }
+    if (options.manifest === true) {
+        options.manifest = path.join(options.out, 'manifest.json');
+    }
+
+    return options;
+}
+
+/**
+ * Parses a strictly positive integer option value
+ * @param {string} value - Raw option value
+ * @param {string} flag - Option name, used in the error message
+ * @returns {number} Parsed integer
+ */
+function parsePositiveInt(value, flag) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+        throw new Error(`${flag} expects a positive integer, got "${value}"`);
+    }
+    return parsed;
+}
+
+/**
+ * Reduces an RPC URL to its origin for the manifest; the path and query often carry an API key
+ * @param {string} url - RPC endpoint
+ * @returns {string|null} Scheme, host and port, or null if the URL can't be parsed
+ */
+function getRpcOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Loads the palettes from a theme file exported by the web app
+ * @param {string} file - Path to the theme JSON
+ * @returns {Object[]} Palettes for generateColorScheme
+ */
+function loadThemePalettes(file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const theme = Array.isArray(parsed) ? parsed[0] : parsed;
+
+    if (!theme || !Array.isArray(theme.palettes) || theme.palettes.length === 0) {
+        throw new Error(`Theme file ${file} has no palettes`);
+    }
+    theme.palettes.forEach((palette, index) => {
+        ['primary', 'secondary', 'tertiary', 'background'].forEach(key => {
+            if (!/^#[0-9a-fA-F]{6}$/.test(palette[key] || '')) {
+                throw new Error(`Theme file ${file}: palette ${index + 1} has an invalid ${key} color`);
+            }
+        });
+    });
+
+    return theme.palettes;
+}
+
+/**
+ * Loads the optional PNG rasterizer
+ * @param {number} size - Output width and height in pixels
+ * @returns {Function} Converts an SVG string to a PNG buffer
+ */
+function loadPngRenderer(size) {
+    let Resvg;
+    try {
+        ({ Resvg } = require('@resvg/resvg-js'));
+    } catch (error) {
+        throw new Error("PNG output requires the optional dependency @resvg/resvg-js (npm install @resvg/resvg-js)");
+    }
+
+    return (svg) => new Resvg(svg.trim(), {
+        fitTo: { mode: 'width', value: size },
+        font: { loadSystemFonts: true, defaultFontFamily: 'Arial' }
+    }).render().asPng();
+}
+
+/**
+ * Renders a single token to disk
+ * @param {Object} context - Contract, options, palettes and PNG renderer
+ * @param {Object} result - The token's entry from fetchXenftDataBatch
+ * @returns {Object} Manifest entry for the token
+ */
+function renderToken(context, result) {
+    const { options, toPng } = context;
+    const { tokenId } = result;
+    const entry = { tokenId };
+
+    try {
+        if (!result.data) {
+            throw new Error(result.error);
+        }
+        const xenftData = result.data;
+        if (xenftData.vmuCount === 0) {
+            throw new Error("Token does not exist (vmuCount is 0)");
+        }
+
+        const seed = options.seed !== null ? `${options.seed}:${tokenId}` : undefined;
+        const rewardEstimate = options.globalRank
+            ? estimateXENReward(xenftData, {
+                globalRank: options.globalRank,
+                claimTs: options.asOf !== null ? Math.floor(options.asOf / 1000) : undefined
+            })
+            : undefined;
+        const renderOptions = {
+            template: options.template,
+            seed,
+            asOf: options.asOf,
+            palettes: context.palettes,
+            rewardEstimate
+        };
+        const svg = generateXENFTSVG(xenftData, { ...renderOptions, animated: options.animated });
+        const svgFile = `XENFT-${tokenId}.svg`;
+        fs.writeFileSync(path.join(options.out, svgFile), svg);
+
+        const rarityInfo = getXENFTRarityInfo(xenftData);
+        Object.assign(entry, {
+            vmuCount: xenftData.vmuCount,
+            xenBurned: xenftData.xenBurned,
+            isApex: xenftData.isApex,
+            mintInfo: xenftData.mintInfo,
+            category: rarityInfo.category,
+            rarity: rarityInfo.rarity,
+            svg: svgFile
+        });
+        if (rewardEstimate) {
+            entry.rewardEstimate = rewardEstimate;
+        }
+
+        if (toPng) {
+            const pngFile = `XENFT-${tokenId}.png`;
+            // A PNG is a single frame, so it always comes from the static card
+            const staticSvg = options.animated ? generateXENFTSVG(xenftData, renderOptions) : svg;
+            fs.writeFileSync(path.join(options.out, pngFile), toPng(staticSvg));
+            entry.png = pngFile;
+        }
+
+        console.log(`Rendered XENFT #${tokenId}`);
+    } catch (error) {
+        entry.error = error.reason || error.message;
+        console.error(`Failed to render XENFT #${tokenId}: ${entry.error}`);
+    }
+
+    return entry;
+}
+
+/**
+ * Renders every token in the range, reading the tokens in batches of
+ * TOKENS_PER_BATCH with a bounded number of batches in flight
+ * @param {Object} context - Contract, options and PNG renderer
+ * @returns {Promise<Object[]>} Manifest entries ordered by token ID
+ */
+async function renderRange(context) {
+    const { from, to, concurrency } = context.options;
+    const entries = new Array(to - from + 1);
+    let next = from;
+
+    const worker = async () => {
+        while (next <= to) {
+            const tokenIds = [];
+            while (next <= to && tokenIds.length < TOKENS_PER_BATCH) {
+                tokenIds.push(next++);
+            }
+            const results = await fetchXenftDataBatch(ethers, context.contract, tokenIds);
+            results.forEach(result => {
+                entries[result.tokenId - from] = renderToken(context, result);
+            });
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, Math.ceil(entries.length / TOKENS_PER_BATCH)); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return entries;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n`);
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const toPng = options.png ? loadPngRenderer(options.pngSize) : null;
+    const palettes = options.theme ? loadThemePalettes(options.theme) : undefined;
+
+    fs.mkdirSync(options.out, { recursive: true });
+
+    const chain = getChain(options.chain);
+    const provider = options.fixture
+        ? createFixtureProvider(ethers, fs.readFileSync(options.fixture, 'utf8'), { network: { name: chain.key, chainId: chain.chainId } })
+        : new ethers.providers.JsonRpcProvider(options.rpc);
+    const contract = new ethers.Contract(options.contract, XENFT_ABI, provider);
+
+    const entries = await renderRange({ contract, options, toPng, palettes });
+    const failed = entries.filter(entry => entry.error).length;
+
+    if (options.manifest) {
+        const asOf = options.asOf === null ? Date.now() : options.asOf;
+        const colorScheme = generateColorScheme(asOf, palettes);
+        const manifest = {
+            generatedAt: new Date().toISOString(),
+            chain: options.chain,
+            rpc: options.rpc ? getRpcOrigin(options.rpc) : null,
+            fixture: options.fixture,
+            contract: options.contract,
+            from: options.from,
+            to: options.to,
+            seed: options.seed,
+            asOf: new Date(asOf).toISOString(),
+            template: options.template,
+            animated: options.animated,
+            globalRank: options.globalRank,
+            theme: options.theme,
+            colorCycle: colorScheme.cycleNumber + 1,
+            rendered: entries.length - failed,
+            failed,
+            tokens: entries
+        };
+        fs.mkdirSync(path.dirname(options.manifest), { recursive: true });
+        fs.writeFileSync(options.manifest, JSON.stringify(manifest, null, 2));
+        console.log(`Manifest written to ${options.manifest}`);
+    }
+
+    console.log(`Done: ${entries.length - failed} rendered, ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,154 @@
+/**
+ * Chain registry for the XENFT SVG Generator
+ *
+ * XEN Crypto and XENTorrent (the XENFT contract) are deployed on several EVM
+ * chains. Each entry holds what the app needs to read a deployment and to add
+ * its chain to a wallet: chain ID, native currency, public RPCs, block
+ * explorers and the two contract addresses.
+ *
+ * Token IDs are only unique within one deployment, so anything stored or
+ * linked by token ID is namespaced by chain key as well (see getChainTokenKey).
+ * Data saved before other chains were supported has no chain and is on Base.
+ */
+
+const CHAINS = {
+    base: {
+        key: 'base',
+        name: 'Base',
+        chainId: 8453,
+        nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+        rpcUrls: ['https://mainnet.base.org'],
+        blockExplorerUrls: ['https://basescan.org'],
+        xenftAddress: '0x379002701BF6f2862e3dFdd1f96d3C5E1BF450B6',
+        xen: { address: '0xffcbF84650cE02DaFE96926B37a0ac5E34932fa5', symbol: 'cbXEN', decimals: 18 }
+    },
+    ethereum: {
+        key: 'ethereum',
+        name: 'Ethereum',
+        chainId: 1,
+        nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+        rpcUrls: ['https://eth.llamarpc.com'],
+        blockExplorerUrls: ['https://etherscan.io'],
+        xenftAddress: '0x0a252663DBCc0b073063D6420a40319e438Cfa59',
+        xen: { address: '0x06450dEe7FD2Fb8E39061434BAbCFC05599a6Fb8', symbol: 'XEN', decimals: 18 }
+    },
+    polygon: {
+        key: 'polygon',
+        name: 'Polygon',
+        chainId: 137,
+        nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 },
+        rpcUrls: ['https://polygon-rpc.com'],
+        blockExplorerUrls: ['https://polygonscan.com'],
+        xenftAddress: '0x726bB6aC9b74441Eb8FB52163e9014302D4249e5',
+        xen: { address: '0x2AB0e9e4eE70FFf1fB9D67031E44F6410170d00e', symbol: 'mXEN', decimals: 18 }
+    },
+    bsc: {
+        key: 'bsc',
+        name: 'BNB Smart Chain',
+        chainId: 56,
+        nativeCurrency: { name: 'BNB', symbol: 'BNB', decimals: 18 },
+        rpcUrls: ['https://bsc-dataseed.bnbchain.org'],
+        blockExplorerUrls: ['https://bscscan.com'],
+        xenftAddress: '0x1Ac17FFB8456525BfF46870bba7Ed8772ba063a5',
+        xen: { address: '0x2AB0e9e4eE70FFf1fB9D67031E44F6410170d00e', symbol: 'bXEN', decimals: 18 }
+    },
+    avalanche: {
+        key: 'avalanche',
+        name: 'Avalanche C-Chain',
+        chainId: 43114,
+        nativeCurrency: { name: 'AVAX', symbol: 'AVAX', decimals: 18 },
+        rpcUrls: ['https://api.avax.network/ext/bc/C/rpc'],
+        blockExplorerUrls: ['https://snowtrace.io'],
+        xenftAddress: '0x94d9E02D115646DFC407ABDE75Fa45256D66E043',
+        xen: { address: '0xC0C5AA69Dbe4d6DDdfBc89c0957686ec60F24389', symbol: 'aXEN', decimals: 18 }
+    }
+};
+
+const DEFAULT_CHAIN_KEY = 'base';
+
+/**
+ * Looks up a chain by key
+ * @param {string} key - Registry key, e.g. "ethereum"
+ * @returns {Object|null} The chain, or null when it is not in the registry
+ */
+function getChain(key) {
+    return Object.prototype.hasOwnProperty.call(CHAINS, key) ? CHAINS[key] : null;
+}
+
+/**
+ * Lists the registered chains
+ * @returns {Object[]} Chains, in registry order
+ */
+function getChains() {
+    return Object.values(CHAINS);
+}
+
+/**
+ * Looks up a chain by chain ID
+ * @param {number|string} chainId - Chain ID as a number or a hex string ("0x2105")
+ * @returns {Object|null} The chain, or null when no deployment is registered for it
+ */
+function getChainById(chainId) {
+    const id = typeof chainId === 'string' ? parseInt(chainId, chainId.startsWith('0x') ? 16 : 10) : chainId;
+    return getChains().find(chain => chain.chainId === id) || null;
+}
+
+/**
+ * Formats a chain ID the way wallets expect it
+ * @param {number} chainId - Chain ID
+ * @returns {string} Hex chain ID, e.g. "0x2105"
+ */
+function toHexChainId(chainId) {
+    return `0x${Number(chainId).toString(16)}`;
+}
+
+/**
+ * Parameters of a wallet_addEthereumChain request (EIP-3085)
+ * @param {Object} chain - Registry entry
+ * @returns {Object} The request's single parameter
+ */
+function getAddChainParams(chain) {
+    return {
+        chainId: toHexChainId(chain.chainId),
+        chainName: chain.name,
+        nativeCurrency: { ...chain.nativeCurrency },
+        rpcUrls: [...chain.rpcUrls],
+        blockExplorerUrls: [...chain.blockExplorerUrls]
+    };
+}
+
+/**
+ * Key of a token that is unique across chains
+ * @param {string} chainKey - Registry key
+ * @param {number} tokenId - The token ID
+ * @returns {string} e.g. "polygon:1234"
+ */
+function getChainTokenKey(chainKey, tokenId) {
+    return `${chainKey}:${tokenId}`;
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.CHAINS = CHAINS;
+    window.DEFAULT_CHAIN_KEY = DEFAULT_CHAIN_KEY;
+    window.getChain = getChain;
+    window.getChains = getChains;
+    window.getChainById = getChainById;
+    window.toHexChainId = toHexChainId;
+    window.getAddChainParams = getAddChainParams;
+    window.getChainTokenKey = getChainTokenKey;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHAINS,
+        DEFAULT_CHAIN_KEY,
+        getChain,
+        getChains,
+        getChainById,
+        toHexChainId,
+        getAddChainParams,
+        getChainTokenKey
+    };
+}
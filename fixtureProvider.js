@@ -0,0 +1,296 @@
+/**
+ * Offline fixture provider for the XENFT SVG Generator
+ *
+ * An ethers provider that answers the app's contract reads from a local JSON
+ * fixture instead of a chain, so templates can be designed and the UI (or the
+ * batch renderer) exercised without any network. Like rpcProvider.js it works
+ * at the JSON-RPC level: eth_call requests are decoded by function selector
+ * and answered from the fixture, whatever contract address they are sent to.
+ *
+ * Answered calls:
+ *   XENFT        vmuCount, mintInfo, xenBurned, isApex, ownedTokens, tokenURI
+ *   XEN Crypto   globalRank, userMints (of the VMU proxies of options.xenftAddress)
+ * Tokens missing from the fixture revert like a nonexistent token on chain.
+ * eth_getCode is empty, so xenftReader.js reads without Multicall3.
+ *
+ * Fixture (format "xenft-fixture", version 1):
+ *   {
+ *     format, version,
+ *     owner,          address whose ownedTokens() lists every token without an owner of its own
+ *     globalRank,     XEN global rank (optional)
+ *     tokens: [{
+ *       tokenId, vmuCount, xenBurned, owner?, tokenURI?,
+ *       mintInfo,      packed uint256 (string) or an object in the shape of decodeMintInfo
+ *       isApex         optional; defaults to mintInfo.class.isApex
+ *       maturesInDays  optional; sets mintInfo.maturityTs relative to when the fixture is loaded
+ *       userMints      optional; per VMU, fields of its cbXEN mint { term, maturityTs, rank, amplifier, eaaRate }
+ *                      that differ from mintInfo, or null for a VMU without an active mint
+ *     }]
+ *   }
+ * A token without a tokenURI gets inline JSON metadata built from its data. Each VMU
+ * of an unredeemed token has the mint the contract would have made: the token's term,
+ * maturity, amp and EAA, and consecutive ranks from mintInfo.rank.
+ */
+
+const FIXTURE_FORMAT = 'xenft-fixture';
+const FIXTURE_VERSION = 1;
+const FIXTURE_BLOCK_NUMBER = 1;
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Every function the provider answers, with the signatures the app calls them with
+const FIXTURE_ABI = [
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    "function vmuCount(uint256 tokenId) view returns (uint256)",
+    "function mintInfo(uint256 tokenId) view returns (uint256)",
+    "function xenBurned(uint256 tokenId) view returns (uint256)",
+    "function ownedTokens() view returns (uint256[])",
+    "function isApex(uint256 tokenId) view returns (bool)",
+    "function globalRank() view returns (uint256)",
+    "function userMints(address user) view returns (address user, uint256 term, uint256 maturityTs, uint256 rank, uint256 amplifier, uint256 eaaRate)"
+];
+
+/**
+ * Validates a fixture and resolves its tokens
+ * @param {Object|string} fixture - Parsed fixture or its JSON
+ * @param {Object} [options] - { nowMs } for tokens with maturesInDays
+ * @returns {Object} { owner, globalRank, tokens } where tokens maps token ID to
+ *   { tokenId, vmuCount, mintInfo (packed bigint), xenBurned, isApex, owner, tokenURI, userMints }
+ * @throws {Error} If the fixture is not a fixture this version can read
+ */
+function parseFixture(fixture, { nowMs = Date.now() } = {}) {
+    let parsed = fixture;
+    if (typeof fixture === 'string') {
+        try {
+            parsed = JSON.parse(fixture);
+        } catch (error) {
+            throw new Error("Fixture is not valid JSON");
+        }
+    }
+
+    if (!parsed || parsed.format !== FIXTURE_FORMAT || !Array.isArray(parsed.tokens)) {
+        throw new Error("File is not a XENFT fixture");
+    }
+    if (parsed.version > FIXTURE_VERSION) {
+        throw new Error(`Fixture version ${parsed.version} is newer than this app supports`);
+    }
+
+    const encode = typeof encodeMintInfo === 'function' ? encodeMintInfo : require('./mintInfoDecoder').encodeMintInfo;
+    const owner = parsed.owner ? String(parsed.owner).toLowerCase() : null;
+    const tokens = new Map();
+
+    parsed.tokens.forEach((token, index) => {
+        const tokenId = Number(token && token.tokenId);
+        if (!Number.isInteger(tokenId) || tokenId <= 0) {
+            throw new Error(`Fixture token ${index + 1} has no valid tokenId`);
+        }
+        if (tokens.has(tokenId)) {
+            throw new Error(`Fixture lists token #${tokenId} twice`);
+        }
+        if (token.userMints !== undefined && !Array.isArray(token.userMints)) {
+            throw new Error(`Fixture token #${tokenId} has userMints that are not a list`);
+        }
+
+        let mintInfo;
+        if (typeof token.mintInfo === 'object' && token.mintInfo !== null) {
+            const maturityTs = token.maturesInDays !== undefined
+                ? Math.floor(nowMs / 1000) + Math.round(Number(token.maturesInDays) * 86400)
+                : token.mintInfo.maturityTs;
+            mintInfo = encode({ ...token.mintInfo, maturityTs });
+        } else {
+            mintInfo = BigInt(token.mintInfo || 0);
+        }
+
+        tokens.set(tokenId, {
+            tokenId,
+            vmuCount: Number(token.vmuCount || 0),
+            mintInfo,
+            xenBurned: String(token.xenBurned || 0),
+            isApex: token.isApex !== undefined ? Boolean(token.isApex) : Boolean(token.mintInfo && token.mintInfo.class && token.mintInfo.class.isApex),
+            owner: token.owner ? String(token.owner).toLowerCase() : owner,
+            tokenURI: typeof token.tokenURI === 'string' ? token.tokenURI : null,
+            userMints: token.userMints || []
+        });
+    });
+
+    return { owner, globalRank: parsed.globalRank ? String(parsed.globalRank) : null, tokens };
+}
+
+/**
+ * Builds inline tokenURI metadata for a fixture token, with the attributes the on-chain comparison reads
+ * @param {Object} token - Resolved fixture token (see parseFixture)
+ * @returns {string} A data:application/json;base64 URI
+ */
+function buildFixtureTokenURI(token) {
+    const decoders = typeof decodeMintInfo === 'function' ? { decodeMintInfo, getXENFTRarityInfo } : require('./mintInfoDecoder');
+    const mintInfo = decoders.decodeMintInfo(token.mintInfo.toString());
+    const { category, rarity } = decoders.getXENFTRarityInfo({ mintInfo, xenBurned: Number(token.xenBurned), isApex: token.isApex });
+
+    const metadata = {
+        name: `XEN Torrent #${token.tokenId}`,
+        description: 'Fixture token (demo mode); not read from a chain',
+        attributes: [
+            { trait_type: 'VMUs', value: token.vmuCount },
+            { trait_type: 'Term', value: mintInfo.term },
+            { trait_type: 'cRank', value: mintInfo.rank },
+            { trait_type: 'AMP', value: mintInfo.amp },
+            { trait_type: 'EAA (%)', value: mintInfo.eaa / 10 },
+            { trait_type: 'XEN Burned', value: token.xenBurned },
+            { trait_type: 'Maturity DateTime', value: new Date(mintInfo.maturityTs * 1000).toISOString() },
+            { trait_type: 'Category', value: category },
+            { trait_type: 'Rarity', value: rarity },
+            { trait_type: 'Redeemed', value: mintInfo.redeemed ? 'yes' : 'no' }
+        ]
+    };
+
+    const json = JSON.stringify(metadata);
+    const base64 = typeof Buffer !== 'undefined'
+        ? Buffer.from(json, 'utf8').toString('base64')
+        : btoa(String.fromCharCode(...new TextEncoder().encode(json)));
+    return `data:application/json;base64,${base64}`;
+}
+
+/**
+ * Builds the cbXEN mint of each VMU of a fixture token
+ * @param {Object} token - Resolved fixture token (see parseFixture)
+ * @returns {Array<Object|null>} { term, maturityTs, rank, amplifier, eaaRate } per VMU, null for VMUs without an active mint
+ */
+function buildFixtureVmuMints(token) {
+    const decode = typeof decodeMintInfo === 'function' ? decodeMintInfo : require('./mintInfoDecoder').decodeMintInfo;
+    const mintInfo = decode(token.mintInfo.toString());
+
+    return Array.from({ length: token.vmuCount }, (_, index) => {
+        const fixtureMint = token.userMints[index];
+        // Redeeming a XENFT claims and clears the mint of every VMU
+        if (fixtureMint === null || (fixtureMint === undefined && mintInfo.redeemed)) return null;
+
+        return {
+            term: mintInfo.term,
+            maturityTs: mintInfo.maturityTs,
+            rank: (BigInt(mintInfo.rank) + BigInt(index)).toString(),
+            amplifier: mintInfo.amp,
+            eaaRate: mintInfo.eaa,
+            ...fixtureMint
+        };
+    });
+}
+
+/**
+ * Creates an ethers provider backed by a fixture
+ * @param {Object} ethers - ethers v5
+ * @param {Object|string} fixture - The fixture (see the file header)
+ * @param {Object} options - Provider options
+ * @param {Object} options.network - { name, chainId } the provider reports
+ * @param {number} [options.nowMs] - Load time for tokens with maturesInDays
+ * @param {string} [options.xenftAddress] - XENFT contract whose VMU proxies have the fixture's mints; without it no address has one
+ * @returns {Object} The provider (an ethers StaticJsonRpcProvider), with the resolved fixture as `fixture`
+ */
+function createFixtureProvider(ethers, fixture, { network, nowMs, xenftAddress } = {}) {
+    const resolved = parseFixture(fixture, { nowMs });
+    const iface = new ethers.utils.Interface(FIXTURE_ABI);
+
+    // Reverts carry Error(string) data, so ethers reports the reason like a chain would
+    const revert = reason => Object.assign(new Error(`execution reverted: ${reason}`), {
+        code: 3,
+        data: ethers.utils.id('Error(string)').slice(0, 10) + ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2)
+    });
+    const getToken = tokenId => {
+        const token = resolved.tokens.get(Number(tokenId));
+        if (!token) throw revert('ERC721: invalid token ID');
+        return token;
+    };
+
+    // VMU proxy address (lowercase) -> its mint, derived on the first userMints call
+    let vmuMints = null;
+    const getVmuMint = user => {
+        if (!vmuMints) {
+            vmuMints = new Map();
+            if (xenftAddress) {
+                const deriveProxies = typeof getVmuProxyAddresses === 'function' ? getVmuProxyAddresses : require('./vmuMints').getVmuProxyAddresses;
+                resolved.tokens.forEach(token => {
+                    const mints = buildFixtureVmuMints(token);
+                    deriveProxies(ethers, xenftAddress, token.tokenId, token.vmuCount).forEach((proxy, index) => {
+                        if (mints[index]) vmuMints.set(proxy.toLowerCase(), mints[index]);
+                    });
+                });
+            }
+        }
+        return vmuMints.get(user.toLowerCase()) || null;
+    };
+
+    const answers = {
+        tokenURI: ([tokenId]) => {
+            const token = getToken(tokenId);
+            return [token.tokenURI || buildFixtureTokenURI(token)];
+        },
+        vmuCount: ([tokenId]) => [getToken(tokenId).vmuCount],
+        mintInfo: ([tokenId]) => [getToken(tokenId).mintInfo.toString()],
+        xenBurned: ([tokenId]) => [getToken(tokenId).xenBurned],
+        isApex: ([tokenId]) => [getToken(tokenId).isApex],
+        // ownedTokens() lists the caller's tokens, like the contract
+        ownedTokens: (args, from) => [[...resolved.tokens.values()]
+            .filter(token => from && token.owner === from.toLowerCase())
+            .map(token => token.tokenId)],
+        globalRank: () => {
+            if (!resolved.globalRank) throw revert('globalRank is not in the fixture');
+            return [resolved.globalRank];
+        },
+        userMints: ([user]) => {
+            const mint = getVmuMint(user);
+            return mint
+                ? [user, mint.term, mint.maturityTs, mint.rank, mint.amplifier, mint.eaaRate]
+                : [ZERO_ADDRESS, 0, 0, 0, 0, 0];
+        }
+    };
+
+    class FixtureProvider extends ethers.providers.StaticJsonRpcProvider {
+        constructor() {
+            super('http://fixture.invalid', network);
+            this.fixture = resolved;
+        }
+
+        async send(method, params) {
+            switch (method) {
+                case 'eth_chainId':
+                    return ethers.utils.hexValue(network.chainId);
+                case 'net_version':
+                    return String(network.chainId);
+                case 'eth_blockNumber':
+                    return ethers.utils.hexValue(FIXTURE_BLOCK_NUMBER);
+                case 'eth_getCode':
+                    return '0x';
+                case 'eth_call': {
+                    const [transaction] = params;
+                    let fragment;
+                    try {
+                        fragment = iface.getFunction(transaction.data.slice(0, 10));
+                    } catch (error) {
+                        throw revert(`The fixture does not answer ${transaction.data.slice(0, 10)}`);
+                    }
+                    const args = iface.decodeFunctionData(fragment, transaction.data);
+                    return iface.encodeFunctionResult(fragment, answers[fragment.name](args, transaction.from));
+                }
+                default:
+                    throw new Error(`The fixture provider does not support ${method}`);
+            }
+        }
+    }
+
+    return new FixtureProvider();
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.parseFixture = parseFixture;
+    window.createFixtureProvider = createFixtureProvider;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FIXTURE_FORMAT,
+        parseFixture,
+        buildFixtureTokenURI,
+        buildFixtureVmuMints,
+        createFixtureProvider
+    };
+}
@@ -0,0 +1,147 @@
+/**
+ * XENFT Gallery Filtering
+ *
+ * Search, filter and sort for saved gallery items (see galleryStore.js).
+ * Items migrated from older galleries may lack the full token data; they only
+ * match the "any" choice of filters that need it (maturity, redeemed, rank).
+ */
+
+const DEFAULT_GALLERY_FILTER = {
+    query: '',
+    category: 'all',
+    rarity: 'all',
+    termMin: null,
+    termMax: null,
+    status: 'all',      // 'all', 'maturing', 'matured'
+    redeemed: 'all',    // 'all', 'yes', 'no'
+    sort: 'savedAt',    // 'savedAt', 'rank', 'vmuCount', 'xenBurned'
+    direction: 'desc'   // 'asc', 'desc'
+};
+
+const GALLERY_SORT_KEYS = ['savedAt', 'rank', 'vmuCount', 'xenBurned'];
+
+/**
+ * Fills in and validates a (stored) filter
+ * @param {Object} [filter] - Partial filter
+ * @returns {Object} A complete filter
+ */
+function normalizeGalleryFilter(filter) {
+    const merged = { ...DEFAULT_GALLERY_FILTER, ...(filter && typeof filter === 'object' ? filter : {}) };
+    const toBound = value => (value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+
+    return {
+        query: String(merged.query),
+        category: String(merged.category),
+        rarity: String(merged.rarity),
+        termMin: toBound(merged.termMin),
+        termMax: toBound(merged.termMax),
+        status: ['all', 'maturing', 'matured'].includes(merged.status) ? merged.status : 'all',
+        redeemed: ['all', 'yes', 'no'].includes(merged.redeemed) ? merged.redeemed : 'all',
+        sort: GALLERY_SORT_KEYS.includes(merged.sort) ? merged.sort : DEFAULT_GALLERY_FILTER.sort,
+        direction: merged.direction === 'asc' ? 'asc' : 'desc'
+    };
+}
+
+/**
+ * Whether an item passes the filter
+ * @param {Object} item - Gallery index item
+ * @param {Object} filter - Complete filter
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {boolean} True if the item should be shown
+ */
+function matchesGalleryFilter(item, filter, nowMs) {
+    const query = filter.query.trim().replace(/^#/, '');
+    if (query && !String(item.tokenId).includes(query)) return false;
+
+    if (filter.category !== 'all' && item.category !== filter.category) return false;
+    if (filter.rarity !== 'all' && item.rarity !== filter.rarity) return false;
+
+    if (filter.termMin !== null && !(item.term >= filter.termMin)) return false;
+    if (filter.termMax !== null && !(item.term <= filter.termMax)) return false;
+
+    if (filter.status !== 'all') {
+        if (!item.maturityTs) return false;
+        const matured = item.maturityTs * 1000 <= nowMs;
+        if ((filter.status === 'matured') !== matured) return false;
+    }
+
+    if (filter.redeemed !== 'all') {
+        if (!item.data || !item.data.mintInfo) return false;
+        if ((filter.redeemed === 'yes') !== Boolean(item.data.mintInfo.redeemed)) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Sort value of an item; null when unknown
+ * @param {Object} item - Gallery index item
+ * @param {string} key - Sort key
+ * @returns {number|bigint|null} Comparable value
+ */
+function getGallerySortValue(item, key) {
+    switch (key) {
+        case 'rank':
+            return item.data && item.data.mintInfo ? BigInt(item.data.mintInfo.rank) : null;
+        case 'savedAt': {
+            const time = Date.parse(item.savedAt);
+            return Number.isNaN(time) ? null : time;
+        }
+        default:
+            return typeof item[key] === 'number' ? item[key] : null;
+    }
+}
+
+/**
+ * Filters and sorts gallery items
+ * Items without a value for the sort key go last in either direction.
+ * @param {Object[]} items - Gallery index items
+ * @param {Object} [filter] - Filter (normalized with normalizeGalleryFilter)
+ * @param {number} [nowMs] - Current time in milliseconds (defaults to Date.now())
+ * @returns {Object[]} The matching items, sorted
+ */
+function applyGalleryFilter(items, filter, nowMs = Date.now()) {
+    const complete = normalizeGalleryFilter(filter);
+    const factor = complete.direction === 'asc' ? 1 : -1;
+
+    return items
+        .filter(item => matchesGalleryFilter(item, complete, nowMs))
+        .sort((a, b) => {
+            const valueA = getGallerySortValue(a, complete.sort);
+            const valueB = getGallerySortValue(b, complete.sort);
+            if (valueA === null || valueB === null) {
+                if (valueA !== valueB) return valueA === null ? 1 : -1;
+            } else if (valueA !== valueB) {
+                return valueA < valueB ? -factor : factor;
+            }
+            return a.tokenId - b.tokenId;
+        });
+}
+
+/**
+ * Distinct categories and rarities, for the filter choices
+ * @param {Object[]} items - Gallery index items
+ * @returns {Object} { categories, rarities } sorted alphabetically
+ */
+function getGalleryFilterOptions(items) {
+    const distinct = key => [...new Set(items.map(item => item[key]).filter(Boolean))].sort();
+    return { categories: distinct('category'), rarities: distinct('rarity') };
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.DEFAULT_GALLERY_FILTER = DEFAULT_GALLERY_FILTER;
+    window.normalizeGalleryFilter = normalizeGalleryFilter;
+    window.applyGalleryFilter = applyGalleryFilter;
+    window.getGalleryFilterOptions = getGalleryFilterOptions;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_GALLERY_FILTER,
+        normalizeGalleryFilter,
+        applyGalleryFilter,
+        getGalleryFilterOptions
+    };
+}
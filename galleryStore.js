@@ -0,0 +1,696 @@
+/**
+ * XENFT Gallery Storage
+ *
+ * The single storage layer for saved XENFTs. The gallery index (token data,
+ * template, timestamps) is kept in localStorage under a versioned schema, and
+ * the SVG markup, which makes up most of a gallery's size, lives in IndexedDB.
+ * When IndexedDB is unavailable the SVGs stay inline in the index and are moved
+ * over the next time it is.
+ *
+ * Earlier versions wrote two incompatible galleries: "savedXENFTs" (flattened
+ * fields, helper.js) and "savedXenfts" (full data object, mintInfoDecoder.js).
+ * Both are merged into the current schema on first load.
+ *
+ * The whole gallery can be exported as a JSON bundle (format "xenft-gallery")
+ * and merged back into any browser's gallery.
+ *
+ * Index item (schema v2):
+ *   { chain, tokenId, template, savedAt, vmuCount, term, xenBurned, maturityTs, category, rarity, data, svg? }
+ * where `chain` is a chains.js key, `data` is the full xenftData (null for
+ * items migrated without it) and `svg` is only present while the markup is
+ * stored inline. A saved token is identified by its chain and token ID together.
+ *
+ * Bundles come from other people, so an imported item is reduced to what this
+ * app writes itself: a registered template, a known category and rarity, and
+ * SVG markup without scripts, event handlers or links out of the document.
+ */
+
+const GALLERY_STORAGE_KEY = 'xenftGallery';
+const GALLERY_SCHEMA_VERSION = 2;
+const GALLERY_LEGACY_KEYS = ['savedXENFTs', 'savedXenfts'];
+const GALLERY_DB_NAME = 'xenft-gallery';
+const GALLERY_DB_VERSION = 2;
+const GALLERY_DB_STORE = 'cards';
+const GALLERY_DB_LEGACY_STORE = 'svgs';
+const GALLERY_BUNDLE_FORMAT = 'xenft-gallery';
+const GALLERY_BUNDLE_VERSION = 2;
+
+// Rarities of each category, as getXENFTRarityInfo names them
+const GALLERY_RARITIES = {
+    Apex: ['Xunicorn', 'Exotic', 'Legendary', 'Epic', 'Rare'],
+    Limited: ['Limited'],
+    Common: ['Uncommon', 'Standard', 'Basic'],
+    Unknown: ['Unknown']
+};
+
+// Elements a saved card may contain: what the templates draw, and nothing that scripts, embeds or links
+const GALLERY_SVG_ELEMENTS = new Set([
+    'svg', 'g', 'defs', 'style', 'title', 'desc', 'use', 'symbol',
+    'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path', 'text', 'tspan',
+    'lineargradient', 'radialgradient', 'stop', 'pattern', 'clippath', 'mask'
+]);
+const GALLERY_SVG_TAG = /<(\/?)([A-Za-z][\w:.-]*)((?:\s+[^\s"'<>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'<>=`]+))?)*)\s*(\/?)>/g;
+const GALLERY_SVG_ATTRIBUTE = /([^\s"'<>\/=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'<>=`]+))?/g;
+
+/**
+ * The chain registry (chains.js), global in the browser and a module in Node
+ * @returns {Object} { DEFAULT_CHAIN_KEY, getChain, getChainTokenKey }
+ */
+function getGalleryChains() {
+    return typeof getChain === 'function' ? { DEFAULT_CHAIN_KEY, getChain, getChainTokenKey } : require('./chains');
+}
+
+/**
+ * Key of a saved token, unique across chains
+ * @param {Object} item - Index item
+ * @returns {string} e.g. "base:1234"
+ */
+function getGalleryItemKey(item) {
+    return getGalleryChains().getChainTokenKey(item.chain, item.tokenId);
+}
+
+/**
+ * Names of the registered SVG templates (mintInfoDecoder.js and templates.js)
+ * @returns {string[]} Template names
+ */
+function getGalleryTemplateNames() {
+    if (typeof getSVGTemplates !== 'function') {
+        require('./templates');
+    }
+    const templates = typeof getSVGTemplates === 'function' ? getSVGTemplates() : require('./mintInfoDecoder').getSVGTemplates();
+    return templates.map(template => template.name);
+}
+
+/**
+ * Whether CSS can be kept in a saved card: it may not import, load URLs other
+ * than the card's own fragments, or hide either behind escapes or entities
+ * @param {string} css - A style attribute or the text of a style element
+ * @returns {boolean} True when safe
+ */
+function isSafeGalleryCss(css) {
+    return !/[\\&]|@import|expression\s*\(|javascript:/i.test(css) && !/url\s*\(\s*['"]?(?!#)/i.test(css);
+}
+
+/**
+ * Keeps the attributes of a saved card's element that cannot run script or load anything
+ * @param {string} attributes - The attributes as written in the tag
+ * @returns {string} The kept attributes, each preceded by a space
+ */
+function sanitizeGallerySvgAttributes(attributes) {
+    let kept = '';
+    for (const [attribute, rawName, rawValue = ''] of attributes.matchAll(GALLERY_SVG_ATTRIBUTE)) {
+        const name = rawName.toLowerCase();
+        const value = rawValue.replace(/^(["'])([\s\S]*)\1$/, '$2');
+
+        if (name.startsWith('on')) continue;
+        if ((name === 'href' || name.endsWith(':href')) && !value.startsWith('#')) continue;
+        if (!isSafeGalleryCss(value)) continue;
+
+        kept += ` ${attribute}`;
+    }
+    return kept;
+}
+
+/**
+ * Reduces SVG markup to elements and attributes that only draw
+ * Tags outside GALLERY_SVG_ELEMENTS are dropped (script along with its text,
+ * foreignObject, image, a, ...), as are event handlers, hrefs other than fragments, and CSS that
+ * imports or loads URLs. Markup that cannot be read as tags and text is
+ * rejected as a whole.
+ * @param {string} svg - SVG markup
+ * @returns {string} The sanitized markup, or '' when rejected
+ */
+function sanitizeGallerySvg(svg) {
+    const markup = svg.replace(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>/gi, '');
+    let sanitized = '';
+    let position = 0;
+    let inStyle = false;
+    let inScript = false;
+
+    const appendText = text => {
+        if (text.includes('<')) return false;
+        if (!inScript && (!inStyle || isSafeGalleryCss(text))) sanitized += text;
+        return true;
+    };
+
+    for (const match of markup.matchAll(GALLERY_SVG_TAG)) {
+        const [, closing, name, attributes, selfClosing] = match;
+        if (!appendText(markup.slice(position, match.index))) return '';
+        position = match.index + match[0].length;
+
+        const element = name.toLowerCase();
+        if (element === 'script') inScript = !closing && !selfClosing;
+        if (!GALLERY_SVG_ELEMENTS.has(element)) continue;
+        if (element === 'style') inStyle = !closing && !selfClosing;
+
+        sanitized += closing
+            ? `</${name}>`
+            : `<${name}${sanitizeGallerySvgAttributes(attributes)}${selfClosing ? ' /' : ''}>`;
+    }
+    if (!appendText(markup.slice(position))) return '';
+
+    return sanitized;
+}
+
+/**
+ * Schema migrations; GALLERY_MIGRATIONS[n] upgrades an index from version n to n + 1
+ * Version 0 stands for the legacy localStorage galleries.
+ */
+const GALLERY_MIGRATIONS = [
+    (index, legacyLists) => ({ version: 1, items: migrateLegacyGalleries(legacyLists) }),
+    // Everything saved before other chains were supported is on Base
+    index => ({ version: 2, items: index.items.map(item => ({ ...item, chain: item.chain || getGalleryChains().DEFAULT_CHAIN_KEY })) })
+];
+
+/**
+ * Converts a legacy or bundled gallery item to an index item
+ * @param {Object} item - Item of either legacy gallery or of a bundle
+ * @returns {Object|null} Index item with inline svg, or null when unusable
+ */
+function normalizeGalleryItem(item) {
+    if (!item || !Number.isInteger(Number(item.tokenId)) || Number(item.tokenId) <= 0) {
+        return null;
+    }
+
+    const chains = getGalleryChains();
+    const chain = item.chain || chains.DEFAULT_CHAIN_KEY;
+    if (!chains.getChain(chain)) {
+        return null;
+    }
+
+    const data = item.data && item.data.mintInfo ? item.data : null;
+    let { category = null, rarity = null } = item;
+    if (!Object.hasOwn(GALLERY_RARITIES, category) || !GALLERY_RARITIES[category].includes(rarity)) {
+        category = null;
+        rarity = null;
+    }
+    if (data && !category && data.mintInfo.class) {
+        const rarityOf = typeof getXENFTRarityInfo === 'function' ? getXENFTRarityInfo : require('./mintInfoDecoder').getXENFTRarityInfo;
+        ({ category, rarity } = rarityOf(data));
+    }
+
+    return {
+        chain,
+        tokenId: Number(item.tokenId),
+        template: getGalleryTemplateNames().includes(item.template) ? item.template : 'classic',
+        savedAt: item.savedAt || new Date(0).toISOString(),
+        vmuCount: data ? data.vmuCount : (item.vmuCount ?? null),
+        term: data ? data.mintInfo.term : (item.term ?? null),
+        xenBurned: data ? data.xenBurned : (item.xenBurned ?? null),
+        maturityTs: data ? data.mintInfo.maturityTs : null,
+        category,
+        rarity,
+        data,
+        svg: typeof item.svg === 'string' ? item.svg : ''
+    };
+}
+
+/**
+ * Merges the legacy galleries into one item list
+ * The most recently saved copy of a token wins; its missing fields are filled from the other copy.
+ * @param {Object[][]} legacyLists - Parsed contents of the legacy keys
+ * @returns {Object[]} Index items, in the order tokens were first saved
+ */
+function migrateLegacyGalleries(legacyLists) {
+    const byKey = new Map();
+
+    legacyLists.forEach(list => {
+        (Array.isArray(list) ? list : []).forEach(legacyItem => {
+            const item = normalizeGalleryItem(legacyItem);
+            if (!item) return;
+
+            const existing = byKey.get(getGalleryItemKey(item));
+            if (!existing) {
+                byKey.set(getGalleryItemKey(item), item);
+                return;
+            }
+
+            const [newer, older] = item.savedAt > existing.savedAt ? [item, existing] : [existing, item];
+            const merged = { ...newer };
+            Object.keys(merged).forEach(key => {
+                if ((merged[key] === null || merged[key] === '') && older[key] !== null) {
+                    merged[key] = older[key];
+                }
+            });
+            byKey.set(getGalleryItemKey(item), merged);
+        });
+    });
+
+    return [...byKey.values()].sort((a, b) => (a.savedAt < b.savedAt ? -1 : a.savedAt > b.savedAt ? 1 : 0));
+}
+
+/**
+ * Builds an exportable bundle
+ * @param {Object[]} items - Index items, each with its svg (and optionally a png data URL)
+ * @returns {Object} The bundle
+ */
+function createGalleryBundle(items) {
+    return {
+        format: GALLERY_BUNDLE_FORMAT,
+        version: GALLERY_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        items
+    };
+}
+
+/**
+ * Parses and validates a bundle
+ * PNGs in the bundle are not imported; the SVG is the stored artwork, sanitized
+ * with sanitizeGallerySvg. Items whose SVG is rejected are dropped.
+ * @param {string} json - Bundle JSON
+ * @returns {Object[]} Index items with inline svg
+ * @throws {Error} If the file is not a gallery bundle this version can read
+ */
+function parseGalleryBundle(json) {
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (error) {
+        throw new Error("File is not valid JSON");
+    }
+
+    if (!parsed || parsed.format !== GALLERY_BUNDLE_FORMAT || !Array.isArray(parsed.items)) {
+        throw new Error("File is not a XENFT gallery backup");
+    }
+    if (parsed.version > GALLERY_BUNDLE_VERSION) {
+        throw new Error(`Gallery backup version ${parsed.version} is newer than this app supports`);
+    }
+
+    return parsed.items
+        .map(normalizeGalleryItem)
+        .filter(item => item && item.svg)
+        .map(item => ({ ...item, svg: sanitizeGallerySvg(item.svg) }))
+        .filter(item => item.svg);
+}
+
+/**
+ * Merges incoming items into the gallery, by chain and token ID
+ * A token already in the gallery is replaced only by a more recently saved copy.
+ * @param {Object[]} existing - Current index items
+ * @param {Object[]} incoming - Items to merge in
+ * @returns {Object} { items, changed, added, updated, skipped } where changed lists the added or updated items
+ */
+function mergeGalleryItems(existing, incoming) {
+    const items = [...existing];
+    const changed = [];
+    let added = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    incoming.forEach(item => {
+        const index = items.findIndex(entry => getGalleryItemKey(entry) === getGalleryItemKey(item));
+        if (index < 0) {
+            items.push(item);
+            changed.push(item);
+            added++;
+        } else if (Date.parse(item.savedAt) > Date.parse(items[index].savedAt)) {
+            items[index] = item;
+            changed.push(item);
+            updated++;
+        } else {
+            skipped++;
+        }
+    });
+
+    return { items, changed, added, updated, skipped };
+}
+
+/**
+ * Upgrades an index to the current schema version
+ * @param {Object} index - Stored index ({ version, items }), version 0 when there is none
+ * @param {Object[][]} legacyLists - Parsed contents of the legacy keys
+ * @returns {Object} Index at GALLERY_SCHEMA_VERSION
+ */
+function upgradeGalleryIndex(index, legacyLists) {
+    let upgraded = index;
+    while (upgraded.version < GALLERY_SCHEMA_VERSION) {
+        upgraded = GALLERY_MIGRATIONS[upgraded.version](upgraded, legacyLists);
+    }
+    return upgraded;
+}
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+let galleryDbPromise = null;
+
+/**
+ * Opens the SVG database
+ * @returns {Promise<IDBDatabase|null>} The database, or null when IndexedDB is unavailable
+ */
+function openGalleryDb() {
+    if (!galleryDbPromise) {
+        galleryDbPromise = new Promise(resolve => {
+            try {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                const request = indexedDB.open(GALLERY_DB_NAME, GALLERY_DB_VERSION);
+                request.onupgradeneeded = event => {
+                    const db = request.result;
+                    const store = db.createObjectStore(GALLERY_DB_STORE, { keyPath: 'key' });
+                    if (event.oldVersion < 1) return;
+
+                    // Version 1 keyed the SVGs by token ID alone; all of them are Base tokens
+                    const { DEFAULT_CHAIN_KEY: chain, getChainTokenKey: keyOf } = getGalleryChains();
+                    const cursorRequest = request.transaction.objectStore(GALLERY_DB_LEGACY_STORE).openCursor();
+                    cursorRequest.onsuccess = () => {
+                        const cursor = cursorRequest.result;
+                        if (cursor) {
+                            store.put({ key: keyOf(chain, cursor.value.tokenId), svg: cursor.value.svg });
+                            cursor.continue();
+                        } else {
+                            db.deleteObjectStore(GALLERY_DB_LEGACY_STORE);
+                        }
+                    };
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error("Failed to open the gallery database:", request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.error("IndexedDB is not available:", error);
+                resolve(null);
+            }
+        });
+    }
+    return galleryDbPromise;
+}
+
+/**
+ * Runs a request against the SVG object store
+ * @param {IDBDatabase} db - The database
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - Called with the object store, returns the request
+ * @returns {Promise<*>} The request result, once the transaction has completed
+ */
+function withSvgStore(db, mode, makeRequest) {
+    const transaction = db.transaction(GALLERY_DB_STORE, mode);
+    const result = idbRequest(makeRequest(transaction.objectStore(GALLERY_DB_STORE)));
+    const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    return Promise.all([result, done]).then(([value]) => value);
+}
+
+/**
+ * Reads the stored index
+ * @returns {Object} { version, items }; version 0 when only legacy data exists
+ */
+function readGalleryIndex() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(GALLERY_STORAGE_KEY) || 'null');
+        if (stored && Number.isInteger(stored.version) && Array.isArray(stored.items)) {
+            return stored;
+        }
+    } catch (error) {
+        console.error("Failed to read the gallery index:", error);
+    }
+    return { version: 0, items: [] };
+}
+
+/**
+ * Writes the index
+ * @param {Object[]} items - Index items
+ */
+function writeGalleryIndex(items) {
+    localStorage.setItem(GALLERY_STORAGE_KEY, JSON.stringify({ version: GALLERY_SCHEMA_VERSION, items }));
+}
+
+/**
+ * Reads the legacy galleries
+ * @returns {Object[][]} One parsed list per legacy key
+ */
+function readLegacyGalleries() {
+    return GALLERY_LEGACY_KEYS.map(key => {
+        try {
+            return JSON.parse(localStorage.getItem(key) || '[]');
+        } catch (error) {
+            console.error(`Failed to read the legacy gallery "${key}":`, error);
+            return [];
+        }
+    });
+}
+
+/**
+ * Moves inline SVGs into IndexedDB
+ * @param {IDBDatabase} db - The database
+ * @param {Object[]} items - Index items; updated in place
+ * @returns {Promise<boolean>} True if any item was moved
+ */
+async function moveInlineSvgs(db, items) {
+    const inline = items.filter(item => typeof item.svg === 'string');
+    if (inline.length === 0) return false;
+
+    await Promise.all(inline.map(item =>
+        withSvgStore(db, 'readwrite', store => store.put({ key: getGalleryItemKey(item), svg: item.svg }))
+    ));
+    inline.forEach(item => { delete item.svg; });
+    return true;
+}
+
+/**
+ * Writes a migrated index and drops the legacy keys it replaces
+ * If there is no room for both copies (inline SVGs), the legacy keys are dropped
+ * first and restored should the write still fail.
+ * @param {Object[]} items - Index items
+ * @param {boolean} fromLegacy - Whether the items came from the legacy keys
+ */
+function writeMigratedIndex(items, fromLegacy) {
+    const legacyValues = GALLERY_LEGACY_KEYS.map(key => localStorage.getItem(key));
+    const removeLegacy = () => GALLERY_LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+
+    try {
+        writeGalleryIndex(items);
+    } catch (error) {
+        if (!fromLegacy) throw error;
+
+        removeLegacy();
+        try {
+            writeGalleryIndex(items);
+        } catch (retryError) {
+            GALLERY_LEGACY_KEYS.forEach((key, i) => {
+                if (legacyValues[i] !== null) localStorage.setItem(key, legacyValues[i]);
+            });
+            throw retryError;
+        }
+    }
+
+    if (fromLegacy) removeLegacy();
+}
+
+let galleryReadyPromise = null;
+
+/**
+ * Prepares the store: migrates older schemas and legacy keys, and moves inline SVGs to IndexedDB
+ * Runs once; every other function waits for it.
+ * @returns {Promise<Object[]>} The index items
+ */
+function initGalleryStore() {
+    if (!galleryReadyPromise) {
+        galleryReadyPromise = (async () => {
+            const db = await openGalleryDb();
+            const stored = readGalleryIndex();
+            const hasLegacy = GALLERY_LEGACY_KEYS.some(key => localStorage.getItem(key) !== null);
+            const index = upgradeGalleryIndex(stored, stored.version === 0 ? readLegacyGalleries() : []);
+            let changed = index !== stored;
+
+            if (db) {
+                try {
+                    changed = await moveInlineSvgs(db, index.items) || changed;
+                } catch (error) {
+                    console.error("Failed to move gallery SVGs to IndexedDB, keeping them inline:", error);
+                }
+            }
+
+            if (changed) {
+                writeMigratedIndex(index.items, stored.version === 0);
+            } else if (hasLegacy) {
+                // Left over from a migration that already completed
+                GALLERY_LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+            }
+
+            return index.items;
+        })().catch(error => {
+            console.error("Failed to initialize the gallery:", error);
+            galleryReadyPromise = null;
+            return [];
+        });
+    }
+    return galleryReadyPromise;
+}
+
+/**
+ * Lists the saved XENFTs (without SVG markup)
+ * @returns {Promise<Object[]>} Index items, in the order they were saved
+ */
+async function getGalleryItems() {
+    await initGalleryStore();
+    return readGalleryIndex().items.map(({ svg, ...item }) => item);
+}
+
+/**
+ * Reads the SVG of a saved XENFT
+ * @param {number} tokenId - The token ID
+ * @param {string} [chain] - Chain key (defaults to Base)
+ * @returns {Promise<string>} SVG markup, or '' when missing
+ */
+async function getGallerySvg(tokenId, chain = getGalleryChains().DEFAULT_CHAIN_KEY) {
+    await initGalleryStore();
+
+    const key = getGalleryItemKey({ chain, tokenId });
+    const item = readGalleryIndex().items.find(entry => getGalleryItemKey(entry) === key);
+    if (!item) return '';
+    if (typeof item.svg === 'string') return item.svg;
+
+    const db = await openGalleryDb();
+    if (!db) return '';
+    try {
+        const record = await withSvgStore(db, 'readonly', store => store.get(key));
+        return record ? record.svg : '';
+    } catch (error) {
+        console.error(`Failed to read the SVG of XENFT #${tokenId} (${chain}):`, error);
+        return '';
+    }
+}
+
+/**
+ * Saves (or replaces) a XENFT in the gallery
+ * @param {Object} xenftData - The XENFT data
+ * @param {string} svgContent - The rendered SVG
+ * @param {string} [template] - Name of the template the SVG was rendered with
+ * @param {string} [chain] - Chain key of the token (defaults to Base)
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveGalleryItem(xenftData, svgContent, template, chain = getGalleryChains().DEFAULT_CHAIN_KEY) {
+    try {
+        if (!xenftData || !xenftData.tokenId || !svgContent) {
+            console.error("Missing required data for saving to the gallery");
+            return false;
+        }
+
+        await initGalleryStore();
+        const rarityInfo = getXENFTRarityInfo(xenftData);
+        const item = {
+            chain,
+            tokenId: xenftData.tokenId,
+            template: template || 'classic',
+            savedAt: new Date().toISOString(),
+            vmuCount: xenftData.vmuCount,
+            term: xenftData.mintInfo.term,
+            xenBurned: xenftData.xenBurned,
+            maturityTs: xenftData.mintInfo.maturityTs,
+            category: rarityInfo.category,
+            rarity: rarityInfo.rarity,
+            data: xenftData
+        };
+
+        const db = await openGalleryDb();
+        if (db) {
+            await withSvgStore(db, 'readwrite', store => store.put({ key: getGalleryItemKey(item), svg: svgContent }));
+        } else {
+            item.svg = svgContent;
+        }
+
+        const items = readGalleryIndex().items.filter(entry => getGalleryItemKey(entry) !== getGalleryItemKey(item));
+        items.push(item);
+        writeGalleryIndex(items);
+        return true;
+    } catch (error) {
+        console.error("Failed to save XENFT to the gallery:", error);
+        return false;
+    }
+}
+
+/**
+ * Removes a XENFT from the gallery
+ * @param {number} tokenId - The token ID
+ * @param {string} [chain] - Chain key (defaults to Base)
+ * @returns {Promise<boolean>} Success status
+ */
+async function removeGalleryItem(tokenId, chain = getGalleryChains().DEFAULT_CHAIN_KEY) {
+    try {
+        await initGalleryStore();
+        const key = getGalleryItemKey({ chain, tokenId });
+        writeGalleryIndex(readGalleryIndex().items.filter(item => getGalleryItemKey(item) !== key));
+
+        const db = await openGalleryDb();
+        if (db) {
+            await withSvgStore(db, 'readwrite', store => store.delete(key));
+        }
+        return true;
+    } catch (error) {
+        console.error("Failed to remove XENFT from the gallery:", error);
+        return false;
+    }
+}
+
+/**
+ * Exports the whole gallery, SVGs included
+ * @returns {Promise<Object>} The bundle (see createGalleryBundle)
+ */
+async function exportGalleryBundle() {
+    const items = await getGalleryItems();
+    const svgs = await Promise.all(items.map(item => getGallerySvg(item.tokenId, item.chain)));
+    return createGalleryBundle(items.map((item, i) => ({ ...item, svg: svgs[i] })));
+}
+
+/**
+ * Imports a bundle, merging it into the gallery
+ * @param {string} json - Bundle JSON
+ * @returns {Promise<Object>} { added, updated, skipped }
+ * @throws {Error} If the bundle is invalid or cannot be stored
+ */
+async function importGalleryBundle(json) {
+    // Validate everything before storing anything
+    const incoming = parseGalleryBundle(json);
+
+    await initGalleryStore();
+    const { items, changed, added, updated, skipped } = mergeGalleryItems(readGalleryIndex().items, incoming);
+
+    const db = await openGalleryDb();
+    if (db) {
+        await moveInlineSvgs(db, changed);
+    }
+    writeGalleryIndex(items);
+
+    return { added, updated, skipped };
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.initGalleryStore = initGalleryStore;
+    window.getGalleryItems = getGalleryItems;
+    window.getGallerySvg = getGallerySvg;
+    window.saveGalleryItem = saveGalleryItem;
+    window.removeGalleryItem = removeGalleryItem;
+    window.exportGalleryBundle = exportGalleryBundle;
+    window.importGalleryBundle = importGalleryBundle;
+}
+
+// Export the migration and bundle helpers for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GALLERY_SCHEMA_VERSION,
+        normalizeGalleryItem,
+        sanitizeGallerySvg,
+        migrateLegacyGalleries,
+        upgradeGalleryIndex,
+        createGalleryBundle,
+        parseGalleryBundle,
+        mergeGalleryItems
+    };
+}
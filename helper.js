@@ -2,186 +2,216 @@
  * Helper functions for the XENFT SVG Generator
  */
 
-// Convert SVG to image (PNG) for easy sharing
-function svgToPng(svgString, width, height) {
-    return new Promise((resolve, reject) => {
-        try {
-            // Create a canvas element
-            const canvas = document.createElement('canvas');
-            canvas.width = width || 800;
-            canvas.height = height || 800;
-            const ctx = canvas.getContext('2d');
-            
-            // Fill with white background
-            ctx.fillStyle = 'white';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-            
-            // Create SVG image
-            const img = new Image();
-            const svgBlob = new Blob([svgString], { type: 'image/svg+xml' });
-            const url = URL.createObjectURL(svgBlob);
-            
-            img.onload = function() {
-                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-                URL.revokeObjectURL(url);
-                
-                // Convert to PNG
-                const pngUrl = canvas.toDataURL('image/png');
-                resolve(pngUrl);
-            };
-            
-            img.onerror = function() {
-                URL.revokeObjectURL(url);
-                reject(new Error('Failed to load SVG'));
-            };
-            
-            img.src = url;
-        } catch (error) {
-            reject(error);
-        }
-    });
-}
-
-// Download the current SVG as a PNG file
-async function downloadPng(svgContent, tokenId) {
+// Read the persisted gallery filter
+function loadGalleryFilter() {
     try {
-        const pngUrl = await svgToPng(svgContent);
-        
-        const a = document.createElement('a');
-        a.href = pngUrl;
-        a.download = `XENFT-${tokenId}.png`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+        return normalizeGalleryFilter(JSON.parse(localStorage.getItem('xenftGalleryFilter') || 'null'));
     } catch (error) {
-        console.error('Failed to convert SVG to PNG:', error);
-        alert('Failed to download PNG. Please try the SVG format instead.');
+        console.error('Failed to read the gallery filter:', error);
+        return normalizeGalleryFilter(null);
     }
 }
 
-// Save XENFT to local storage
-function saveXENFTToLocalStorage(xenftData, svgContent) {
-    try {
-        // Get existing saved XENFTs
-        const savedXENFTs = JSON.parse(localStorage.getItem('savedXENFTs') || '[]');
-        
-        // Check if this XENFT is already saved
-        const existingIndex = savedXENFTs.findIndex(item => item.tokenId === xenftData.tokenId);
-        
-        // Prepare data to save
-        const dataToSave = {
-            tokenId: xenftData.tokenId,
-            vmuCount: xenftData.vmuCount,
-            term: xenftData.mintInfo.term,
-            xenBurned: xenftData.xenBurned,
-            svg: svgContent,
-            category: getXENFTRarityInfo(xenftData).category,
-            rarity: getXENFTRarityInfo(xenftData).rarity,
-            savedAt: new Date().toISOString()
-        };
-        
-        // Update or add
-        if (existingIndex >= 0) {
-            savedXENFTs[existingIndex] = dataToSave;
-        } else {
-            savedXENFTs.push(dataToSave);
-        }
-        
-        // Save back to local storage
-        localStorage.setItem('savedXENFTs', JSON.stringify(savedXENFTs));
-        
-        return true;
-    } catch (error) {
-        console.error('Failed to save XENFT to local storage:', error);
-        return false;
-    }
+// Persist the gallery filter
+function saveGalleryFilter(filter) {
+    localStorage.setItem('xenftGalleryFilter', JSON.stringify(normalizeGalleryFilter(filter)));
 }
 
-// Get saved XENFTs from local storage
-function getSavedXENFTs() {
-    try {
-        return JSON.parse(localStorage.getItem('savedXENFTs') || '[]');
-    } catch (error) {
-        console.error('Failed to get saved XENFTs from local storage:', error);
-        return [];
+// Show a filter in the toolbar controls
+function setGalleryToolbarValues(filter) {
+    const values = {
+        galleryQuery: filter.query,
+        galleryCategory: filter.category,
+        galleryRarity: filter.rarity,
+        galleryTermMin: filter.termMin === null ? '' : filter.termMin,
+        galleryTermMax: filter.termMax === null ? '' : filter.termMax,
+        galleryStatus: filter.status,
+        galleryRedeemed: filter.redeemed,
+        gallerySort: filter.sort
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    });
+    
+    const directionBtn = document.getElementById('gallerySortDirection');
+    if (directionBtn) {
+        directionBtn.textContent = filter.direction === 'asc' ? '↑' : '↓';
+        directionBtn.dataset.direction = filter.direction;
     }
 }
 
-// Remove a saved XENFT from local storage
-function removeSavedXENFT(tokenId) {
-    try {
-        // Get existing saved XENFTs
-        const savedXENFTs = JSON.parse(localStorage.getItem('savedXENFTs') || '[]');
-        
-        // Filter out the one to remove
-        const filteredXENFTs = savedXENFTs.filter(item => item.tokenId !== tokenId);
-        
-        // Save back to local storage
-        localStorage.setItem('savedXENFTs', JSON.stringify(filteredXENFTs));
+// Read the filter from the toolbar controls
+function getGalleryToolbarValues() {
+    const value = id => (document.getElementById(id) ? document.getElementById(id).value : undefined);
+    const directionBtn = document.getElementById('gallerySortDirection');
+    
+    return normalizeGalleryFilter({
+        query: value('galleryQuery'),
+        category: value('galleryCategory'),
+        rarity: value('galleryRarity'),
+        termMin: value('galleryTermMin'),
+        termMax: value('galleryTermMax'),
+        status: value('galleryStatus'),
+        redeemed: value('galleryRedeemed'),
+        sort: value('gallerySort'),
+        direction: directionBtn ? directionBtn.dataset.direction : undefined
+    });
+}
+
+// Offer the categories and rarities present in the gallery, keeping the selection
+function updateGalleryFilterOptions(items, filter) {
+    const { categories, rarities } = getGalleryFilterOptions(items);
+    [
+        ['galleryCategory', 'All types', categories, filter.category],
+        ['galleryRarity', 'All rarities', rarities, filter.rarity]
+    ].forEach(([id, allLabel, choices, selected]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
         
-        return true;
-    } catch (error) {
-        console.error('Failed to remove saved XENFT from local storage:', error);
-        return false;
+        // A stored choice stays selectable even when no saved card has it
+        const options = selected !== 'all' && !choices.includes(selected) ? [...choices, selected] : choices;
+        select.innerHTML = '';
+        select.appendChild(new Option(allLabel, 'all'));
+        options.forEach(choice => select.appendChild(new Option(choice, choice)));
+        select.value = selected;
+    });
+}
+
+// Wire the gallery toolbar; filter changes are persisted and re-render the gallery
+function initGalleryToolbar(container) {
+    setGalleryToolbarValues(loadGalleryFilter());
+    
+    let debounceTimer = null;
+    const apply = () => {
+        clearTimeout(debounceTimer);
+        saveGalleryFilter(getGalleryToolbarValues());
+        renderGallery(container);
+    };
+    
+    ['galleryCategory', 'galleryRarity', 'galleryStatus', 'galleryRedeemed', 'gallerySort'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', apply);
+    });
+    
+    // Typing re-renders once the user pauses
+    ['galleryQuery', 'galleryTermMin', 'galleryTermMax'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) {
+            el.addEventListener('input', () => {
+                clearTimeout(debounceTimer);
+                debounceTimer = setTimeout(apply, 250);
+            });
+        }
+    });
+    
+    const directionBtn = document.getElementById('gallerySortDirection');
+    if (directionBtn) {
+        directionBtn.addEventListener('click', () => {
+            const filter = getGalleryToolbarValues();
+            setGalleryToolbarValues({ ...filter, direction: filter.direction === 'asc' ? 'desc' : 'asc' });
+            apply();
+        });
+    }
+    
+    const resetBtn = document.getElementById('galleryResetFilter');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            setGalleryToolbarValues(normalizeGalleryFilter(null));
+            apply();
+        });
     }
 }
 
 // Create a gallery view of saved XENFTs
-function renderGallery(container) {
-    const savedXENFTs = getSavedXENFTs();
+async function renderGallery(container) {
+    const allXENFTs = await getGalleryItems();
+    const galleryCount = document.getElementById('galleryCount');
     
-    if (savedXENFTs.length === 0) {
+    if (allXENFTs.length === 0) {
+        if (galleryCount) galleryCount.textContent = '';
         container.innerHTML = '<p class="text-center my-4">No saved XENFTs found. View and save some XENFTs first!</p>';
         return;
     }
     
-    // Create gallery HTML
-    let galleryHTML = '<div class="gallery-grid">';
-    
-    savedXENFTs.forEach(xenft => {
-        galleryHTML += `
-            <div class="gallery-item" data-token-id="${xenft.tokenId}">
-                <div class="gallery-svg">${xenft.svg}</div>
-                <div class="gallery-info">
-                    <h3>XENFT #${xenft.tokenId}</h3>
-                    <p>Type: ${xenft.category} (${xenft.rarity})</p>
-                    <div class="gallery-actions">
-                        <button class="btn btn-sm btn-primary view-btn">View</button>
-                        <button class="btn btn-sm btn-danger remove-btn">Remove</button>
-                    </div>
+    // Apply the toolbar's search, filters and sort
+    const filter = loadGalleryFilter();
+    updateGalleryFilterOptions(allXENFTs, filter);
+    const savedXENFTs = applyGalleryFilter(allXENFTs, filter);
+    
+    if (galleryCount) {
+        galleryCount.textContent = savedXENFTs.length === allXENFTs.length
+            ? `${allXENFTs.length} saved XENFTs`
+            : `Showing ${savedXENFTs.length} of ${allXENFTs.length} saved XENFTs`;
+    }
+    
+    if (savedXENFTs.length === 0) {
+        container.innerHTML = '<p class="text-center my-4">No saved XENFTs match the filters.</p>';
+        return;
+    }
+    
+    // SVGs are stored apart from the index
+    const svgs = await Promise.all(savedXENFTs.map(xenft => getGallerySvg(xenft.tokenId, xenft.chain)));
+    
+    // Build the cards; the SVGs were sanitized when imported, everything else is set as text
+    const grid = document.createElement('div');
+    grid.className = 'gallery-grid';
+    
+    savedXENFTs.forEach((xenft, index) => {
+        const type = xenft.category ? `${xenft.category}${xenft.rarity ? ` (${xenft.rarity})` : ''}` : 'Unknown';
+        const chain = getChain(xenft.chain);
+        const item = document.createElement('div');
+        item.className = 'gallery-item';
+        item.dataset.chain = xenft.chain;
+        item.dataset.tokenId = xenft.tokenId;
+        item.innerHTML = `
+            <div class="gallery-svg"></div>
+            <div class="gallery-info">
+                <h3></h3>
+                <p class="gallery-network"></p>
+                <p class="gallery-type"></p>
+                <p class="gallery-template"></p>
+                <div class="gallery-actions">
+                    <button class="btn btn-sm btn-primary view-btn">View</button>
+                    <button class="btn btn-sm btn-danger remove-btn">Remove</button>
                 </div>
             </div>
         `;
+        item.querySelector('.gallery-svg').innerHTML = svgs[index];
+        item.querySelector('h3').textContent = `XENFT #${xenft.tokenId}`;
+        item.querySelector('.gallery-network').textContent = `Network: ${chain ? chain.name : xenft.chain}`;
+        item.querySelector('.gallery-type').textContent = `Type: ${type}`;
+        item.querySelector('.gallery-template').textContent = `Template: ${getTemplateLabel(xenft.template)}`;
+        grid.appendChild(item);
     });
     
-    galleryHTML += '</div>';
-    
-    // Set the HTML
-    container.innerHTML = galleryHTML;
+    container.innerHTML = '';
+    container.appendChild(grid);
     
     // Add event listeners
     container.querySelectorAll('.view-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            const tokenId = parseInt(btn.closest('.gallery-item').dataset.tokenId);
+            const { chain, tokenId } = btn.closest('.gallery-item').dataset;
+            const saved = savedXENFTs.find(item => item.chain === chain && item.tokenId === parseInt(tokenId));
             
-            // Switch to view mode and load this token
-            document.getElementById('galleryView').classList.add('hidden');
-            document.getElementById('mainView').classList.remove('hidden');
+            // Restore the template the card was saved with
+            if (saved && saved.template && typeof setSelectedTemplate === 'function') {
+                setSelectedTemplate(saved.template);
+            }
             
-            // Set current token ID and fetch data
-            currentTokenId = tokenId;
-            document.getElementById('tokenIdInput').value = tokenId;
-            fetchAndRenderXenft(tokenId);
+            // Open the token's link, which switches to its chain first
+            setRoute(getTokenRoute(parseInt(tokenId), chain));
+            applyRoute(currentRoute);
         });
     });
     
     container.querySelectorAll('.remove-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const tokenId = parseInt(btn.closest('.gallery-item').dataset.tokenId);
+        btn.addEventListener('click', async () => {
+            const { chain, tokenId } = btn.closest('.gallery-item').dataset;
             
             if (confirm(`Are you sure you want to remove XENFT #${tokenId} from your saved gallery?`)) {
                 // Remove from storage
-                removeSavedXENFT(tokenId);
+                await removeGalleryItem(parseInt(tokenId), chain);
                 
                 // Re-render gallery
                 renderGallery(container);
@@ -190,6 +220,51 @@ function renderGallery(container) {
     });
 }
 
+// Read a blob as a data: URL
+function readBlobAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Download the whole gallery as a JSON backup, optionally with a PNG of every card
+async function downloadGalleryBackup(includePng) {
+    const bundle = await exportGalleryBundle();
+    
+    if (includePng) {
+        for (const item of bundle.items) {
+            try {
+                item.png = await readBlobAsDataUrl(await exportRaster(item.svg, { format: 'png', scale: 2 }));
+            } catch (error) {
+                console.error(`Failed to render PNG for XENFT #${item.tokenId}:`, error);
+            }
+        }
+    }
+    
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `xenft-gallery-${bundle.exportedAt.split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    return bundle.items.length;
+}
+
+// Get the display label of a template name
+function getTemplateLabel(templateName) {
+    const name = templateName || 'classic';
+    const template = getSVGTemplates().find(item => item.name === name);
+    return template ? template.label : name;
+}
+
 // Add CSS styles for gallery
 function addGalleryStyles() {
     const style = document.createElement('style');
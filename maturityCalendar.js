@@ -0,0 +1,247 @@
+/**
+ * XENFT Maturity Calendar
+ *
+ * Turns XENFT maturity dates into calendar entries with their claim windows
+ * and exports them as iCalendar (.ics) events with reminders.
+ *
+ * A XENFT can be claimed from its maturity date on. The late-claim penalty
+ * (see rewardEstimator.js) starts after the first day and reaches its 99%
+ * maximum once the withdrawal window has passed.
+ */
+
+const CALENDAR_DAY_SECONDS = 86400;
+const CALENDAR_PRODUCT_ID = '-//xenft-svg-generator//Maturity Calendar//EN';
+const CALENDAR_UID_DOMAIN = 'xenft-svg-generator';
+
+/**
+ * Claim window of a maturity date, derived from the late-claim penalty schedule
+ * @param {number} maturityTs - Maturity timestamp in seconds
+ * @returns {Object} { opensTs, penaltyFreeUntilTs, closesTs } in seconds; after closesTs the penalty is at its maximum
+ */
+function getClaimWindow(maturityTs) {
+    const penaltyOf = typeof calculateLateClaimPenalty === 'function'
+        ? calculateLateClaimPenalty
+        : require('./rewardEstimator').calculateLateClaimPenalty;
+
+    let penaltyFreeDays = 0;
+    while (penaltyOf((penaltyFreeDays + 1) * CALENDAR_DAY_SECONDS - 1) === 0) {
+        penaltyFreeDays++;
+    }
+
+    const maxPenalty = penaltyOf(Number.MAX_SAFE_INTEGER);
+    let windowDays = penaltyFreeDays;
+    while (penaltyOf(windowDays * CALENDAR_DAY_SECONDS) < maxPenalty) {
+        windowDays++;
+    }
+
+    return {
+        opensTs: maturityTs,
+        penaltyFreeUntilTs: maturityTs + penaltyFreeDays * CALENDAR_DAY_SECONDS,
+        closesTs: maturityTs + windowDays * CALENDAR_DAY_SECONDS
+    };
+}
+
+/**
+ * Claim status of a token at a given time
+ * @param {Object} mintInfo - Decoded mintInfo
+ * @param {Object} claimWindow - Result of getClaimWindow
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {string} "Redeemed", "Maturing", "Claimable", "Late" (penalty applies) or "Missed" (maximum penalty)
+ */
+function getClaimStatus(mintInfo, claimWindow, nowMs) {
+    const nowSec = Math.floor(nowMs / 1000);
+    if (mintInfo.redeemed) return 'Redeemed';
+    if (nowSec < claimWindow.opensTs) return 'Maturing';
+    if (nowSec < claimWindow.penaltyFreeUntilTs) return 'Claimable';
+    if (nowSec < claimWindow.closesTs) return 'Late';
+    return 'Missed';
+}
+
+/**
+ * Builds calendar entries, ordered by maturity date
+ * @param {Object[]} tokens - xenftData objects
+ * @param {Object} [sourcesById] - tokenId -> source labels (e.g. ["owned", "watched"])
+ * @param {number} [nowMs] - Current time in milliseconds (defaults to Date.now())
+ * @returns {Object[]} { tokenId, vmuCount, maturityTs, claimWindow, status, daysToMaturity, sources }
+ */
+function buildCalendarEntries(tokens, sourcesById = {}, nowMs = Date.now()) {
+    return tokens
+        .filter(xenftData => xenftData.mintInfo && xenftData.mintInfo.maturityTs > 0)
+        .map(xenftData => {
+            const { maturityTs } = xenftData.mintInfo;
+            const claimWindow = getClaimWindow(maturityTs);
+            return {
+                tokenId: xenftData.tokenId,
+                vmuCount: xenftData.vmuCount,
+                maturityTs,
+                claimWindow,
+                status: getClaimStatus(xenftData.mintInfo, claimWindow, nowMs),
+                daysToMaturity: Math.max(0, Math.ceil((maturityTs * 1000 - nowMs) / (CALENDAR_DAY_SECONDS * 1000))),
+                sources: sourcesById[xenftData.tokenId] || []
+            };
+        })
+        .sort((a, b) => a.maturityTs - b.maturityTs || a.tokenId - b.tokenId);
+}
+
+/**
+ * Groups entries by maturity month (UTC)
+ * @param {Object[]} entries - Results of buildCalendarEntries
+ * @returns {Object[]} { month: "YYYY-MM", label: "January 2025", entries } in date order
+ */
+function groupEntriesByMonth(entries) {
+    const groups = [];
+    entries.forEach(entry => {
+        const date = new Date(entry.maturityTs * 1000);
+        const month = date.toISOString().slice(0, 7);
+        let group = groups.find(g => g.month === month);
+        if (!group) {
+            group = {
+                month,
+                label: date.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+                entries: []
+            };
+            groups.push(group);
+        }
+        group.entries.push(entry);
+    });
+    return groups;
+}
+
+/**
+ * Formats a timestamp as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+ * @param {number} timestampSec - Timestamp in seconds
+ * @returns {string} iCalendar date-time
+ */
+function formatICSDate(timestampSec) {
+    return new Date(timestampSec * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapes an iCalendar TEXT value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeICSText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets per line, as RFC 5545 requires
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF + space between segments)
+ */
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const segments = [];
+    let segment = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their 75 octets
+        const limit = segments.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            segments.push(segment);
+            segment = '';
+            octets = 0;
+        }
+        segment += char;
+        octets += size;
+    }
+    segments.push(segment);
+
+    return segments.join('\r\n ');
+}
+
+/**
+ * Builds a VALARM component
+ * @param {string} trigger - Trigger duration relative to the event start (e.g. "-P1D")
+ * @param {string} description - Reminder text
+ * @returns {string[]} Content lines
+ */
+function buildICSAlarm(trigger, description) {
+    return [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER:${trigger}`,
+        `DESCRIPTION:${escapeICSText(description)}`,
+        'END:VALARM'
+    ];
+}
+
+/**
+ * Exports calendar entries as an iCalendar file
+ * Each unredeemed token gets a penalty-free claim event (reminders a day before and at
+ * maturity) and a claim-window-closing event (reminder a day before).
+ * @param {Object[]} entries - Results of buildCalendarEntries
+ * @param {Object} [options] - Export options
+ * @param {string} [options.calendarName='XENFT Maturities'] - Calendar display name
+ * @param {number} [options.nowMs] - Timestamp for DTSTAMP (defaults to Date.now())
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function generateICS(entries, options = {}) {
+    const { calendarName = 'XENFT Maturities', nowMs = Date.now() } = options;
+    const dtstamp = formatICSDate(Math.floor(nowMs / 1000));
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CALENDAR_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(calendarName)}`
+    ];
+
+    entries.filter(entry => entry.status !== 'Redeemed').forEach(entry => {
+        const { tokenId, vmuCount, claimWindow } = entry;
+        const penaltyFreeUntil = new Date(claimWindow.penaltyFreeUntilTs * 1000).toUTCString();
+        const closes = new Date(claimWindow.closesTs * 1000).toUTCString();
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:xenft-${tokenId}-claim@${CALENDAR_UID_DOMAIN}`,
+            `DTSTAMP:${dtstamp}`,
+            `DTSTART:${formatICSDate(claimWindow.opensTs)}`,
+            `DTEND:${formatICSDate(claimWindow.penaltyFreeUntilTs)}`,
+            `SUMMARY:${escapeICSText(`Claim XENFT #${tokenId} (no penalty)`)}`,
+            `DESCRIPTION:${escapeICSText(`XENFT #${tokenId} (${vmuCount} VMUs) has matured.\nClaim before ${penaltyFreeUntil} to avoid the late-claim penalty.\nAfter ${closes} the penalty is at its maximum.`)}`,
+            'TRANSP:TRANSPARENT',
+            ...buildICSAlarm('-P1D', `XENFT #${tokenId} matures tomorrow`),
+            ...buildICSAlarm('PT0M', `XENFT #${tokenId} can be claimed now without penalty`),
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            `UID:xenft-${tokenId}-window-closes@${CALENDAR_UID_DOMAIN}`,
+            `DTSTAMP:${dtstamp}`,
+            `DTSTART:${formatICSDate(claimWindow.closesTs - 3600)}`,
+            `DTEND:${formatICSDate(claimWindow.closesTs)}`,
+            `SUMMARY:${escapeICSText(`XENFT #${tokenId} claim window closes`)}`,
+            `DESCRIPTION:${escapeICSText(`After ${closes} the late-claim penalty of XENFT #${tokenId} is at its maximum.`)}`,
+            'TRANSP:TRANSPARENT',
+            ...buildICSAlarm('-P1D', `Last day to claim XENFT #${tokenId} before the maximum penalty`),
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.getClaimWindow = getClaimWindow;
+    window.buildCalendarEntries = buildCalendarEntries;
+    window.groupEntriesByMonth = groupEntriesByMonth;
+    window.generateICS = generateICS;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getClaimWindow,
+        getClaimStatus,
+        buildCalendarEntries,
+        groupEntriesByMonth,
+        generateICS,
+        foldICSLine
+    };
+}
@@ -1,51 +1,84 @@
 /**
  * XENFT MintInfo Decoder Library
  * 
- * This library decodes the MintInfo data structure from the XENFT contract.
- * The mintInfo is a packed uint256 with the following structure:
- * - term (uint16)
- * - maturityTs (uint64)
- * - rank (uint128)
- * - amp (uint16)
- * - eaa (uint16)
- * - class (uint8): [7] isApex, [6] isLimited, [0-5] powerGroupIdx
- * - redeemed (uint8)
+ * This library decodes (and encodes) the MintInfo data structure from the XENFT contract.
+ * The mintInfo is a packed uint256, laid out by the contract's MintInfo library
+ * from the most significant bits down:
+ * - term (uint16)          bits 240-255
+ * - maturityTs (uint64)    bits 176-239
+ * - rank (uint128)         bits 48-175
+ * - amp (uint16)           bits 32-47
+ * - eaa (uint16)           bits 16-31
+ * - class (uint8)          bits 8-15: [7] isApex, [6] isLimited, [0-5] powerGroupIdx
+ * - redeemed (uint8)       bits 0-7
  */
 
+/**
+ * Known mintInfo bit layouts, keyed by version
+ * Every XENFT deployment so far uses "v1"; a deployment with a different
+ * MintInfo library gets its own entry here
+ */
+const MINT_INFO_LAYOUTS = {
+    v1: {
+        term: { offset: 240, bits: 16 },
+        maturityTs: { offset: 176, bits: 64 },
+        rank: { offset: 48, bits: 128 },
+        amp: { offset: 32, bits: 16 },
+        eaa: { offset: 16, bits: 16 },
+        class: { offset: 8, bits: 8 },
+        redeemed: { offset: 0, bits: 8 }
+    }
+};
+const DEFAULT_MINT_INFO_LAYOUT = 'v1';
+
+/**
+ * Looks up a mintInfo layout by version
+ * @param {string} [version] - Layout version; defaults to DEFAULT_MINT_INFO_LAYOUT
+ * @returns {Object} The layout
+ */
+function getMintInfoLayout(version) {
+    const layout = MINT_INFO_LAYOUTS[version || DEFAULT_MINT_INFO_LAYOUT];
+    if (!layout) {
+        throw new Error(`Unknown mintInfo layout: ${version}`);
+    }
+    return layout;
+}
+
+/**
+ * Reads a field from a packed mintInfo value
+ * @param {bigint} mintInfo - The packed value
+ * @param {Object} field - { offset, bits }
+ * @returns {bigint} Field value
+ */
+function readMintInfoField(mintInfo, field) {
+    return (mintInfo >> BigInt(field.offset)) & ((BigInt(1) << BigInt(field.bits)) - BigInt(1));
+}
+
 /**
  * Decodes a mintInfo value from the XENFT contract
  * @param {string|number|bigint} mintInfoValue - The raw mintInfo value
+ * @param {string} [layoutVersion] - Bit layout version; defaults to "v1"
  * @returns {Object} Decoded mintInfo object
  */
-function decodeMintInfo(mintInfoValue) {
+function decodeMintInfo(mintInfoValue, layoutVersion) {
     try {
         // Ensure we're working with BigInt to handle the large numbers correctly
         const mintInfo = BigInt(mintInfoValue);
+        const layout = getMintInfoLayout(layoutVersion);
         
         // Extract each field using bit masking and shifting
-        // redeemed is the lowest bit
-        const redeemed = Boolean(mintInfo & BigInt(1));
+        const redeemed = (readMintInfoField(mintInfo, layout.redeemed) & BigInt(1)) === BigInt(1);
         
-        // class is bits 1-8
-        const classValue = Number((mintInfo >> BigInt(1)) & BigInt(0xFF));
+        const classValue = Number(readMintInfoField(mintInfo, layout.class));
         const isApex = Boolean(classValue & 0x80);
         const isLimited = Boolean(classValue & 0x40);
         const powerGroupIdx = classValue & 0x3F;
         
-        // eaa is bits 9-24
-        const eaa = Number((mintInfo >> BigInt(9)) & BigInt(0xFFFF));
-        
-        // amp is bits 25-40
-        const amp = Number((mintInfo >> BigInt(25)) & BigInt(0xFFFF));
-        
-        // rank is bits 41-168
-        const rank = (mintInfo >> BigInt(41)) & BigInt(0xFFFFFFFFFFFFFFFF);
-        
-        // maturityTs is bits 169-232
-        const maturityTs = Number((mintInfo >> BigInt(169)) & BigInt(0xFFFFFFFFFFFFFFFF));
-        
-        // term is bits 233-248
-        const term = Number((mintInfo >> BigInt(233)) & BigInt(0xFFFF));
+        const eaa = Number(readMintInfoField(mintInfo, layout.eaa));
+        const amp = Number(readMintInfoField(mintInfo, layout.amp));
+        const rank = readMintInfoField(mintInfo, layout.rank);
+        const maturityTs = Number(readMintInfoField(mintInfo, layout.maturityTs));
+        const term = Number(readMintInfoField(mintInfo, layout.term));
         
         return {
             term,
@@ -80,36 +113,105 @@ function decodeMintInfo(mintInfoValue) {
 }
 
 /**
- * Generates dynamic color schemes based on the current date
- * Colors change every 30 days in a 12-month cycle
- * @returns {Object} The current color scheme and cycle information
+ * Encodes a mintInfo object into the packed uint256 the XENFT contract stores
+ * The inverse of decodeMintInfo
+ * @param {Object} mintInfo - Object in the shape returned by decodeMintInfo
+ * @param {string} [layoutVersion] - Bit layout version; defaults to "v1"
+ * @returns {bigint} The packed mintInfo value
+ * @throws {RangeError} If a field does not fit in its bit width
+ */
+function encodeMintInfo(mintInfo, layoutVersion) {
+    const layout = getMintInfoLayout(layoutVersion);
+    const { term = 0, maturityTs = 0, rank = 0, amp = 0, eaa = 0, class: classInfo = {}, redeemed = false } = mintInfo || {};
+    const { isApex = false, isLimited = false, powerGroupIdx = 0 } = classInfo;
+    
+    if (!Number.isInteger(powerGroupIdx) || powerGroupIdx < 0 || powerGroupIdx > 0x3F) {
+        throw new RangeError(`powerGroupIdx out of range (0-63): ${powerGroupIdx}`);
+    }
+    
+    const values = {
+        term,
+        maturityTs,
+        rank,
+        amp,
+        eaa,
+        class: (isApex ? 0x80 : 0) | (isLimited ? 0x40 : 0) | powerGroupIdx,
+        redeemed: redeemed ? 1 : 0
+    };
+    
+    let packed = BigInt(0);
+    Object.keys(values).forEach(name => {
+        const field = layout[name];
+        const value = BigInt(values[name]);
+        if (value < BigInt(0) || value >= (BigInt(1) << BigInt(field.bits))) {
+            throw new RangeError(`${name} does not fit in ${field.bits} bits: ${values[name]}`);
+        }
+        packed |= value << BigInt(field.offset);
+    });
+    
+    return packed;
+}
+
+/**
+ * The built-in 12 color schemes (one for each 30-day cycle)
  */
-function generateColorScheme() {
+const DEFAULT_COLOR_SCHEMES = [
+    { primary: "#FF5733", secondary: "#C70039", tertiary: "#900C3F", background: "#1C0F13" }, // Cycle 0
+    { primary: "#33FF57", secondary: "#00C739", tertiary: "#0C903F", background: "#0F1C13" }, // Cycle 1
+    { primary: "#3357FF", secondary: "#0039C7", tertiary: "#0C0C90", background: "#0F131C" }, // Cycle 2
+    { primary: "#FF33F5", secondary: "#C700B9", tertiary: "#900C84", background: "#1C0F1A" }, // Cycle 3
+    { primary: "#33FFF5", secondary: "#00C7B9", tertiary: "#0C9084", background: "#0F1C1A" }, // Cycle 4
+    { primary: "#FFFF33", secondary: "#C7C700", tertiary: "#909000", background: "#1C1C0F" }, // Cycle 5
+    { primary: "#FF8333", secondary: "#C75200", tertiary: "#903C00", background: "#1C150F" }, // Cycle 6
+    { primary: "#FF3383", secondary: "#C70052", tertiary: "#90003C", background: "#1C0F15" }, // Cycle 7
+    { primary: "#83FF33", secondary: "#52C700", tertiary: "#3C9000", background: "#151C0F" }, // Cycle 8
+    { primary: "#8333FF", secondary: "#5200C7", tertiary: "#3C0090", background: "#150F1C" }, // Cycle 9
+    { primary: "#33FFFF", secondary: "#00C7C7", tertiary: "#009090", background: "#0F1C1C" }, // Cycle 10
+    { primary: "#FF3333", secondary: "#C70000", tertiary: "#900000", background: "#1C0F0F" }, // Cycle 11
+];
+
+/**
+ * Resolves an "as of" value to a millisecond timestamp
+ * @param {number|Date} [asOf] - Timestamp in milliseconds or a Date; defaults to now
+ * @returns {number} Timestamp in milliseconds
+ */
+function resolveAsOf(asOf) {
+    if (asOf === undefined || asOf === null) return Date.now();
+    
+    const timestamp = Number(asOf);
+    if (!Number.isFinite(timestamp)) {
+        throw new Error("Invalid as-of timestamp");
+    }
+    return timestamp;
+}
+
+/**
+ * Generates dynamic color schemes based on the date
+ * Colors change every 30 days, rotating through the palettes (12 by default)
+ * @param {number|Date} [asOf] - Date to compute the scheme for (milliseconds); defaults to now
+ * @param {Object[]} [palettes] - Palettes to rotate through; defaults to DEFAULT_COLOR_SCHEMES
+ * @param {number} [colorCycle] - Use this palette index instead of the one for the date
+ * @returns {Object} The color scheme and cycle information for that date
+ */
+function generateColorScheme(asOf, palettes, colorCycle) {
     try {
+        const colorSchemes = palettes && palettes.length > 0 ? palettes : DEFAULT_COLOR_SCHEMES;
+        
         // Calculate days since epoch and divide by 30 to get a cycle number
-        const now = Math.floor(Date.now() / 1000);
+        const now = Math.floor(resolveAsOf(asOf) / 1000);
         const daysSinceEpoch = Math.floor(now / 86400);
-        const colorCycle = Math.floor(daysSinceEpoch / 30) % 12;
-        
-        // Define 12 different color schemes (one for each month essentially)
-        const colorSchemes = [
-            { primary: "#FF5733", secondary: "#C70039", tertiary: "#900C3F", background: "#1C0F13" }, // Cycle 0
-            { primary: "#33FF57", secondary: "#00C739", tertiary: "#0C903F", background: "#0F1C13" }, // Cycle 1
-            { primary: "#3357FF", secondary: "#0039C7", tertiary: "#0C0C90", background: "#0F131C" }, // Cycle 2
-            { primary: "#FF33F5", secondary: "#C700B9", tertiary: "#900C84", background: "#1C0F1A" }, // Cycle 3
-            { primary: "#33FFF5", secondary: "#00C7B9", tertiary: "#0C9084", background: "#0F1C1A" }, // Cycle 4
-            { primary: "#FFFF33", secondary: "#C7C700", tertiary: "#909000", background: "#1C1C0F" }, // Cycle 5
-            { primary: "#FF8333", secondary: "#C75200", tertiary: "#903C00", background: "#1C150F" }, // Cycle 6
-            { primary: "#FF3383", secondary: "#C70052", tertiary: "#90003C", background: "#1C0F15" }, // Cycle 7
-            { primary: "#83FF33", secondary: "#52C700", tertiary: "#3C9000", background: "#151C0F" }, // Cycle 8
-            { primary: "#8333FF", secondary: "#5200C7", tertiary: "#3C0090", background: "#150F1C" }, // Cycle 9
-            { primary: "#33FFFF", secondary: "#00C7C7", tertiary: "#009090", background: "#0F1C1C" }, // Cycle 10
-            { primary: "#FF3333", secondary: "#C70000", tertiary: "#900000", background: "#1C0F0F" }, // Cycle 11
-        ];
+        const cycleNumber = Number.isInteger(colorCycle)
+            ? ((colorCycle % colorSchemes.length) + colorSchemes.length) % colorSchemes.length
+            : Math.floor(daysSinceEpoch / 30) % colorSchemes.length;
+        const { primary, secondary, tertiary, background } = colorSchemes[cycleNumber];
         
         return {
-            ...colorSchemes[colorCycle],
-            cycleNumber: colorCycle,
+            primary,
+            secondary,
+            tertiary,
+            background,
+            cycleNumber,
+            cycleCount: colorSchemes.length,
             daysUntilNextCycle: 30 - (daysSinceEpoch % 30)
         };
     } catch (error) {
@@ -121,6 +223,7 @@ function generateColorScheme() {
             tertiary: "#0C0C90", 
             background: "#0F131C",
             cycleNumber: 0,
+            cycleCount: DEFAULT_COLOR_SCHEMES.length,
             daysUntilNextCycle: 30
         };
     }
@@ -190,416 +293,366 @@ function getXENFTRarityInfo(xenftData) {
 }
 
 /**
- * Generate SVG for a XENFT
+ * Hashes a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} value - The string to hash
+ * @returns {number} 32-bit hash
+ */
+function hashString(value) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Derives the render seed for a XENFT
+ * Without an explicit seed the seed comes from tokenId, rank and maturityTs,
+ * so the same token always gets the same pattern
  * @param {Object} xenftData - The XENFT data
- * @returns {string} SVG markup
+ * @param {string|number} [seed] - Optional explicit seed
+ * @returns {number} 32-bit seed
  */
-function generateXENFTSVG(xenftData) {
-    try {
-        // Validate input
-        if (!xenftData || !xenftData.tokenId) {
-            console.error("Invalid XENFT data provided to SVG generator");
-            return generateErrorSVG("Invalid XENFT data");
-        }
-        
-        const { tokenId, vmuCount = 0, mintInfo = {}, xenBurned = 0 } = xenftData;
-        const { term = 0, maturityTs = 0, rank = "0", amp = 0, eaa = 0, class: classInfo = {} } = mintInfo;
-        
-        // Get current color scheme based on date
-        const colorScheme = generateColorScheme();
-        
-        // Get rarity information
-        const rarityInfo = getXENFTRarityInfo(xenftData);
-        
-        // Set SVG dimensions
-        const svgHeight = 400;
-        const svgWidth = 400;
-        
-        // Calculate visual elements based on the data
-        const circleSize = Math.min(30 + vmuCount / 10, 100);
-        const circleCount = Math.min(vmuCount, 20);
-        const patternDensity = Math.min(1 + vmuCount / 50, 5);
-        
-        // Create dynamic visual elements
-        let circles = '';
-        for (let i = 0; i < circleCount; i++) {
-            const xPos = 50 + (300 * Math.sin(i * (2 * Math.PI / circleCount)));
-            const yPos = 200 + (150 * Math.cos(i * (2 * Math.PI / circleCount)));
-            const size = circleSize * (0.5 + (0.5 * Math.sin((i / circleCount) * Math.PI)));
-            
-            circles += `<circle cx="${xPos}" cy="${yPos}" r="${size}" fill="${colorScheme.primary}" opacity="${0.3 + (0.7 * i / circleCount)}" class="pulse-animation" />`;
-        }
-        
-        // Background pattern
-        let pattern = '';
-        for (let i = 0; i < patternDensity * 20; i++) {
-            const x1 = Math.random() * svgWidth;
-            const y1 = Math.random() * svgHeight;
-            const length = 20 + Math.random() * 80;
-            const angle = Math.random() * 2 * Math.PI;
-            const x2 = x1 + length * Math.cos(angle);
-            const y2 = y1 + length * Math.sin(angle);
-            
-            pattern += `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${colorScheme.tertiary}" stroke-width="1" opacity="0.2" />`;
-        }
-        
-        // Determine maturity status
-        const now = Math.floor(Date.now() / 1000);
-        const maturityStatus = now > maturityTs ? "Matured" : "Maturing";
-        const daysToMaturity = Math.max(0, Math.floor((maturityTs - now) / 86400));
-        
-        // Create the SVG
-        return `
-            <svg width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" xmlns="http://www.w3.org/2000/svg">
-                <rect width="100%" height="100%" fill="${colorScheme.background}" />
-                ${pattern}
-                <circle cx="${svgWidth/2}" cy="${svgHeight/2}" r="${svgWidth/3}" fill="none" stroke="${colorScheme.secondary}" stroke-width="10" opacity="0.8" />
-                ${circles}
-                <polygon points="${svgWidth/2},50 ${svgWidth/2 + 40},${svgHeight/2 - 20} ${svgWidth/2},${svgHeight - 50} ${svgWidth/2 - 40},${svgHeight/2 - 20}" fill="${rarityInfo.rarityColor}" opacity="0.8" />
-                <text x="${svgWidth/2}" y="30" fill="white" text-anchor="middle" font-family="Arial" font-size="20" font-weight="bold">XENFT #${tokenId}</text>
-                <text x="${svgWidth/2}" y="${svgHeight/2 - 45}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">VMUs: ${vmuCount}</text>
-                <text x="${svgWidth/2}" y="${svgHeight/2 - 25}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">Term: ${term} days</text>
-                <text x="${svgWidth/2}" y="${svgHeight/2 - 5}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">Rank: ${rank}</text>
-                <text x="${svgWidth/2}" y="${svgHeight/2 + 15}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">AMP: ${amp}</text>
-                <text x="${svgWidth/2}" y="${svgHeight/2 + 35}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">EAA: ${eaa}</text>
-                <text x="${svgWidth/2}" y="${svgHeight/2 + 55}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">${maturityStatus}: ${daysToMaturity > 0 ? `${daysToMaturity} days left` : 'Ready'}</text>
-                <text x="${svgWidth/2}" y="${svgHeight - 80}" fill="${colorScheme.primary}" text-anchor="middle" font-family="Arial" font-size="16" font-weight="bold">Color Cycle: ${colorScheme.cycleNumber + 1}/12</text>
-                <text x="${svgWidth/2}" y="${svgHeight - 60}" fill="${colorScheme.primary}" text-anchor="middle" font-family="Arial" font-size="12">Next cycle in ${colorScheme.daysUntilNextCycle} days</text>
-                <text x="${svgWidth/2}" y="${svgHeight - 30}" fill="white" text-anchor="middle" font-family="Arial" font-size="10">Generated on ${new Date().toISOString().split('T')[0]}</text>
-            </svg>
-        `;
-    } catch (error) {
-        console.error("Error generating XENFT SVG:", error);
-        return generateErrorSVG(error.message);
+function deriveRenderSeed(xenftData, seed) {
+    if (seed !== undefined && seed !== null && seed !== '') {
+        return hashString(String(seed));
     }
+    
+    const { tokenId = 0, mintInfo = {} } = xenftData || {};
+    const { rank = "0", maturityTs = 0 } = mintInfo;
+    return hashString(`${tokenId}:${rank}:${maturityTs}`);
 }
 
 /**
- * Generate error SVG when regular SVG generation fails
- * @param {string} errorMessage - Error message to display
- * @returns {string} Error SVG markup
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns a float in [0, 1) on each call, like Math.random
  */
-function generateErrorSVG(errorMessage) {
-    return `
-        <svg width="400" height="400" viewBox="0 0 400 400" xmlns="http://www.w3.org/2000/svg">
-            <rect width="100%" height="100%" fill="#1a1a1a" />
-            <text x="200" y="180" fill="#ff3333" text-anchor="middle" font-family="Arial" font-size="20" font-weight="bold">SVG Generation Error</text>
-            <text x="200" y="220" fill="#ffffff" text-anchor="middle" font-family="Arial" font-size="14">${errorMessage || "Unknown error"}</text>
-            <text x="200" y="370" fill="#888888" text-anchor="middle" font-family="Arial" font-size="10">Generated on ${new Date().toISOString().split('T')[0]}</text>
-        </svg>
-    `;
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
 
 /**
- * Save XENFT data to browser's local storage
- * @param {Object} xenftData - The XENFT data to save
- * @param {string} svgContent - The SVG content to save
- * @returns {boolean} Success status
+ * Registered SVG templates, keyed by name
  */
-function saveXENFTToLocalStorage(xenftData, svgContent) {
-    try {
-        if (!xenftData || !xenftData.tokenId || !svgContent) {
-            console.error("Missing required data for saving to local storage");
-            return false;
-        }
-        
-        // Get existing saved XENFTs or initialize empty array
-        const savedXenfts = JSON.parse(localStorage.getItem('savedXenfts') || '[]');
-        
-        // Check if this XENFT is already saved
-        const existingIndex = savedXenfts.findIndex(item => item.tokenId === xenftData.tokenId);
-        
-        // Create entry with timestamp
-        const entry = {
-            tokenId: xenftData.tokenId,
-            data: xenftData,
-            svg: svgContent,
-            savedAt: new Date().toISOString()
-        };
-        
-        // Update or add
-        if (existingIndex >= 0) {
-            savedXenfts[existingIndex] = entry;
-        } else {
-            savedXenfts.push(entry);
-        }
-        
-        // Save back to localStorage
-        localStorage.setItem('savedXenfts', JSON.stringify(savedXenfts));
-        return true;
-    } catch (error) {
-        console.error("Error saving XENFT to local storage:", error);
-        return false;
+const SVG_TEMPLATES = {};
+const DEFAULT_SVG_TEMPLATE = 'classic';
+
+/**
+ * Registers a named SVG template
+ * A template's render function receives the render context (decoded xenftData,
+ * color scheme, rarity info, seeded random, maturity status...) and returns SVG markup
+ * @param {string} name - Template name, used in options.template
+ * @param {Object} template - { label, description, render(context) }
+ */
+function registerSVGTemplate(name, template) {
+    if (!name || !template || typeof template.render !== 'function') {
+        throw new Error("A template needs a name and a render function");
     }
+    SVG_TEMPLATES[name] = {
+        name,
+        label: template.label || name,
+        description: template.description || '',
+        render: template.render
+    };
 }
 
 /**
- * Render saved XENFTs to the gallery container
- * @param {HTMLElement} container - The container element to render the gallery into
+ * Lists the registered SVG templates
+ * @returns {Object[]} { name, label, description } for each template
  */
-function renderGallery(container) {
+function getSVGTemplates() {
+    return Object.values(SVG_TEMPLATES).map(({ name, label, description }) => ({ name, label, description }));
+}
+
+const PALETTE_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Checks that every palette color is #RRGGBB; templates write them into SVG attributes as they are
+ * @param {Object[]} palettes - Palettes from the rendering options
+ * @throws {Error} If a palette is missing a color or has one in another format
+ */
+function validatePalettes(palettes) {
+    palettes.forEach((palette, index) => {
+        ['primary', 'secondary', 'tertiary', 'background'].forEach(key => {
+            const color = palette ? palette[key] : undefined;
+            if (typeof color !== 'string' || !PALETTE_COLOR_PATTERN.test(color)) {
+                throw new Error(`Palette ${index + 1} has an invalid ${key} color (expected #RRGGBB)`);
+            }
+        });
+    });
+}
+
+/**
+ * Builds the data every template renders from
+ * @param {Object} xenftData - The XENFT data
+ * @param {Object} options - Rendering options (see generateXENFTSVG)
+ * @returns {Object} Render context
+ */
+function createRenderContext(xenftData, options) {
+    const { tokenId, vmuCount = 0, mintInfo = {}, xenBurned = 0 } = xenftData;
+    const { term = 0, maturityTs = 0, rank = "0", amp = 0, eaa = 0, class: classInfo = {}, redeemed = false } = mintInfo;
+    
+    // Get the color scheme for the as-of date; a single palette is used whatever the date
+    const asOf = resolveAsOf(options.asOf);
+    const palettes = options.palette ? [options.palette] : options.palettes;
+    if (palettes) validatePalettes(palettes);
+    const colorScheme = generateColorScheme(asOf, palettes, options.colorCycle);
+    
+    // Determine maturity status
+    const now = Math.floor(asOf / 1000);
+    const maturityStatus = now > maturityTs ? "Matured" : "Maturing";
+    const daysToMaturity = Math.max(0, Math.floor((maturityTs - now) / 86400));
+    
+    // Share of the term that has elapsed (0-1)
+    const termSeconds = term * 86400;
+    const maturityProgress = termSeconds > 0
+        ? Math.min(1, Math.max(0, (now - (maturityTs - termSeconds)) / termSeconds))
+        : 1;
+    
+    return {
+        xenftData,
+        tokenId,
+        vmuCount,
+        xenBurned,
+        term,
+        maturityTs,
+        rank,
+        amp,
+        eaa,
+        classInfo,
+        redeemed,
+        colorScheme,
+        rarityInfo: getXENFTRarityInfo(xenftData),
+        width: 400,
+        height: 400,
+        random: createSeededRandom(deriveRenderSeed(xenftData, options.seed)),
+        asOf,
+        now,
+        maturityStatus,
+        daysToMaturity,
+        maturityProgress,
+        rewardEstimate: options.rewardEstimate || null,
+        generatedOn: new Date(asOf).toISOString().split('T')[0]
+    };
+}
+
+/**
+ * Generate SVG for a XENFT
+ * @param {Object} xenftData - The XENFT data
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.template] - Name of a registered template; defaults to "classic"
+ * @param {string|number} [options.seed] - Explicit seed for the random parts of the design
+ * @param {number|Date} [options.asOf] - Render the card as it looks on this date (milliseconds); defaults to now
+ * @param {Object[]} [options.palettes] - Palettes for the color cycle rotation, colors as #RRGGBB; defaults to DEFAULT_COLOR_SCHEMES
+ * @param {Object} [options.palette] - A single palette { primary, secondary, tertiary, background } used on every date, instead of options.palettes
+ * @param {Object} [options.rewardEstimate] - Result of estimateXENReward, shown on the card when given
+ * @param {boolean} [options.animated] - Embed the card's animation in the SVG itself (see embedSVGAnimation)
+ * @param {number} [options.animationTime] - Freeze the animation this many seconds in (implies animated)
+ * @param {number} [options.colorCycle] - Render with this palette index instead of the as-of date's
+ * @param {boolean} [options.throwOnError] - Throw when the card can't be rendered, instead of returning an error card
+ * @returns {string} SVG markup
+ */
+function generateXENFTSVG(xenftData, options = {}) {
     try {
-        if (!container) {
-            console.error("Gallery container not found");
-            return;
+        // Validate input
+        if (!xenftData || !xenftData.tokenId) {
+            throw new Error("Invalid XENFT data");
         }
         
-        // Clear container
-        container.innerHTML = '';
-        
-        // Get saved XENFTs
-        const savedXenfts = JSON.parse(localStorage.getItem('savedXenfts') || '[]');
-        
-        if (savedXenfts.length === 0) {
-            container.innerHTML = '<p class="empty-gallery">No saved XENFTs. View a XENFT and click "Save to Gallery" to add it here.</p>';
-            return;
+        const templateName = options.template || DEFAULT_SVG_TEMPLATE;
+        const template = SVG_TEMPLATES[templateName];
+        if (!template) {
+            throw new Error(`Unknown template: ${templateName}`);
         }
         
-        // Create gallery items
-        savedXenfts.forEach(item => {
-            const galleryItem = document.createElement('div');
-            galleryItem.className = 'gallery-item';
-            
-            // Create SVG container
-            const svgContainer = document.createElement('div');
-            svgContainer.className = 'gallery-svg';
-            svgContainer.innerHTML = item.svg;
-            
-            // Create info section
-            const infoSection = document.createElement('div');
-            infoSection.className = 'gallery-info';
-            
-            const tokenInfo = document.createElement('h3');
-            tokenInfo.textContent = `XENFT #${item.tokenId}`;
-            
-            const savedDate = document.createElement('p');
-            const date = new Date(item.savedAt).toLocaleDateString();
-            savedDate.textContent = `Saved: ${date}`;
-            
-            const deleteButton = document.createElement('button');
-            deleteButton.className = 'btn btn-danger btn-sm';
-            deleteButton.textContent = 'Remove';
-            deleteButton.addEventListener('click', (e) => {
-                e.stopPropagation();
-                if (confirm(`Remove XENFT #${item.tokenId} from your gallery?`)) {
-                    removeFromGallery(item.tokenId);
-                    renderGallery(container);
-                }
-            });
-            
-            // Assemble
-            infoSection.appendChild(tokenInfo);
-            infoSection.appendChild(savedDate);
-            infoSection.appendChild(deleteButton);
-            
-            galleryItem.appendChild(svgContainer);
-            galleryItem.appendChild(infoSection);
-            
-            // Add click to view in main view
-            galleryItem.addEventListener('click', () => {
-                // If the viewXENFT function exists, call it
-                if (typeof viewXENFT === 'function') {
-                    viewXENFT(item.tokenId);
-                    
-                    // Switch to view tab programmatically
-                    const viewTab = document.getElementById('viewTab');
-                    if (viewTab) {
-                        viewTab.click();
-                    }
-                }
-            });
-            
-            container.appendChild(galleryItem);
-        });
+        const svg = template.render(createRenderContext(xenftData, options));
+        const frozen = typeof options.animationTime === 'number';
+        return options.animated || frozen ? embedSVGAnimation(svg, frozen ? options.animationTime : undefined) : svg;
     } catch (error) {
-        console.error("Error rendering gallery:", error);
-        container.innerHTML = '<p class="error">Error loading gallery. Please try again.</p>';
+        if (options.throwOnError) throw error;
+        return generateErrorSVG(error.message, options.asOf);
     }
 }
 
+// Keyframes for the animation classes templates put on their elements:
+// xenft-pulse (VMU circles), xenft-spin (rings) and xenft-sweep (progress arcs drawn with pathLength="1").
+// Rules are scoped to the root's xenft-animated class, so a static SVG on the same page stays still.
+// Elements stagger through --xenft-delay; --xenft-time on the root shifts every animation to a given instant.
+const SVG_ANIMATION_STYLE = `
+    @keyframes xenft-pulse { 0%, 100% { opacity: 0.35; } 50% { opacity: 1; } }
+    @keyframes xenft-spin { from { transform: rotate(0deg); } to { transform: rotate(360deg); } }
+    @keyframes xenft-sweep { from { stroke-dashoffset: 1; } to { stroke-dashoffset: 0; } }
+    .xenft-animated .xenft-pulse { animation: xenft-pulse 3s ease-in-out infinite; }
+    .xenft-animated .xenft-spin { transform-box: fill-box; transform-origin: center; stroke-dasharray: 48 16; animation: xenft-spin 24s linear infinite; }
+    .xenft-animated .xenft-sweep { stroke-dasharray: 1; animation: xenft-sweep 2.5s ease-out; }
+    .xenft-animated .xenft-pulse, .xenft-animated .xenft-spin, .xenft-animated .xenft-sweep {
+        animation-delay: calc(var(--xenft-delay, 0s) - var(--xenft-time, 0s));
+    }
+    @media (prefers-reduced-motion: reduce) {
+        .xenft-animated .xenft-pulse, .xenft-animated .xenft-spin, .xenft-animated .xenft-sweep { animation: none; }
+    }
+`;
+
 /**
- * Remove a XENFT from the gallery
- * @param {number} tokenId - The token ID to remove
- * @returns {boolean} Success status
+ * Makes an SVG self-animating by embedding the animation stylesheet
+ * The static look is the resting state, so viewers without CSS animation show the static card.
+ * @param {string} svg - SVG markup from a template
+ * @param {number} [frameTime] - Pause every animation this many seconds in, e.g. to rasterize a frame
+ * @returns {string} SVG markup with the xenft-animated root class and an embedded <style>
  */
-function removeFromGallery(tokenId) {
-    try {
-        // Get existing saved XENFTs
-        const savedXenfts = JSON.parse(localStorage.getItem('savedXenfts') || '[]');
-        
-        // Filter out the one to remove
-        const updatedXenfts = savedXenfts.filter(item => item.tokenId !== tokenId);
-        
-        // Save back to localStorage
-        localStorage.setItem('savedXenfts', JSON.stringify(updatedXenfts));
-        return true;
-    } catch (error) {
-        console.error("Error removing XENFT from gallery:", error);
-        return false;
-    }
+function embedSVGAnimation(svg, frameTime) {
+    const frozen = typeof frameTime === 'number';
+    const style = frozen
+        ? `${SVG_ANIMATION_STYLE}    .xenft-animated * { animation-play-state: paused; }\n`
+        : SVG_ANIMATION_STYLE;
+    
+    return svg.replace(/<svg\b([^>]*)>/, (match, attributes) => {
+        let root = /\sclass="/.test(attributes)
+            ? `<svg${attributes.replace(/\sclass="/, ' class="xenft-animated ')}>`
+            : `<svg class="xenft-animated"${attributes}>`;
+        if (frozen) {
+            root = root.replace(/^<svg/, `<svg style="--xenft-time: ${frameTime}s"`);
+        }
+        return `${root}<style>${style}</style>`;
+    });
 }
 
 /**
- * Add gallery styles to the document
+ * The original XENFT layout: VMU circles around a rarity diamond with stacked text
+ * @param {Object} context - Render context
+ * @returns {string} SVG markup
  */
-function addGalleryStyles() {
-    // Check if styles already exist
-    if (document.getElementById('gallery-styles')) return;
+function renderClassicTemplate(context) {
+    const { tokenId, vmuCount, term, rank, amp, eaa, colorScheme, rarityInfo, random, rewardEstimate } = context;
+    const { width: svgWidth, height: svgHeight, maturityStatus, daysToMaturity, generatedOn } = context;
     
-    // Create style element
-    const styleEl = document.createElement('style');
-    styleEl.id = 'gallery-styles';
+    // Calculate visual elements based on the data
+    const circleSize = Math.min(30 + vmuCount / 10, 100);
+    const circleCount = Math.min(vmuCount, 20);
+    const patternDensity = Math.min(1 + vmuCount / 50, 5);
     
-    // Add CSS
-    styleEl.textContent = `
-        #galleryContainer {
-            display: grid;
-            grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
-            gap: 20px;
-            margin-top: 20px;
-        }
-        
-        .gallery-item {
-            border: 1px solid #444;
-            border-radius: 8px;
-            overflow: hidden;
-            background: #222;
-            transition: transform 0.2s, box-shadow 0.2s;
-            cursor: pointer;
-        }
-        
-        .gallery-item:hover {
-            transform: translateY(-5px);
-            box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
-        }
-        
-        .gallery-svg {
-            height: 200px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            background: #1a1a1a;
-            overflow: hidden;
-        }
-        
-        .gallery-svg svg {
-            max-width: 100%;
-            max-height: 100%;
-        }
-        
-        .gallery-info {
-            padding: 10px;
-        }
-        
-        .gallery-info h3 {
-            margin: 0 0 5px 0;
-            font-size: 16px;
-        }
-        
-        .gallery-info p {
-            margin: 0 0 10px 0;
-            font-size: 12px;
-            color: #aaa;
-        }
-        
-        .empty-gallery {
-            grid-column: 1 / -1;
-            text-align: center;
-            padding: 40px;
-            color: #888;
-            font-style: italic;
-        }
-        
-        .btn-sm {
-            padding: 5px 10px;
-            font-size: 12px;
-        }
-    `;
+    // Create dynamic visual elements
+    let circles = '';
+    for (let i = 0; i < circleCount; i++) {
+        const xPos = 50 + (300 * Math.sin(i * (2 * Math.PI / circleCount)));
+        const yPos = 200 + (150 * Math.cos(i * (2 * Math.PI / circleCount)));
+        const size = circleSize * (0.5 + (0.5 * Math.sin((i / circleCount) * Math.PI)));
+        
+        circles += `<circle cx="${xPos}" cy="${yPos}" r="${size}" fill="${colorScheme.primary}" opacity="${0.3 + (0.7 * i / circleCount)}" class="xenft-pulse" style="--xenft-delay: ${(i * 0.15).toFixed(2)}s" />`;
+    }
+    
+    // Background pattern (seeded so identical inputs render identically)
+    let pattern = '';
+    for (let i = 0; i < patternDensity * 20; i++) {
+        const x1 = random() * svgWidth;
+        const y1 = random() * svgHeight;
+        const length = 20 + random() * 80;
+        const angle = random() * 2 * Math.PI;
+        const x2 = x1 + length * Math.cos(angle);
+        const y2 = y1 + length * Math.sin(angle);
+        
+        pattern += `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${colorScheme.tertiary}" stroke-width="1" opacity="0.2" />`;
+    }
     
-    // Add to document
-    document.head.appendChild(styleEl);
+    // Create the SVG
+    return `
+            <svg width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" xmlns="http://www.w3.org/2000/svg">
+                <rect width="100%" height="100%" fill="${colorScheme.background}" />
+                ${pattern}
+                <circle cx="${svgWidth/2}" cy="${svgHeight/2}" r="${svgWidth/3}" fill="none" stroke="${colorScheme.secondary}" stroke-width="10" opacity="0.8" class="xenft-spin" />
+                ${circles}
+                <polygon points="${svgWidth/2},50 ${svgWidth/2 + 40},${svgHeight/2 - 20} ${svgWidth/2},${svgHeight - 50} ${svgWidth/2 - 40},${svgHeight/2 - 20}" fill="${rarityInfo.rarityColor}" opacity="0.8" />
+                <text x="${svgWidth/2}" y="30" fill="white" text-anchor="middle" font-family="Arial" font-size="20" font-weight="bold">XENFT #${tokenId}</text>
+                <text x="${svgWidth/2}" y="${svgHeight/2 - 45}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">VMUs: ${vmuCount}</text>
+                <text x="${svgWidth/2}" y="${svgHeight/2 - 25}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">Term: ${term} days</text>
+                <text x="${svgWidth/2}" y="${svgHeight/2 - 5}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">Rank: ${rank}</text>
+                <text x="${svgWidth/2}" y="${svgHeight/2 + 15}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">AMP: ${amp}</text>
+                <text x="${svgWidth/2}" y="${svgHeight/2 + 35}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">EAA: ${eaa}</text>
+                <text x="${svgWidth/2}" y="${svgHeight/2 + 55}" fill="white" text-anchor="middle" font-family="Arial" font-size="14">${maturityStatus}: ${daysToMaturity > 0 ? `${daysToMaturity} days left` : 'Ready'}</text>
+                ${rewardEstimate ? `<text x="${svgWidth/2}" y="${svgHeight/2 + 75}" fill="white" text-anchor="middle" font-family="Arial" font-size="14" font-weight="bold">Est. Reward: ${rewardEstimate.net.toLocaleString('en-US')} XEN</text>` : ''}
+                <text x="${svgWidth/2}" y="${svgHeight - 80}" fill="${colorScheme.primary}" text-anchor="middle" font-family="Arial" font-size="16" font-weight="bold">Color Cycle: ${colorScheme.cycleNumber + 1}/${colorScheme.cycleCount}</text>
+                <text x="${svgWidth/2}" y="${svgHeight - 60}" fill="${colorScheme.primary}" text-anchor="middle" font-family="Arial" font-size="12">Next cycle in ${colorScheme.daysUntilNextCycle} days</text>
+                <text x="${svgWidth/2}" y="${svgHeight - 30}" fill="white" text-anchor="middle" font-family="Arial" font-size="10">Generated on ${generatedOn}</text>
+            </svg>
+        `;
+}
+
+registerSVGTemplate('classic', {
+    label: 'Classic',
+    description: 'VMU circles around a rarity diamond',
+    render: renderClassicTemplate
+});
+
+/**
+ * Escapes text for use in SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeSVGText(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
 }
 
 /**
- * Converts an SVG to a PNG and downloads it
- * @param {string} svgContent - The SVG content to convert
- * @param {number} tokenId - The token ID for the filename
+ * Generate error SVG when regular SVG generation fails
+ * @param {string} errorMessage - Error message to display
+ * @param {number|Date} [asOf] - Date shown on the card (milliseconds); defaults to now
+ * @returns {string} Error SVG markup
  */
-function downloadPng(svgContent, tokenId) {
+function generateErrorSVG(errorMessage, asOf) {
+    // An invalid as-of date may be the error being reported
+    let generatedOn;
     try {
-        // Create a temporary container
-        const container = document.createElement('div');
-        container.style.position = 'absolute';
-        container.style.top = '-9999px';
-        container.style.left = '-9999px';
-        container.innerHTML = svgContent;
-        document.body.appendChild(container);
-        
-        const svgElement = container.querySelector('svg');
-        
-        if (!svgElement) {
-            throw new Error("SVG element not found");
-        }
-        
-        // Set dimensions
-        const width = parseInt(svgElement.getAttribute('width') || '400');
-        const height = parseInt(svgElement.getAttribute('height') || '400');
-        
-        // Create canvas
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext('2d');
-        
-        // Create image from SVG
-        const img = new Image();
-        img.src = 'data:image/svg+xml;base64,' + btoa(new XMLSerializer().serializeToString(svgElement));
-        
-        img.onload = function() {
-            // Draw to canvas
-            ctx.drawImage(img, 0, 0);
-            
-            // Convert to data URL
-            try {
-                const dataUrl = canvas.toDataURL('image/png');
-                
-                // Create download link
-                const a = document.createElement('a');
-                a.href = dataUrl;
-                a.download = `XENFT-${tokenId}.png`;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-            } catch (error) {
-                console.error("Error converting to PNG:", error);
-                alert("Failed to convert to PNG. This may be due to cross-origin restrictions.");
-            }
-            
-            // Clean up
-            document.body.removeChild(container);
-        };
-        
-        img.onerror = function() {
-            document.body.removeChild(container);
-            console.error("Error loading SVG for PNG conversion");
-            alert("Failed to convert SVG to PNG");
-        };
+        generatedOn = new Date(resolveAsOf(asOf)).toISOString().split('T')[0];
     } catch (error) {
-        console.error("Error in PNG download:", error);
-        alert("Error creating PNG: " + error.message);
+        generatedOn = new Date().toISOString().split('T')[0];
     }
+
+    return `
+        <svg width="400" height="400" viewBox="0 0 400 400" xmlns="http://www.w3.org/2000/svg">
+            <rect width="100%" height="100%" fill="#1a1a1a" />
+            <text x="200" y="180" fill="#ff3333" text-anchor="middle" font-family="Arial" font-size="20" font-weight="bold">SVG Generation Error</text>
+            <text x="200" y="220" fill="#ffffff" text-anchor="middle" font-family="Arial" font-size="14">${escapeSVGText(errorMessage || "Unknown error")}</text>
+            <text x="200" y="370" fill="#888888" text-anchor="middle" font-family="Arial" font-size="10">Generated on ${generatedOn}</text>
+        </svg>
+    `;
 }
 
 // Make our functions available globally
-window.decodeMintInfo = decodeMintInfo;
-window.generateColorScheme = generateColorScheme;
-window.getXENFTRarityInfo = getXENFTRarityInfo;
-window.generateXENFTSVG = generateXENFTSVG;
-window.saveXENFTToLocalStorage = saveXENFTToLocalStorage;
-window.renderGallery = renderGallery;
-window.removeFromGallery = removeFromGallery;
-window.addGalleryStyles = addGalleryStyles;
-window.downloadPng = downloadPng;
+if (typeof window !== 'undefined') {
+    window.decodeMintInfo = decodeMintInfo;
+    window.encodeMintInfo = encodeMintInfo;
+    window.generateColorScheme = generateColorScheme;
+    window.getXENFTRarityInfo = getXENFTRarityInfo;
+    window.generateXENFTSVG = generateXENFTSVG;
+    window.embedSVGAnimation = embedSVGAnimation;
+    window.registerSVGTemplate = registerSVGTemplate;
+    window.getSVGTemplates = getSVGTemplates;
+}
 
-// Initialize window.currentTokenId if it doesn't exist
-window.currentTokenId = window.currentTokenId || null;
+// Export the DOM-free renderer functions for Node (see renderer.js for the public API)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        decodeMintInfo,
+        encodeMintInfo,
+        MINT_INFO_LAYOUTS,
+        generateColorScheme,
+        getXENFTRarityInfo,
+        generateXENFTSVG,
+        embedSVGAnimation,
+        generateErrorSVG,
+        registerSVGTemplate,
+        getSVGTemplates,
+        DEFAULT_COLOR_SCHEMES,
+        deriveRenderSeed,
+        createSeededRandom
+    };
+}
@@ -0,0 +1,167 @@
+/**
+ * XENFT Portfolio
+ *
+ * Aggregates the data of many XENFTs into totals and table rows for the
+ * portfolio dashboard, sorts the rows and exports them as CSV.
+ */
+
+/**
+ * Table columns, in display order
+ * `value` extracts the sortable value of a row, `format` its display (and CSV) text
+ */
+const PORTFOLIO_COLUMNS = [
+    { key: 'tokenId', label: 'Token', value: row => row.tokenId, format: row => `#${row.tokenId}` },
+    { key: 'category', label: 'Type', value: row => row.category, format: row => row.category },
+    { key: 'vmuCount', label: 'VMUs', value: row => row.vmuCount, format: row => String(row.vmuCount) },
+    { key: 'term', label: 'Term', value: row => row.term, format: row => `${row.term} days` },
+    { key: 'maturityTs', label: 'Maturity', value: row => row.maturityTs, format: row => formatDate(row.maturityTs) },
+    { key: 'rank', label: 'Rank', value: row => BigInt(row.rank), format: row => row.rank },
+    { key: 'amp', label: 'AMP', value: row => row.amp, format: row => String(row.amp) },
+    { key: 'eaa', label: 'EAA', value: row => row.eaa, format: row => String(row.eaa) },
+    { key: 'xenBurned', label: 'XEN Burned', value: row => row.xenBurned, format: row => String(row.xenBurned) },
+    { key: 'status', label: 'Status', value: row => row.status, format: row => row.status }
+];
+
+/**
+ * Formats a timestamp as YYYY-MM-DD (UTC)
+ * @param {number} timestampSec - Timestamp in seconds
+ * @returns {string} Formatted date, or "-" when unknown
+ */
+function formatDate(timestampSec) {
+    return timestampSec > 0 ? new Date(timestampSec * 1000).toISOString().split('T')[0] : '-';
+}
+
+/**
+ * Lifecycle status of a token
+ * @param {Object} mintInfo - Decoded mintInfo
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {string} "Redeemed", "Matured" or "Maturing"
+ */
+function getMaturityStatus(mintInfo, nowMs) {
+    if (mintInfo.redeemed) return 'Redeemed';
+    return mintInfo.maturityTs * 1000 <= nowMs ? 'Matured' : 'Maturing';
+}
+
+/**
+ * Builds the dashboard table rows
+ * @param {Object[]} tokens - xenftData objects
+ * @param {number} [nowMs] - Current time in milliseconds (defaults to Date.now())
+ * @returns {Object[]} One flat row per token
+ */
+function buildPortfolioRows(tokens, nowMs = Date.now()) {
+    const rarityOf = typeof getXENFTRarityInfo === 'function' ? getXENFTRarityInfo : require('./mintInfoDecoder').getXENFTRarityInfo;
+
+    return tokens.map(xenftData => {
+        const { mintInfo } = xenftData;
+        return {
+            tokenId: xenftData.tokenId,
+            category: rarityOf(xenftData).category,
+            vmuCount: xenftData.vmuCount,
+            xenBurned: xenftData.xenBurned,
+            term: mintInfo.term,
+            maturityTs: mintInfo.maturityTs,
+            rank: String(mintInfo.rank),
+            amp: mintInfo.amp,
+            eaa: mintInfo.eaa,
+            status: getMaturityStatus(mintInfo, nowMs)
+        };
+    });
+}
+
+/**
+ * Totals across the portfolio
+ * @param {Object[]} rows - Results of buildPortfolioRows
+ * @returns {Object} { tokens, vmus, xenBurned, categories: {Apex, Limited, Common}, statuses: {Matured, Maturing, Redeemed} }
+ */
+function summarizePortfolio(rows) {
+    const summary = {
+        tokens: rows.length,
+        vmus: 0,
+        xenBurned: 0,
+        categories: { Apex: 0, Limited: 0, Common: 0 },
+        statuses: { Matured: 0, Maturing: 0, Redeemed: 0 }
+    };
+
+    rows.forEach(row => {
+        summary.vmus += row.vmuCount;
+        summary.xenBurned += row.xenBurned;
+        summary.categories[row.category] = (summary.categories[row.category] || 0) + 1;
+        summary.statuses[row.status] = (summary.statuses[row.status] || 0) + 1;
+    });
+
+    return summary;
+}
+
+/**
+ * Sorts rows by a column
+ * @param {Object[]} rows - Table rows
+ * @param {string} key - Column key (see PORTFOLIO_COLUMNS)
+ * @param {string} [direction='asc'] - "asc" or "desc"
+ * @returns {Object[]} A sorted copy; ties keep token order
+ */
+function sortPortfolioRows(rows, key, direction = 'asc') {
+    const column = PORTFOLIO_COLUMNS.find(col => col.key === key) || PORTFOLIO_COLUMNS[0];
+    const factor = direction === 'desc' ? -1 : 1;
+
+    return [...rows].sort((a, b) => {
+        const valueA = column.value(a);
+        const valueB = column.value(b);
+        if (valueA < valueB) return -factor;
+        if (valueA > valueB) return factor;
+        return a.tokenId - b.tokenId;
+    });
+}
+
+/**
+ * Quotes a CSV field when needed
+ * @param {string} value - Field text
+ * @returns {string} CSV-safe field
+ */
+function escapeCSVField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports rows as CSV, with raw values so spreadsheets can sort and sum them
+ * @param {Object[]} rows - Table rows
+ * @returns {string} CSV text with a header line
+ */
+function portfolioToCSV(rows) {
+    const header = ['tokenId', 'type', 'vmuCount', 'term', 'maturityDate', 'maturityTs', 'rank', 'amp', 'eaa', 'xenBurned', 'status'];
+    const lines = rows.map(row => [
+        row.tokenId,
+        row.category,
+        row.vmuCount,
+        row.term,
+        formatDate(row.maturityTs),
+        row.maturityTs,
+        row.rank,
+        row.amp,
+        row.eaa,
+        row.xenBurned,
+        row.status
+    ].map(escapeCSVField).join(','));
+
+    return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.PORTFOLIO_COLUMNS = PORTFOLIO_COLUMNS;
+    window.buildPortfolioRows = buildPortfolioRows;
+    window.summarizePortfolio = summarizePortfolio;
+    window.sortPortfolioRows = sortPortfolioRows;
+    window.portfolioToCSV = portfolioToCSV;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PORTFOLIO_COLUMNS,
+        buildPortfolioRows,
+        summarizePortfolio,
+        sortPortfolioRows,
+        portfolioToCSV
+    };
+}
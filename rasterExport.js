@@ -0,0 +1,246 @@
+/**
+ * Raster export for the XENFT SVG Generator
+ *
+ * The single SVG-to-image pipeline of the app: card downloads, gallery backup
+ * PNGs and animation frames are all drawn by rasterizeSVG. Cards can be
+ * scaled up (1x-8x) for print, drawn on a transparent or solid background and
+ * encoded as PNG, JPEG or WebP.
+ */
+
+const RASTER_FORMATS = {
+    png: { label: 'PNG', mimeType: 'image/png', extension: 'png', transparent: true },
+    jpeg: { label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', transparent: false },
+    webp: { label: 'WebP', mimeType: 'image/webp', extension: 'webp', transparent: true }
+};
+const RASTER_SCALES = [1, 2, 3, 4, 5, 6, 7, 8];
+const RASTER_QUALITY = 0.92;
+const DEFAULT_RASTER_OPTIONS = { format: 'png', scale: 1, background: 'transparent' };
+
+/**
+ * Fills in and validates raster export options
+ * Formats without transparency (JPEG) are drawn on white unless a color is given.
+ * @param {Object} [options] - Partial options
+ * @param {string} [options.format] - "png", "jpeg" or "webp"
+ * @param {number} [options.scale] - Scale factor, 1-8
+ * @param {string} [options.background] - "transparent" or a CSS color
+ * @returns {Object} Complete options
+ */
+function normalizeRasterOptions(options = {}) {
+    const { format, scale, background } = { ...DEFAULT_RASTER_OPTIONS, ...options };
+
+    if (!RASTER_FORMATS[format]) {
+        throw new Error(`Unsupported image format "${format}"; use ${Object.keys(RASTER_FORMATS).join(', ')}`);
+    }
+    if (!RASTER_SCALES.includes(Number(scale))) {
+        throw new Error(`Scale must be one of ${RASTER_SCALES.map(value => `${value}x`).join(', ')}`);
+    }
+
+    const transparent = !background || background === 'transparent';
+    return {
+        format,
+        scale: Number(scale),
+        background: transparent && !RASTER_FORMATS[format].transparent ? '#ffffff' : (transparent ? 'transparent' : background)
+    };
+}
+
+/**
+ * Intrinsic size of an SVG, from its width/height attributes or viewBox
+ * @param {string} svg - SVG markup
+ * @returns {Object} { width, height } in pixels (400x400 when unknown)
+ */
+function getSVGSize(svg) {
+    const root = (String(svg).match(/<svg\b[^>]*>/) || [''])[0];
+    const attribute = name => {
+        const match = root.match(new RegExp(`\\s${name}="([\\d.]+)(px)?"`));
+        return match ? parseFloat(match[1]) : null;
+    };
+    const viewBox = (root.match(/\sviewBox="([^"]+)"/) || [])[1];
+    const [, , viewWidth, viewHeight] = viewBox ? viewBox.trim().split(/[\s,]+/).map(Number) : [];
+
+    return {
+        width: attribute('width') || viewWidth || 400,
+        height: attribute('height') || viewHeight || 400
+    };
+}
+
+/**
+ * Gives an SVG an explicit pixel size, so it is drawn as vectors at that size instead of being upscaled
+ * @param {string} svg - SVG markup
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @returns {string} SVG markup with the new size (and a viewBox keeping the original coordinates)
+ */
+function resizeSVG(svg, width, height) {
+    const size = getSVGSize(svg);
+    return String(svg).replace(/<svg\b([^>]*)>/, (match, attributes) => {
+        const rest = attributes.replace(/\s(width|height)="[^"]*"/g, '');
+        const viewBox = /\sviewBox="/.test(rest) ? '' : ` viewBox="0 0 ${size.width} ${size.height}"`;
+        return `<svg width="${width}" height="${height}"${viewBox}${rest}>`;
+    });
+}
+
+/**
+ * File name of an exported card
+ * @param {number|string} tokenId - The token ID
+ * @param {Object} options - Complete raster options
+ * @returns {string} e.g. "XENFT-42@4x.png"
+ */
+function getRasterFileName(tokenId, options) {
+    const suffix = options.scale > 1 ? `@${options.scale}x` : '';
+    return `XENFT-${tokenId}${suffix}.${RASTER_FORMATS[options.format].extension}`;
+}
+
+/**
+ * Waits for the fonts an SVG names, so text is not drawn with a fallback font
+ * @param {string} svg - SVG markup
+ * @returns {Promise<void>} Rejects with a readable error when a font fails to load
+ */
+async function loadSVGFonts(svg) {
+    if (typeof document === 'undefined' || !document.fonts) return;
+
+    const families = [...new Set([...String(svg).matchAll(/font-family="([^"]+)"/g)].map(match => match[1]))];
+    try {
+        await Promise.all(families.map(family => document.fonts.load(`16px ${family}`)));
+        await document.fonts.ready;
+    } catch (error) {
+        throw new Error(`Fonts for the card could not be loaded (${families.join(', ')}): ${error.message || error}`);
+    }
+}
+
+/**
+ * Draws an SVG on a canvas
+ * @param {string} svg - SVG markup
+ * @param {Object} [options] - Drawing options
+ * @param {number} [options.scale] - Scale factor applied to the SVG's own size
+ * @param {number} [options.width] - Canvas width, overrides the scaled size
+ * @param {number} [options.height] - Canvas height, overrides the scaled size
+ * @param {string} [options.background] - "transparent" or a CSS color painted under the SVG
+ * @returns {Promise<HTMLCanvasElement>} The canvas
+ */
+async function rasterizeSVG(svg, { scale = 1, width, height, background = 'transparent' } = {}) {
+    const size = getSVGSize(svg);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width || size.width * scale);
+    canvas.height = Math.round(height || size.height * scale);
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+        throw new Error(`The browser cannot create a ${canvas.width}x${canvas.height} canvas; try a smaller scale`);
+    }
+
+    await loadSVGFonts(svg);
+
+    const url = URL.createObjectURL(new Blob([resizeSVG(svg, canvas.width, canvas.height)], { type: 'image/svg+xml' }));
+    try {
+        const img = await new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error("The browser could not load the SVG as an image; it may be malformed"));
+            image.src = url;
+        });
+
+        if (background && background !== 'transparent') {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+
+    return canvas;
+}
+
+/**
+ * Encodes a canvas, turning the browser's failures into readable errors
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @param {string} mimeType - Target image type
+ * @param {number} [quality] - Quality for lossy formats (0-1)
+ * @returns {Promise<Blob>} The encoded image
+ */
+function canvasToBlob(canvas, mimeType, quality = RASTER_QUALITY) {
+    return new Promise((resolve, reject) => {
+        try {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error(`The browser could not encode a ${canvas.width}x${canvas.height} ${mimeType} image; try a smaller scale`));
+                } else if (blob.type !== mimeType) {
+                    // Browsers silently fall back to PNG for types they cannot write
+                    reject(new Error(`This browser cannot export ${mimeType}; choose another format`));
+                } else {
+                    resolve(blob);
+                }
+            }, mimeType, quality);
+        } catch (error) {
+            if (error && error.name === 'SecurityError') {
+                reject(new Error("The canvas was tainted by external content in the SVG, so the browser blocked the export; download the SVG instead"));
+            } else {
+                reject(error);
+            }
+        }
+    });
+}
+
+/**
+ * Renders an SVG to an image file
+ * @param {string} svg - SVG markup
+ * @param {Object} [options] - Raster options (see normalizeRasterOptions)
+ * @returns {Promise<Blob>} The image
+ */
+async function exportRaster(svg, options) {
+    const complete = normalizeRasterOptions(options);
+    const canvas = await rasterizeSVG(svg, complete);
+    return canvasToBlob(canvas, RASTER_FORMATS[complete.format].mimeType);
+}
+
+/**
+ * Renders an SVG and downloads it
+ * @param {string} svg - SVG markup
+ * @param {number|string} tokenId - The token ID for the file name
+ * @param {Object} [options] - Raster options (see normalizeRasterOptions)
+ * @returns {Promise<Blob>} The downloaded image
+ */
+async function downloadRaster(svg, tokenId, options) {
+    const complete = normalizeRasterOptions(options);
+    const blob = await exportRaster(svg, complete);
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = getRasterFileName(tokenId, complete);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    return blob;
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.RASTER_FORMATS = RASTER_FORMATS;
+    window.RASTER_SCALES = RASTER_SCALES;
+    window.normalizeRasterOptions = normalizeRasterOptions;
+    window.getSVGSize = getSVGSize;
+    window.rasterizeSVG = rasterizeSVG;
+    window.canvasToBlob = canvasToBlob;
+    window.exportRaster = exportRaster;
+    window.downloadRaster = downloadRaster;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RASTER_FORMATS,
+        RASTER_SCALES,
+        DEFAULT_RASTER_OPTIONS,
+        normalizeRasterOptions,
+        getSVGSize,
+        resizeSVG,
+        getRasterFileName,
+        rasterizeSVG,
+        canvasToBlob,
+        exportRaster,
+        downloadRaster
+    };
+}
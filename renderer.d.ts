@@ -0,0 +1,202 @@
+/**
+ * Type declarations for the XENFT renderer (renderer.js)
+ */
+
+/** Class byte of a mintInfo value */
+export interface MintInfoClass {
+    isApex: boolean;
+    isLimited: boolean;
+    /** 0-63 */
+    powerGroupIdx: number;
+}
+
+/** A decoded mintInfo value, as returned by decodeMintInfo */
+export interface MintInfo {
+    /** Term in days */
+    term: number;
+    /** Maturity, unix time in seconds */
+    maturityTs: number;
+    /** cRank, as a decimal string (it can exceed Number.MAX_SAFE_INTEGER) */
+    rank: string;
+    /** Amplifier */
+    amp: number;
+    /** EAA rate, per mille */
+    eaa: number;
+    class: MintInfoClass;
+    redeemed: boolean;
+}
+
+/** Input of encodeMintInfo; missing fields are 0 or false */
+export interface MintInfoInput {
+    term?: number;
+    maturityTs?: number;
+    rank?: string | number | bigint;
+    amp?: number;
+    eaa?: number;
+    class?: Partial<MintInfoClass>;
+    redeemed?: boolean;
+}
+
+/** Everything the renderer needs about a token: the decoded results of the XENFT contract's reads */
+export interface XenftData {
+    tokenId: number;
+    vmuCount: number;
+    mintInfo: MintInfo;
+    /** XEN burned, as returned by xenBurned() */
+    xenBurned: number;
+    isApex?: boolean;
+}
+
+export type XenftCategory = 'Apex' | 'Limited' | 'Common' | 'Unknown';
+export type XenftRarity =
+    | 'Xunicorn' | 'Exotic' | 'Legendary' | 'Epic' | 'Rare'
+    | 'Limited'
+    | 'Uncommon' | 'Standard' | 'Basic'
+    | 'Unknown';
+
+export interface RarityInfo {
+    category: XenftCategory;
+    rarity: XenftRarity;
+    /** CSS color */
+    rarityColor: string;
+}
+
+/** Colors of a card, as #RRGGBB, e.g. "#FF5733"; other formats render the error card */
+export interface ColorPalette {
+    primary: string;
+    secondary: string;
+    tertiary: string;
+    background: string;
+}
+
+/** A palette picked for a date, with its place in the 30-day rotation */
+export interface ColorScheme extends ColorPalette {
+    /** 0-based index into the palettes */
+    cycleNumber: number;
+    cycleCount: number;
+    daysUntilNextCycle: number;
+}
+
+/** Result of estimateXENReward */
+export interface RewardEstimate {
+    perVmu: number;
+    gross: number;
+    penaltyPct: number;
+    /** Whole XEN after the late-claim penalty */
+    net: number;
+    /** Claim time, unix time in seconds */
+    claimTs: number;
+    isLate: boolean;
+    redeemed: boolean;
+}
+
+export interface RewardEstimateParams {
+    globalRank: bigint | string | number;
+    /** Claim time, unix time in seconds; defaults to the maturity date */
+    claimTs?: number;
+}
+
+export interface RenderOptions {
+    /** Name of a registered template; defaults to "classic" */
+    template?: string;
+    /** A single palette used on every date */
+    palette?: ColorPalette;
+    /** Palettes rotated every 30 days; defaults to DEFAULT_COLOR_SCHEMES. Ignored when palette is given */
+    palettes?: ColorPalette[];
+    /** Render with this palette index instead of the one for the date */
+    colorCycle?: number;
+    /** Timestamp to render the card as of, in milliseconds (or a Date); defaults to now */
+    asOf?: number | Date;
+    /** Seed of the random parts of the design; defaults to one derived from tokenId, rank and maturity */
+    seed?: string | number;
+    /** Shown on the card when given */
+    rewardEstimate?: RewardEstimate | null;
+    /** Embed the card's animation as CSS keyframes */
+    animated?: boolean;
+    /** Freeze the animation this many seconds in (implies animated) */
+    animationTime?: number;
+    /** Throw when the card can't be rendered, instead of returning an error card */
+    throwOnError?: boolean;
+}
+
+/** What a template renders from */
+export interface RenderContext {
+    xenftData: XenftData;
+    tokenId: number;
+    vmuCount: number;
+    xenBurned: number;
+    term: number;
+    maturityTs: number;
+    rank: string;
+    amp: number;
+    eaa: number;
+    classInfo: MintInfoClass;
+    redeemed: boolean;
+    colorScheme: ColorScheme;
+    rarityInfo: RarityInfo;
+    width: number;
+    height: number;
+    /** Seeded random number generator, like Math.random */
+    random: () => number;
+    /** Render time in milliseconds */
+    asOf: number;
+    /** Render time in seconds */
+    now: number;
+    maturityStatus: 'Matured' | 'Maturing';
+    daysToMaturity: number;
+    /** Share of the term that has elapsed, 0-1 */
+    maturityProgress: number;
+    rewardEstimate: RewardEstimate | null;
+    /** YYYY-MM-DD of asOf */
+    generatedOn: string;
+}
+
+export interface SVGTemplate {
+    label?: string;
+    description?: string;
+    render(context: RenderContext): string;
+}
+
+export interface SVGTemplateInfo {
+    name: string;
+    label: string;
+    description: string;
+}
+
+export interface MintInfoField {
+    offset: number;
+    bits: number;
+}
+
+export type MintInfoLayout = Record<keyof MintInfo, MintInfoField>;
+
+/** Decodes a packed mintInfo value; invalid input decodes to all zeros */
+export function decodeMintInfo(mintInfoValue: string | number | bigint, layoutVersion?: string): MintInfo;
+
+/** Packs a mintInfo object into the uint256 the contract stores; throws a RangeError when a field doesn't fit */
+export function encodeMintInfo(mintInfo: MintInfoInput, layoutVersion?: string): bigint;
+
+export const MINT_INFO_LAYOUTS: Record<string, MintInfoLayout>;
+
+export function getXENFTRarityInfo(xenftData: Pick<XenftData, 'mintInfo' | 'xenBurned'>): RarityInfo;
+
+/** Throws when params.globalRank is missing */
+export function estimateXENReward(xenftData: Pick<XenftData, 'vmuCount' | 'mintInfo'>, params: RewardEstimateParams): RewardEstimate;
+
+/**
+ * Renders a card. Invalid data, a palette color that isn't #RRGGBB, an unknown template or a failing template renders an error card
+ * (showing the message and the asOf date) instead of throwing, unless options.throwOnError is set
+ */
+export function generateXENFTSVG(xenftData: XenftData, options?: RenderOptions): string;
+
+export function generateColorScheme(asOf?: number | Date, palettes?: ColorPalette[], colorCycle?: number): ColorScheme;
+
+export const DEFAULT_COLOR_SCHEMES: ColorPalette[];
+
+export function embedSVGAnimation(svg: string, frameTime?: number): string;
+
+export function deriveRenderSeed(xenftData: Pick<XenftData, 'tokenId' | 'mintInfo'>, seed?: string | number): number;
+
+export function registerSVGTemplate(name: string, template: SVGTemplate): void;
+
+export function getSVGTemplates(): SVGTemplateInfo[];
@@ -0,0 +1,38 @@
+/**
+ * XENFT renderer
+ *
+ * The DOM-free public API of the renderer, in one module: decode the contract's
+ * values, classify the token and render its card with any registered template.
+ * Nothing here touches document, window or storage, and a render is fully
+ * determined by its inputs once options.asOf is given, so the same call gives
+ * the same SVG in Node, in a bundle and in the browser.
+ *
+ * Node and bundlers:   const { decodeMintInfo, generateXENFTSVG } = require('xenft-svg-generator');
+ * Browser, unbundled:  the script tags of mintInfoDecoder.js and templates.js define the same functions as globals
+ *
+ * Types are declared in renderer.d.ts.
+ */
+
+const decoder = require('./mintInfoDecoder');
+require('./templates');
+const { estimateXENReward } = require('./rewardEstimator');
+
+module.exports = {
+    // Contract values
+    decodeMintInfo: decoder.decodeMintInfo,
+    encodeMintInfo: decoder.encodeMintInfo,
+    MINT_INFO_LAYOUTS: decoder.MINT_INFO_LAYOUTS,
+    getXENFTRarityInfo: decoder.getXENFTRarityInfo,
+    estimateXENReward,
+
+    // Rendering
+    generateXENFTSVG: decoder.generateXENFTSVG,
+    generateColorScheme: decoder.generateColorScheme,
+    DEFAULT_COLOR_SCHEMES: decoder.DEFAULT_COLOR_SCHEMES,
+    embedSVGAnimation: decoder.embedSVGAnimation,
+    deriveRenderSeed: decoder.deriveRenderSeed,
+
+    // Templates
+    registerSVGTemplate: decoder.registerSVGTemplate,
+    getSVGTemplates: decoder.getSVGTemplates
+};
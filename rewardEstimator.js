@@ -0,0 +1,97 @@
+/**
+ * XEN Reward Estimator
+ *
+ * Estimates the XEN a XENFT pays out at claim, following XENCrypto's
+ * getGrossReward and _penalty:
+ *
+ *   reward  = log2(max(globalRank - cRank, 2)) * AMP * term * (1000 + EAA) / 1000
+ *   penalty = min(2^(daysLate + 3) / 7 - 1, 99) percent, 99% after the 7-day window
+ *
+ * The per-VMU reward is multiplied by vmuCount.
+ */
+
+const SECONDS_IN_DAY = 86400;
+const WITHDRAWAL_WINDOW_DAYS = 7;
+const MAX_PENALTY_PCT = 99;
+
+/**
+ * Late-claim penalty in percent
+ * @param {number} secondsLate - Seconds since maturity (0 or less means on time)
+ * @returns {number} Penalty percentage (0-99)
+ */
+function calculateLateClaimPenalty(secondsLate) {
+    if (secondsLate <= 0) return 0;
+
+    const daysLate = Math.floor(secondsLate / SECONDS_IN_DAY);
+    if (daysLate > WITHDRAWAL_WINDOW_DAYS - 1) return MAX_PENALTY_PCT;
+
+    const penalty = Math.floor(Math.pow(2, daysLate + 3) / WITHDRAWAL_WINDOW_DAYS) - 1;
+    return Math.min(penalty, MAX_PENALTY_PCT);
+}
+
+/**
+ * Gross XEN reward of a single mint (no penalty)
+ * @param {bigint|string|number} globalRank - XEN global rank
+ * @param {bigint|string|number} cRank - Rank of the mint
+ * @param {number} amp - Amplifier
+ * @param {number} term - Term in days
+ * @param {number} eaa - EAA rate (per mille, as stored on-chain)
+ * @returns {number} Whole XEN
+ */
+function calculateGrossReward(globalRank, cRank, amp, term, eaa) {
+    const delta = BigInt(globalRank) - BigInt(cRank);
+    const rankDelta = delta > BigInt(2) ? delta : BigInt(2);
+    const log2 = Math.log2(Number(rankDelta));
+    return Math.floor(log2 * amp * term * (1000 + eaa) / 1000);
+}
+
+/**
+ * Estimates the XEN a XENFT pays out
+ * @param {Object} xenftData - XENFT data with decoded mintInfo and vmuCount
+ * @param {Object} params - Estimation parameters
+ * @param {bigint|string|number} params.globalRank - XEN global rank (fetched or entered)
+ * @param {number} [params.claimTs] - Claim time in seconds; defaults to the maturity date
+ * @returns {Object} { perVmu, gross, penaltyPct, net, claimTs, isLate, redeemed }
+ */
+function estimateXENReward(xenftData, params) {
+    const { vmuCount = 0, mintInfo = {} } = xenftData || {};
+    const { term = 0, maturityTs = 0, rank = "0", amp = 0, eaa = 0, redeemed = false } = mintInfo;
+
+    if (params.globalRank === undefined || params.globalRank === null || params.globalRank === '') {
+        throw new Error("A global rank is required to estimate the reward");
+    }
+
+    const claimTs = params.claimTs !== undefined && params.claimTs !== null
+        ? Math.max(params.claimTs, maturityTs)
+        : maturityTs;
+
+    const perVmu = calculateGrossReward(params.globalRank, rank, amp, term, eaa);
+    const gross = perVmu * vmuCount;
+    const penaltyPct = calculateLateClaimPenalty(claimTs - maturityTs);
+    const net = Math.floor(gross * (100 - penaltyPct) / 100);
+
+    return {
+        perVmu,
+        gross,
+        penaltyPct,
+        net,
+        claimTs,
+        isLate: penaltyPct > 0,
+        redeemed
+    };
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.calculateLateClaimPenalty = calculateLateClaimPenalty;
+    window.estimateXENReward = estimateXENReward;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        calculateLateClaimPenalty,
+        calculateGrossReward,
+        estimateXENReward
+    };
+}
@@ -0,0 +1,123 @@
+/**
+ * Hash routes for the XENFT SVG Generator
+ *
+ * Every shareable state of the app has a route:
+ *   #/                                                  the viewer, nothing selected
+ *   #/base/token/1234?template=classic&asOf=2026-12-01  a rendered card
+ *   #/base/address/0x1234... (or an ENS name)           the XENFTs of an owner
+ *   #/portfolio, #/calendar, #/gallery                  the other tabs
+ *
+ * Token and owner routes start with the key of their chain (see chains.js).
+ * Links from before other chains were supported ("#/token/1234") are on Base.
+ *
+ * parseRoute and formatRoute are inverse for every valid route, so a parsed
+ * route can be compared with the current hash by formatting it again.
+ */
+
+const ROUTE_VIEWS = {
+    home: 'mainView',
+    token: 'mainView',
+    address: 'mainView',
+    portfolio: 'portfolioView',
+    calendar: 'calendarView',
+    gallery: 'galleryView'
+};
+
+/**
+ * Parses a location hash
+ * @param {string} hash - e.g. "#/polygon/token/1234?template=badge"
+ * @returns {Object} { view, chain?, tokenId?, address?, template?, asOf? }; unknown and malformed routes give { view: 'home' }
+ */
+function parseRoute(hash) {
+    const registry = typeof getChain === 'function' ? { getChain, DEFAULT_CHAIN_KEY } : require('./chains');
+
+    const [path, query = ''] = String(hash || '').replace(/^#\/?/, '').split('?');
+    let segments;
+    try {
+        segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        // A broken escape in a shared link, e.g. "%E0%A4%A"
+        return { view: 'home' };
+    }
+    const hasChain = registry.getChain(segments[0]) !== null;
+    const chain = hasChain ? segments.shift() : registry.DEFAULT_CHAIN_KEY;
+    const [view, param, ...rest] = segments;
+    const params = new URLSearchParams(query);
+
+    if (view === 'token' && /^\d+$/.test(param || '') && Number(param) > 0 && rest.length === 0) {
+        const route = { view: 'token', chain, tokenId: Number(param) };
+
+        const template = params.get('template');
+        if (template) route.template = template;
+
+        // asOf is a UTC date, like the app's date picker
+        const asOf = params.get('asOf');
+        if (asOf && /^\d{4}-\d{2}-\d{2}$/.test(asOf) && !Number.isNaN(Date.parse(asOf))) {
+            route.asOf = Date.parse(asOf);
+        }
+        return route;
+    }
+
+    if (view === 'address' && param && rest.length === 0) {
+        return { view: 'address', chain, address: param };
+    }
+
+    // Tabs show the selected chain's data and have no chain of their own
+    if (['portfolio', 'calendar', 'gallery'].includes(view) && !param && !hasChain) {
+        return { view };
+    }
+
+    return { view: 'home' };
+}
+
+/**
+ * Builds the hash of a route
+ * @param {Object} route - Route as returned by parseRoute
+ * @returns {string} Location hash, starting with "#/"
+ */
+function formatRoute(route) {
+    switch (route && route.view) {
+        case 'token': {
+            const params = new URLSearchParams();
+            if (route.template) params.set('template', route.template);
+            if (typeof route.asOf === 'number' && Number.isFinite(route.asOf)) {
+                params.set('asOf', new Date(route.asOf).toISOString().split('T')[0]);
+            }
+            const query = params.toString();
+            return `#/${route.chain}/token/${route.tokenId}${query ? `?${query}` : ''}`;
+        }
+        case 'address':
+            return `#/${route.chain}/address/${encodeURIComponent(route.address)}`;
+        case 'portfolio':
+        case 'calendar':
+        case 'gallery':
+            return `#/${route.view}`;
+        default:
+            return '#/';
+    }
+}
+
+/**
+ * Tab shown for a route
+ * @param {Object} route - Parsed route
+ * @returns {string} View element ID
+ */
+function getRouteView(route) {
+    return ROUTE_VIEWS[route.view] || ROUTE_VIEWS.home;
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.parseRoute = parseRoute;
+    window.formatRoute = formatRoute;
+    window.getRouteView = getRouteView;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseRoute,
+        formatRoute,
+        getRouteView
+    };
+}
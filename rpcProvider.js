@@ -0,0 +1,303 @@
+/**
+ * RPC endpoints for the XENFT SVG Generator
+ *
+ * View-only reads go through a provider that spreads requests over several
+ * JSON-RPC endpoints, in order of preference (user-supplied URLs, then the
+ * app's built-in endpoint, then the chain's public RPCs). An endpoint that is
+ * rate-limited (429), failing (5xx), unreachable or too slow is put on a
+ * cooldown that doubles with each consecutive failure, and the request moves
+ * on to the next endpoint; when every endpoint is cooling down, the request
+ * waits for the first one to come back. Errors of the call itself (a revert, a
+ * bad argument) are answers, not endpoint failures, and are never retried.
+ *
+ * Health probes ask every endpoint for its chain ID and latest block, so an
+ * endpoint on the wrong chain is skipped and a recovered one is used again.
+ */
+
+const RPC_DEFAULTS = {
+    maxAttempts: 4, // Tries per request, across all endpoints
+    baseDelayMs: 500, // Cooldown after a first failure
+    maxDelayMs: 30000,
+    timeoutMs: 15000,
+    healthCheckIntervalMs: 60000
+};
+
+// JSON-RPC error codes some providers answer rate-limited requests with (on HTTP 200)
+const RPC_RATE_LIMIT_CODES = [429, -32005];
+
+/**
+ * Reads a list of RPC URLs, one per line (or separated by spaces or commas)
+ * @param {string} text - User input
+ * @returns {Object} { urls, invalid }; urls are unique http(s) URLs in input order
+ */
+function parseRpcUrls(text) {
+    const urls = [];
+    const invalid = [];
+
+    String(text || '').split(/[\s,]+/).filter(Boolean).forEach(value => {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            invalid.push(value);
+            return;
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            invalid.push(value);
+        } else if (!urls.includes(value)) {
+            urls.push(value);
+        }
+    });
+
+    return { urls, invalid };
+}
+
+/**
+ * Display name of an endpoint; only the host, so API keys in the path stay off screen
+ * @param {string} url - Endpoint URL
+ * @returns {string} e.g. "mainnet.base.org"
+ */
+function getEndpointLabel(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Whether an error means the endpoint failed, rather than the call
+ * @param {Error} error - Error thrown by an ethers JsonRpcProvider
+ * @returns {boolean} True for timeouts, unreachable endpoints, HTTP errors and rate limits
+ */
+function isEndpointFailure(error) {
+    if (!error) return false;
+    if (error.code === 'TIMEOUT' || error.serverError) return true;
+    if (typeof error.status === 'number') return error.status < 200 || error.status >= 300;
+    return Boolean(error.error && RPC_RATE_LIMIT_CODES.includes(error.error.code));
+}
+
+/**
+ * Short description of an endpoint failure
+ * @param {Error} error - The failure
+ * @returns {string} e.g. "HTTP 429"
+ */
+function describeRpcError(error) {
+    if (typeof error.status === 'number') return `HTTP ${error.status}`;
+    if (error.code === 'TIMEOUT') return 'timed out';
+    if (error.serverError) return 'unreachable';
+    return (error.error && error.error.message) || error.message || String(error);
+}
+
+/**
+ * Cooldown after a failure
+ * A Retry-After header (in seconds) wins over the exponential backoff.
+ * @param {number} failures - Consecutive failures of the endpoint, including this one
+ * @param {Object} [options] - { baseDelayMs, maxDelayMs }
+ * @param {Error} [error] - The failure
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(failures, options = RPC_DEFAULTS, error = null) {
+    const { baseDelayMs, maxDelayMs } = { ...RPC_DEFAULTS, ...options };
+    const retryAfter = error && error.headers ? error.headers['retry-after'] : null;
+    if (typeof retryAfter === 'string' && /^\d+$/.test(retryAfter)) {
+        return Math.min(maxDelayMs, Number(retryAfter) * 1000);
+    }
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, failures - 1));
+}
+
+/**
+ * Creates the state of an endpoint
+ * @param {string} url - Endpoint URL
+ * @returns {Object} { url, label, healthy, failures, cooldownUntil, latencyMs, blockNumber, lastError, checkedAt }
+ */
+function createEndpoint(url) {
+    return {
+        url,
+        label: getEndpointLabel(url),
+        healthy: null, // null until the first health probe
+        failures: 0,
+        cooldownUntil: 0,
+        latencyMs: null,
+        blockNumber: null,
+        lastError: null,
+        checkedAt: null
+    };
+}
+
+/**
+ * Chooses the endpoint for the next request
+ * The first endpoint that is neither unhealthy nor cooling down wins; otherwise the one back soonest.
+ * Unhealthy endpoints are only used when no endpoint is healthy.
+ * @param {Object[]} endpoints - Endpoint states, in order of preference
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} The endpoint
+ */
+function pickEndpoint(endpoints, now) {
+    const usable = endpoints.filter(endpoint => endpoint.healthy !== false);
+    const candidates = usable.length > 0 ? usable : endpoints;
+    return candidates.find(endpoint => endpoint.cooldownUntil <= now)
+        || candidates.reduce((soonest, endpoint) => (endpoint.cooldownUntil < soonest.cooldownUntil ? endpoint : soonest));
+}
+
+/**
+ * Records an answer of an endpoint
+ * @param {Object} endpoint - Endpoint state; updated in place
+ * @param {number} latencyMs - Time the endpoint took to answer
+ */
+function recordSuccess(endpoint, latencyMs) {
+    endpoint.failures = 0;
+    endpoint.cooldownUntil = 0;
+    endpoint.latencyMs = latencyMs;
+    endpoint.lastError = null;
+}
+
+/**
+ * Records a failure of an endpoint and puts it on a cooldown
+ * @param {Object} endpoint - Endpoint state; updated in place
+ * @param {Error} error - The failure
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} [options] - Backoff options (see getRetryDelay)
+ */
+function recordFailure(endpoint, error, now, options) {
+    endpoint.failures += 1;
+    endpoint.cooldownUntil = now + getRetryDelay(endpoint.failures, options, error);
+    endpoint.lastError = describeRpcError(error);
+}
+
+/**
+ * Creates an ethers provider that reads through a list of endpoints
+ * The provider also has:
+ *   endpoints            endpoint states (see createEndpoint)
+ *   lastEndpoint         the endpoint that answered last
+ *   checkHealth()        probes every endpoint now
+ *   startHealthChecks()  probes now and then every options.healthCheckIntervalMs
+ *   stopHealthChecks()
+ * @param {Object} ethers - ethers v5
+ * @param {string[]} urls - Endpoint URLs, in order of preference
+ * @param {Object} options - RPC_DEFAULTS overrides, plus:
+ * @param {Object} options.network - { name, chainId } every endpoint must serve
+ * @param {Function} [options.onStatus] - Called with the provider whenever an endpoint answers, fails or is probed
+ * @returns {Object} The provider (an ethers StaticJsonRpcProvider)
+ */
+function createRpcProvider(ethers, urls, options) {
+    const settings = { ...RPC_DEFAULTS, ...options };
+    const { network, onStatus } = settings;
+    if (!urls || urls.length === 0) {
+        throw new Error("No RPC endpoints are configured");
+    }
+
+    // Throttled requests are not retried by ethers itself; the next endpoint is tried instead
+    const endpoints = urls.map(url => ({
+        ...createEndpoint(url),
+        provider: new ethers.providers.StaticJsonRpcProvider({ url, timeout: settings.timeoutMs, throttleCallback: async () => false }, network)
+    }));
+    const notify = provider => {
+        if (onStatus) onStatus(provider);
+    };
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    class FallbackRpcProvider extends ethers.providers.StaticJsonRpcProvider {
+        constructor() {
+            super(urls[0], network);
+            this.endpoints = endpoints;
+            this.lastEndpoint = null;
+            this.healthTimer = null;
+        }
+
+        async send(method, params) {
+            let lastError = null;
+
+            for (let attempt = 0; attempt < settings.maxAttempts; attempt++) {
+                const endpoint = pickEndpoint(endpoints, Date.now());
+                const wait = endpoint.cooldownUntil - Date.now();
+                if (wait > 0) {
+                    await sleep(wait);
+                }
+
+                const startedAt = Date.now();
+                try {
+                    const result = await endpoint.provider.send(method, params);
+                    recordSuccess(endpoint, Date.now() - startedAt);
+                    this.lastEndpoint = endpoint;
+                    notify(this);
+                    return result;
+                } catch (error) {
+                    if (!isEndpointFailure(error)) throw error;
+
+                    recordFailure(endpoint, error, Date.now(), settings);
+                    lastError = error;
+                    notify(this);
+                }
+            }
+
+            throw lastError;
+        }
+
+        async checkHealth() {
+            await Promise.all(endpoints.map(async endpoint => {
+                const startedAt = Date.now();
+                try {
+                    const [chainId, blockNumber] = await Promise.all([
+                        endpoint.provider.send('eth_chainId', []),
+                        endpoint.provider.send('eth_blockNumber', [])
+                    ]);
+                    if (network && parseInt(chainId, 16) !== network.chainId) {
+                        endpoint.healthy = false;
+                        endpoint.lastError = `wrong chain (${parseInt(chainId, 16)})`;
+                    } else {
+                        recordSuccess(endpoint, Date.now() - startedAt);
+                        endpoint.healthy = true;
+                        endpoint.blockNumber = parseInt(blockNumber, 16);
+                    }
+                } catch (error) {
+                    recordFailure(endpoint, error, Date.now(), settings);
+                    endpoint.healthy = false;
+                }
+                endpoint.checkedAt = Date.now();
+            }));
+
+            notify(this);
+            return endpoints;
+        }
+
+        startHealthChecks() {
+            this.stopHealthChecks();
+            this.healthTimer = setInterval(() => this.checkHealth(), settings.healthCheckIntervalMs);
+            return this.checkHealth();
+        }
+
+        stopHealthChecks() {
+            if (this.healthTimer !== null) {
+                clearInterval(this.healthTimer);
+                this.healthTimer = null;
+            }
+        }
+    }
+
+    return new FallbackRpcProvider();
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.RPC_DEFAULTS = RPC_DEFAULTS;
+    window.parseRpcUrls = parseRpcUrls;
+    window.getEndpointLabel = getEndpointLabel;
+    window.createRpcProvider = createRpcProvider;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RPC_DEFAULTS,
+        parseRpcUrls,
+        getEndpointLabel,
+        isEndpointFailure,
+        getRetryDelay,
+        createEndpoint,
+        pickEndpoint,
+        recordSuccess,
+        recordFailure,
+        createRpcProvider
+    };
+}
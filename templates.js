@@ -0,0 +1,174 @@
+/**
+ * Built-in SVG templates for the XENFT SVG Generator
+ *
+ * The "classic" template lives in mintInfoDecoder.js; this file registers the
+ * alternative layouts. Each template receives the render context built by
+ * createRenderContext and returns SVG markup. Elements with the xenft-pulse,
+ * xenft-spin or xenft-sweep class move when the card is rendered animated.
+ */
+
+(function(register) {
+    /**
+     * Formats a maturity timestamp as YYYY-MM-DD (UTC)
+     * @param {number} maturityTs - Maturity timestamp in seconds
+     * @returns {string} Formatted date, or "-" when unknown
+     */
+    function formatMaturityDate(maturityTs) {
+        return maturityTs > 0 ? new Date(maturityTs * 1000).toISOString().split('T')[0] : '-';
+    }
+
+    /**
+     * Builds an SVG arc path for a share of a circle, starting at 12 o'clock
+     * @param {number} cx - Center x
+     * @param {number} cy - Center y
+     * @param {number} r - Radius
+     * @param {number} progress - Share of the circle (0-1)
+     * @returns {string} Path data
+     */
+    function describeArc(cx, cy, r, progress) {
+        const clamped = Math.min(Math.max(progress, 0), 0.9999);
+        const angle = clamped * 2 * Math.PI;
+        const x = cx + r * Math.sin(angle);
+        const y = cy - r * Math.cos(angle);
+        const largeArc = clamped > 0.5 ? 1 : 0;
+        return `M ${cx} ${cy - r} A ${r} ${r} 0 ${largeArc} 1 ${x.toFixed(2)} ${y.toFixed(2)}`;
+    }
+
+    /**
+     * Minimal: token number, a maturity progress ring and one line of stats
+     * @param {Object} context - Render context
+     * @returns {string} SVG markup
+     */
+    function renderMinimalTemplate(context) {
+        const { tokenId, vmuCount, term, colorScheme, rarityInfo, maturityStatus, daysToMaturity, maturityProgress, generatedOn } = context;
+        const { width, height } = context;
+        const cx = width / 2;
+        const cy = height / 2 - 10;
+
+        return `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+                <rect width="100%" height="100%" fill="${colorScheme.background}" />
+                <circle cx="${cx}" cy="${cy}" r="120" fill="none" stroke="${colorScheme.tertiary}" stroke-width="6" opacity="0.5" />
+                <path d="${describeArc(cx, cy, 120, maturityProgress)}" pathLength="1" fill="none" stroke="${colorScheme.primary}" stroke-width="6" stroke-linecap="round" class="xenft-sweep" />
+                <circle cx="${cx}" cy="${cy - 60}" r="6" fill="${rarityInfo.rarityColor}" class="xenft-pulse" />
+                <text x="${cx}" y="${cy + 16}" fill="white" text-anchor="middle" font-family="Arial" font-size="44" font-weight="bold">#${tokenId}</text>
+                <text x="${cx}" y="${cy + 44}" fill="${colorScheme.primary}" text-anchor="middle" font-family="Arial" font-size="13">${rarityInfo.category} · ${rarityInfo.rarity}</text>
+                <text x="${cx}" y="${height - 55}" fill="white" text-anchor="middle" font-family="Arial" font-size="13">${vmuCount} VMUs · ${term} days · ${maturityStatus === 'Matured' ? 'Ready' : `${daysToMaturity} days left`}</text>
+                <text x="${cx}" y="${height - 25}" fill="white" text-anchor="middle" font-family="Arial" font-size="10" opacity="0.6">Generated on ${generatedOn}</text>
+            </svg>
+        `;
+    }
+
+    /**
+     * Data-dense: every decoded field in a table
+     * @param {Object} context - Render context
+     * @returns {string} SVG markup
+     */
+    function renderDataDenseTemplate(context) {
+        const { tokenId, vmuCount, xenBurned, term, maturityTs, rank, amp, eaa, classInfo, redeemed } = context;
+        const { colorScheme, rarityInfo, maturityStatus, daysToMaturity, generatedOn, width, height } = context;
+
+        const rows = [
+            ['Type', `${rarityInfo.category} (${rarityInfo.rarity})`],
+            ['VMUs', vmuCount],
+            ['Term', `${term} days`],
+            ['Maturity', formatMaturityDate(maturityTs)],
+            ['Status', `${maturityStatus}${daysToMaturity > 0 ? ` (${daysToMaturity} days left)` : ''}`],
+            ['Rank', rank],
+            ['AMP', amp],
+            ['EAA', eaa],
+            ['XEN Burned', xenBurned],
+            ['Power Group', classInfo.powerGroupIdx !== undefined ? classInfo.powerGroupIdx : '-'],
+            ['Redeemed', redeemed ? 'Yes' : 'No'],
+            ['Color Cycle', `${colorScheme.cycleNumber + 1}/${colorScheme.cycleCount}`]
+        ];
+
+        if (context.rewardEstimate) {
+            const { net, penaltyPct } = context.rewardEstimate;
+            rows.push(['Est. Reward', `${net.toLocaleString('en-US')} XEN${penaltyPct > 0 ? ` (-${penaltyPct}%)` : ''}`]);
+        }
+
+        // cbXEN mint records, once they have been loaded for this token
+        const { vmuMintSummary } = context.xenftData;
+        if (vmuMintSummary) {
+            rows.push(['Active VMU Mints', `${vmuMintSummary.active}/${vmuMintSummary.total}`]);
+            if (vmuMintSummary.minRank !== null) {
+                rows.push(['VMU Ranks', `${vmuMintSummary.minRank} - ${vmuMintSummary.maxRank}`]);
+            }
+        }
+
+        const top = 70;
+        const rowHeight = Math.min(24, Math.floor((height - top - 30) / rows.length));
+        const tableRows = rows.map(([label, value], i) => {
+            const y = top + i * rowHeight;
+            return `
+                <rect x="20" y="${y}" width="${width - 40}" height="${rowHeight}" fill="${i % 2 === 0 ? colorScheme.tertiary : colorScheme.background}" opacity="0.35" />
+                <text x="30" y="${y + rowHeight - 8}" fill="${colorScheme.primary}" font-family="Arial" font-size="12">${label}</text>
+                <text x="${width - 30}" y="${y + rowHeight - 8}" fill="white" text-anchor="end" font-family="Arial" font-size="12">${value}</text>`;
+        }).join('');
+
+        return `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+                <rect width="100%" height="100%" fill="${colorScheme.background}" />
+                <rect x="0" y="0" width="${width}" height="50" fill="${colorScheme.secondary}" />
+                <rect x="0" y="50" width="${width}" height="4" fill="${rarityInfo.rarityColor}" class="xenft-pulse" />
+                <text x="20" y="33" fill="white" font-family="Arial" font-size="20" font-weight="bold">XENFT #${tokenId}</text>
+                <text x="${width - 20}" y="33" fill="white" text-anchor="end" font-family="Arial" font-size="12">${rarityInfo.category}</text>
+                ${tableRows}
+                <text x="${width / 2}" y="${height - 15}" fill="white" text-anchor="middle" font-family="Arial" font-size="10" opacity="0.6">Generated on ${generatedOn}</text>
+            </svg>
+        `;
+    }
+
+    /**
+     * Badge: a round emblem ringed by one dot per VMU (up to 60)
+     * @param {Object} context - Render context
+     * @returns {string} SVG markup
+     */
+    function renderBadgeTemplate(context) {
+        const { tokenId, vmuCount, term, colorScheme, rarityInfo, maturityStatus, generatedOn, width, height } = context;
+        const cx = width / 2;
+        const cy = height / 2;
+
+        const dotCount = Math.min(vmuCount, 60);
+        let dots = '';
+        for (let i = 0; i < dotCount; i++) {
+            const angle = i * (2 * Math.PI / dotCount);
+            const x = cx + 165 * Math.sin(angle);
+            const y = cy - 165 * Math.cos(angle);
+            dots += `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="4" fill="${colorScheme.primary}" opacity="0.8" class="xenft-pulse" style="--xenft-delay: ${(i * 0.05).toFixed(2)}s" />`;
+        }
+
+        return `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+                <rect width="100%" height="100%" fill="${colorScheme.background}" />
+                ${dots}
+                <circle cx="${cx}" cy="${cy}" r="150" fill="${colorScheme.secondary}" stroke="${rarityInfo.rarityColor}" stroke-width="8" />
+                <circle cx="${cx}" cy="${cy}" r="125" fill="${colorScheme.background}" stroke="${colorScheme.tertiary}" stroke-width="2" class="xenft-spin" />
+                <text x="${cx}" y="${cy - 60}" fill="${rarityInfo.rarityColor}" text-anchor="middle" font-family="Arial" font-size="16" font-weight="bold" letter-spacing="3">${rarityInfo.category.toUpperCase()}</text>
+                <text x="${cx}" y="${cy + 12}" fill="white" text-anchor="middle" font-family="Arial" font-size="40" font-weight="bold">#${tokenId}</text>
+                <text x="${cx}" y="${cy + 40}" fill="${colorScheme.primary}" text-anchor="middle" font-family="Arial" font-size="13">${rarityInfo.rarity}</text>
+                <text x="${cx}" y="${cy + 75}" fill="white" text-anchor="middle" font-family="Arial" font-size="12">${vmuCount} VMUs · ${term}d · ${maturityStatus}</text>
+                <text x="${cx}" y="${height - 10}" fill="white" text-anchor="middle" font-family="Arial" font-size="9" opacity="0.6">Generated on ${generatedOn}</text>
+            </svg>
+        `;
+    }
+
+    register('minimal', {
+        label: 'Minimal',
+        description: 'Token number and a maturity progress ring',
+        render: renderMinimalTemplate
+    });
+
+    register('data-dense', {
+        label: 'Data-Dense',
+        description: 'Every decoded field in a table',
+        render: renderDataDenseTemplate
+    });
+
+    register('badge', {
+        label: 'Badge',
+        description: 'Round emblem ringed by VMU dots',
+        render: renderBadgeTemplate
+    });
+})(typeof registerSVGTemplate === 'function' ? registerSVGTemplate : require('./mintInfoDecoder').registerSVGTemplate);
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+const { crc32, quantizeColors, lzwEncode, createGIFEncoder, createAPNGEncoder, buildCycleFrames } = require('../animatedExport');
+require('../templates');
+
+/**
+ * Reference GIF LZW decoder
+ * @param {Uint8Array} data - Compressed data (without sub-block framing)
+ * @param {number} minCodeSize - LZW minimum code size
+ * @returns {number[]} Decoded indices
+ */
+function lzwDecode(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    let codeSize = minCodeSize + 1;
+    let table = [];
+    let previous = null;
+    let bitPos = 0;
+    const output = [];
+    const reset = () => {
+        table = Array.from({ length: clearCode + 2 }, (_, i) => (i < clearCode ? [i] : null));
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    while (bitPos + codeSize <= data.length * 8) {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bitPos++) {
+            code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+        }
+        if (code === clearCode) { reset(); continue; }
+        if (code === clearCode + 1) break;
+
+        const entry = code < table.length ? table[code] : [...table[previous], table[previous][0]];
+        output.push(...entry);
+        if (previous !== null && table.length < 4096) {
+            table.push([...table[previous], entry[0]]);
+        }
+        if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+        previous = code;
+    }
+    return output;
+}
+
+/**
+ * Reads the frames of a GIF written by createGIFEncoder
+ * @param {Uint8Array} gif - GIF bytes
+ * @returns {Object[]} { delay, palette, indices } for each frame
+ */
+function readGIF(gif) {
+    const frames = [];
+    let offset = 13 + 19; // header, screen descriptor and NETSCAPE2.0 block
+    let delay = 0;
+    while (gif[offset] !== 0x3B) {
+        if (gif[offset] === 0x21) {
+            delay = gif[offset + 4] | (gif[offset + 5] << 8);
+            offset += 8;
+            continue;
+        }
+        const tableBits = (gif[offset + 9] & 0x07) + 1;
+        const palette = gif.subarray(offset + 10, offset + 10 + (3 << tableBits));
+        offset += 10 + (3 << tableBits);
+        const minCodeSize = gif[offset++];
+        const blocks = [];
+        while (gif[offset] !== 0) {
+            blocks.push(...gif.subarray(offset + 1, offset + 1 + gif[offset]));
+            offset += gif[offset] + 1;
+        }
+        offset++;
+        frames.push({ delay, palette, indices: lzwDecode(Uint8Array.from(blocks), minCodeSize) });
+    }
+    return frames;
+}
+
+/**
+ * Builds a solid-color RGBA PNG
+ * @param {number} size - Width and height
+ * @param {number[]} rgba - Pixel color
+ * @returns {Uint8Array} PNG file
+ */
+function solidPng(size, rgba) {
+    const raw = Buffer.alloc(size * (size * 4 + 1));
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) raw.set(rgba, y * (size * 4 + 1) + 1 + x * 4);
+    }
+    const chunk = (type, data) => {
+        const out = Buffer.alloc(12 + data.length);
+        out.writeUInt32BE(data.length, 0);
+        out.write(type, 4, 'ascii');
+        data.copy(out, 8);
+        out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+        return out;
+    };
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(size, 0);
+    ihdr.writeUInt32BE(size, 4);
+    ihdr.set([8, 6, 0, 0, 0], 8);
+    return new Uint8Array(Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]));
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+});
+
+test('lzwEncode round-trips through a reference decoder, across dictionary resets', () => {
+    let seed = 1;
+    const indices = Uint8Array.from({ length: 30000 }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % 16;
+    });
+    assert.deepEqual(lzwDecode(lzwEncode(indices, 4), 4), [...indices]);
+
+    const flat = new Uint8Array(5000).fill(3);
+    assert.deepEqual(lzwDecode(lzwEncode(flat, 2), 2), [...flat]);
+});
+
+test('quantizeColors keeps images with few colors exact', () => {
+    const colors = [[15, 19, 28], [51, 87, 255], [255, 255, 255], [200, 10, 10]];
+    const rgba = Uint8Array.from(Array.from({ length: 64 }, (_, i) => [...colors[i % 4], 255]).flat());
+    const { palette, indices } = quantizeColors(rgba);
+
+    assert.equal(palette.length, 12);
+    indices.forEach((index, i) => {
+        assert.deepEqual([...palette.subarray(index * 3, index * 3 + 3)], colors[i % 4]);
+    });
+});
+
+test('createGIFEncoder writes decodable frames with their delays', () => {
+    const encoder = createGIFEncoder(4, 4);
+    const red = Uint8Array.from(Array(16).fill([255, 0, 0, 255]).flat());
+    const mixed = Uint8Array.from(Array.from({ length: 16 }, (_, i) => (i < 8 ? [0, 0, 255, 255] : [0, 255, 0, 255])).flat());
+    encoder.addFrame(red, 500);
+    encoder.addFrame(mixed, 10);
+    const gif = encoder.finish();
+
+    assert.equal(Buffer.from(gif.subarray(0, 6)).toString(), 'GIF89a');
+    const frames = readGIF(gif);
+    assert.equal(frames.length, 2);
+    assert.deepEqual(frames.map(frame => frame.delay), [50, 2]);
+
+    const colorAt = (frame, i) => [...frame.palette.subarray(frame.indices[i] * 3, frame.indices[i] * 3 + 3)];
+    assert.deepEqual(colorAt(frames[0], 15), [255, 0, 0]);
+    assert.deepEqual(colorAt(frames[1], 0), [0, 0, 255]);
+    assert.deepEqual(colorAt(frames[1], 15), [0, 255, 0]);
+
+    assert.throws(() => encoder.addFrame(new Uint8Array(8), 100), /4x4/);
+});
+
+test('createAPNGEncoder assembles PNG frames into an animation', () => {
+    const encoder = createAPNGEncoder();
+    encoder.addFrame(solidPng(2, [255, 0, 0, 255]), 250);
+    encoder.addFrame(solidPng(2, [0, 0, 255, 255]), 250);
+    const apng = Buffer.from(encoder.finish());
+
+    const chunks = [];
+    for (let offset = 8; offset < apng.length;) {
+        const length = apng.readUInt32BE(offset);
+        const type = apng.toString('ascii', offset + 4, offset + 8);
+        assert.equal(apng.readUInt32BE(offset + 8 + length), crc32(apng.subarray(offset + 4, offset + 8 + length)), `${type} CRC`);
+        chunks.push({ type, data: apng.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+    }
+
+    assert.deepEqual(chunks.map(chunk => chunk.type), ['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND']);
+    assert.equal(chunks[1].data.readUInt32BE(0), 2);
+    assert.deepEqual([chunks[2], chunks[4], chunks[5]].map(chunk => chunk.data.readUInt32BE(0)), [0, 1, 2]);
+    assert.equal(chunks[4].data.readUInt16BE(20), 250);
+
+    assert.throws(() => encoder.addFrame(solidPng(3, [0, 0, 0, 255]), 250), /same size/);
+    assert.throws(() => encoder.addFrame(new Uint8Array(20), 250), /not a PNG/);
+});
+
+test('buildCycleFrames renders every palette from the current one, optionally animated', () => {
+    const xenftData = {
+        tokenId: 9,
+        vmuCount: 4,
+        xenBurned: 0,
+        mintInfo: { term: 100, maturityTs: 1700000000, rank: '5', amp: 3000, eaa: 100, class: { isApex: false, isLimited: false, powerGroupIdx: 0 }, redeemed: false }
+    };
+    const asOf = Date.UTC(2024, 0, 1);
+
+    const still = buildCycleFrames(xenftData, { template: 'classic', asOf });
+    assert.equal(still.length, 12);
+    const first = still[0].colorCycle;
+    still.forEach((frame, i) => {
+        assert.equal(frame.colorCycle, (first + i) % 12);
+        assert.match(frame.svg, new RegExp(`Color Cycle: ${frame.colorCycle + 1}/12`));
+        assert.doesNotMatch(frame.svg, /<style>/);
+    });
+
+    const animated = buildCycleFrames(xenftData, { template: 'minimal', asOf }, { framesPerPalette: 3, frameDurationMs: 200 });
+    assert.equal(animated.length, 36);
+    assert.deepEqual(animated.slice(0, 4).map(frame => frame.animationTime), [0, 0.2, 0.4, 0.6]);
+    assert.match(animated[2].svg, /style="--xenft-time: 0.4s"/);
+    assert.match(animated[2].svg, /animation-play-state: paused/);
+});
@@ -0,0 +1,434 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const fs = require('node:fs');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const { ethers } = require('ethers');
+
+const { createFixtureProvider } = require('../fixtureProvider');
+const { CHAINS, getAddChainParams } = require('../chains');
+
+// The page is loaded from disk the way a browser would load it, with ethers
+// served from node_modules in place of the CDN. Contract reads are answered by
+// a fixture provider (see fixtureProvider.js), reached through a fetch stub for
+// JSON-RPC endpoints and through an EIP-1193 stub for the wallet.
+
+const ROOT = path.join(__dirname, '..');
+const PAGE_URL = 'http://localhost/';
+const ETHERS_BUNDLE = path.join(ROOT, 'node_modules', 'ethers', 'dist', 'ethers.umd.min.js');
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', 'demo.json'), 'utf8'));
+const OWNER = '0x1111111111111111111111111111111111111111';
+const OWNED = [1001, 1002, 1003, 1004, 1005, 1006, 1007, 1008, 1009];
+
+// Serves the page's own files, and ethers for any of the CDNs app.js tries; nothing else loads
+class LocalResourceLoader extends ResourceLoader {
+    fetch(url, options) {
+        if (/\/ethers@5\.7\.2\//.test(url)) {
+            return Promise.resolve(fs.readFileSync(ETHERS_BUNDLE));
+        }
+        if (url.startsWith(PAGE_URL)) {
+            return Promise.resolve(fs.readFileSync(path.join(ROOT, new URL(url).pathname)));
+        }
+        return Promise.reject(new Error(`No network in tests: ${url}`));
+    }
+}
+
+/**
+ * Answers JSON-RPC requests from the demo fixture, on any endpoint
+ * Setting fetch.failing to a method name makes every request of that method fail with HTTP 503.
+ * @returns {Function} fetch, recording each request's URL and method in fetch.calls
+ */
+function createRpcFetch() {
+    const chain = createFixtureProvider(ethers, FIXTURE, { network: { name: 'base', chainId: CHAINS.base.chainId } });
+    const calls = [];
+
+    const rpcFetch = async (url, request) => {
+        // ethers sends the body as UTF-8 bytes
+        const { id, method, params } = JSON.parse(new TextDecoder().decode(request.body));
+        calls.push({ url, method });
+        if (rpcFetch.failing === method) {
+            return new Response('Service Unavailable', { status: 503 });
+        }
+
+        let body;
+        try {
+            body = { jsonrpc: '2.0', id, result: await chain.send(method, params) };
+        } catch (error) {
+            body = { jsonrpc: '2.0', id, error: { code: error.code || -32000, message: error.message, data: error.data } };
+        }
+        return new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+    };
+    rpcFetch.calls = calls;
+    rpcFetch.chain = chain;
+    rpcFetch.failing = null;
+    return rpcFetch;
+}
+
+/**
+ * An EIP-1193 wallet holding the fixture's owner
+ * @param {Object} [options] - { chainId: the wallet's current chain, knownChains: chain IDs it can switch to, rejectAdd }
+ * @returns {Object} The wallet, recording wallet_* requests in wallet.requests
+ */
+function createWalletStub({ chainId = CHAINS.base.chainId, knownChains = [CHAINS.base.chainId], rejectAdd = false } = {}) {
+    const chain = createFixtureProvider(ethers, FIXTURE, { network: { name: 'base', chainId: CHAINS.base.chainId } });
+    const known = new Set(knownChains);
+    const listeners = {};
+    const rpcError = (code, message) => Object.assign(new Error(message), { code });
+
+    const wallet = {
+        chainId,
+        requests: [],
+        listeners,
+        on(event, listener) {
+            listeners[event] = listener;
+        },
+        async request({ method, params = [] }) {
+            switch (method) {
+                case 'eth_chainId':
+                    return ethers.utils.hexValue(wallet.chainId);
+                case 'net_version':
+                    return String(wallet.chainId);
+                case 'eth_accounts':
+                case 'eth_requestAccounts':
+                    return [OWNER];
+                case 'wallet_switchEthereumChain': {
+                    wallet.requests.push({ method, params });
+                    const id = parseInt(params[0].chainId, 16);
+                    if (!known.has(id)) throw rpcError(4902, 'Unrecognized chain ID');
+                    wallet.chainId = id;
+                    return null;
+                }
+                case 'wallet_addEthereumChain':
+                    wallet.requests.push({ method, params });
+                    if (rejectAdd) throw rpcError(4001, 'User rejected the request');
+                    known.add(parseInt(params[0].chainId, 16));
+                    return null;
+                default:
+                    return chain.send(method, params);
+            }
+        }
+    };
+    return wallet;
+}
+
+/**
+ * Loads index.html with all its scripts; the window is closed when the test ends
+ * @param {Object} t - The test context
+ * @param {Object} [options] - { wallet: EIP-1193 stub returned by the wallet modal }
+ * @returns {Promise<Object>} { window, $, state, rpcFetch, alerts }
+ */
+async function loadApp(t, { wallet = null } = {}) {
+    const rpcFetch = createRpcFetch();
+    const alerts = [];
+
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), {
+        url: PAGE_URL,
+        runScripts: 'dangerously',
+        resources: new LocalResourceLoader(),
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole(),
+        beforeParse(window) {
+            // jsdom has neither of these, and ethers needs both
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+            window.fetch = rpcFetch;
+            window.alert = message => alerts.push(message);
+            window.confirm = () => true;
+            if (wallet) {
+                window.web3Modal = { connect: async () => wallet };
+            }
+        }
+    });
+
+    const { window } = dom;
+    t.after(() => window.close());
+    await new Promise(resolve => window.addEventListener('load', resolve));
+
+    return {
+        window,
+        $: id => window.document.getElementById(id),
+        // app.js keeps its state in script-level variables, which are not properties of window;
+        // values are copied out of the window's realm so they compare with deepEqual
+        state: name => {
+            const value = window.eval(name);
+            return Array.isArray(value) ? [...value] : value;
+        },
+        rpcFetch,
+        alerts
+    };
+}
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {string} description - Reported when the condition never holds
+ */
+async function waitFor(condition, description) {
+    const deadline = Date.now() + 5000;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${description}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+const isHidden = element => element.classList.contains('hidden');
+
+test('connectToRPC reads through the configured endpoints in view-only mode', async t => {
+    const app = await loadApp(t);
+    const { $, state } = app;
+
+    $('useRpcBtn').click();
+    await waitFor(() => !isHidden($('connectedContainer')), 'the connected view');
+
+    assert.ok(isHidden($('connectionContainer')));
+    assert.ok(isHidden($('accountInfo')));
+    assert.ok(!isHidden($('ownerLookupContainer')));
+    assert.equal(state('account'), null);
+    assert.equal(state('xenftContract.address'), CHAINS.base.xenftAddress);
+
+    // The global rank is read on connect, through the first configured endpoint
+    await waitFor(() => state('globalRankValue') === FIXTURE.globalRank, 'the global rank');
+    assert.equal(app.rpcFetch.calls[0].url, state('getRpcUrls(selectedChain)[0]'));
+});
+
+test('fetchOwnedTokens lists the tokens of a looked-up owner and shows the first', async t => {
+    const app = await loadApp(t);
+    const { $, state } = app;
+
+    $('useRpcBtn').click();
+    await waitFor(() => !isHidden($('ownerLookupContainer')), 'the owner lookup');
+
+    $('ownerAddressInput').value = OWNER;
+    $('lookupOwnerBtn').click();
+    await waitFor(() => /owns/.test($('ownerLookupStatus').textContent), 'the lookup result');
+
+    assert.deepEqual(state('ownedTokens'), OWNED);
+    assert.equal($('ownerLookupStatus').textContent, `${ethers.utils.getAddress(OWNER)} owns 9 XENFTs`);
+    assert.deepEqual([...$('ownedTokensContainer').querySelectorAll('.token-badge')].map(badge => badge.textContent), OWNED.map(id => `#${id}`));
+    assert.equal(state('xenftDataCache.size'), OWNED.length);
+    await waitFor(() => $('displayTokenId').textContent === '1001', 'the first token');
+});
+
+test('an owner lookup whose read fails reports the failure, not a count', async t => {
+    const app = await loadApp(t);
+    const { $, state } = app;
+
+    $('useRpcBtn').click();
+    await waitFor(() => !isHidden($('ownerLookupContainer')), 'the owner lookup');
+
+    app.rpcFetch.failing = 'eth_call';
+    $('ownerAddressInput').value = OWNER;
+    $('lookupOwnerBtn').click();
+    await waitFor(() => /Failed/.test($('ownerLookupStatus').textContent), 'the lookup failure');
+
+    const owner = ethers.utils.getAddress(OWNER);
+    assert.equal($('ownerLookupStatus').textContent, `Failed to load the XENFTs of ${owner}`);
+    assert.equal($('errorMessage').textContent, `Failed to fetch the XENFTs of ${owner}. Please try again.`);
+    assert.deepEqual(state('ownedTokens'), []);
+});
+
+test('ENS names resolve through the configured Ethereum endpoints', async t => {
+    const app = await loadApp(t);
+    const { $, window } = app;
+
+    $('useRpcBtn').click();
+    await waitFor(() => !isHidden($('ownerLookupContainer')), 'the owner lookup');
+
+    window.eval("rpcSettings.urls.ethereum = ['https://eth.example.org/rpc']");
+    const callsBefore = app.rpcFetch.calls.length;
+    $('ownerAddressInput').value = 'nobody.eth';
+    $('lookupOwnerBtn').click();
+    await waitFor(() => /does not resolve/.test($('ownerLookupStatus').textContent), 'the resolution result');
+
+    // The fixture has no ENS registry, so the name resolves to nothing
+    const ensCalls = app.rpcFetch.calls.slice(callsBefore);
+    assert.ok(ensCalls.length > 0);
+    assert.equal(ensCalls[0].url, 'https://eth.example.org/rpc');
+    assert.equal($('ownerLookupStatus').textContent, 'nobody.eth does not resolve to an address');
+});
+
+test('demo mode refuses ENS names without touching the network', async t => {
+    const app = await loadApp(t);
+    const { $, window } = app;
+
+    await window.eval('connectToFixture')(JSON.parse(JSON.stringify(FIXTURE)));
+    await waitFor(() => $('displayTokenId').textContent === '1001', 'the first token');
+
+    $('ownerAddressInput').value = 'nobody.eth';
+    $('lookupOwnerBtn').click();
+    await waitFor(() => /demo mode/.test($('ownerLookupStatus').textContent), 'the refusal');
+
+    assert.equal($('ownerLookupStatus').textContent, "ENS names can't be resolved in demo mode. Enter an address instead.");
+    assert.equal(app.rpcFetch.calls.length, 0);
+});
+
+test('in demo mode the VMU mints of a token agree with its mintInfo', async t => {
+    const app = await loadApp(t);
+    const { $, window } = app;
+
+    await window.eval('connectToFixture')(JSON.parse(JSON.stringify(FIXTURE)));
+    await waitFor(() => $('displayTokenId').textContent === '1001', 'the first token');
+
+    $('loadVmuMintsBtn').click();
+    await waitFor(() => /VMUs have an active mint/.test($('vmuStatus').textContent), 'the VMU mints');
+
+    assert.equal($('vmuStatus').textContent, '128/128 VMUs have an active mint · all consistent with mintInfo');
+    assert.equal(app.rpcFetch.calls.length, 0);
+});
+
+test('connectWallet reads through a wallet already on the selected chain', async t => {
+    const wallet = createWalletStub();
+    const app = await loadApp(t, { wallet });
+    const { $, state } = app;
+
+    $('connectWalletBtn').click();
+    await waitFor(() => !isHidden($('accountInfo')), 'the account info');
+
+    assert.deepEqual(wallet.requests, []);
+    assert.equal(state('account'), OWNER);
+    assert.equal($('accountAddress').textContent, '0x1111...1111');
+    assert.equal($('tokenCount').textContent, String(OWNED.length));
+    assert.deepEqual(state('ownedTokens'), OWNED);
+    assert.deepEqual(Object.keys(wallet.listeners).sort(), ['accountsChanged', 'chainChanged', 'disconnect']);
+    assert.equal($('rpcStatus').textContent, 'Reading through your wallet');
+    assert.equal(app.rpcFetch.calls.length, 0);
+});
+
+test('connectWallet adds the selected chain to a wallet that does not know it (4902)', async t => {
+    const wallet = createWalletStub({ chainId: 1, knownChains: [1] });
+    const app = await loadApp(t, { wallet });
+    const { $, state } = app;
+
+    $('connectWalletBtn').click();
+    await waitFor(() => !isHidden($('accountInfo')), 'the account info');
+
+    const baseChainId = '0x2105';
+    assert.deepEqual(JSON.parse(JSON.stringify(wallet.requests)), [
+        { method: 'wallet_switchEthereumChain', params: [{ chainId: baseChainId }] },
+        { method: 'wallet_addEthereumChain', params: [getAddChainParams(CHAINS.base)] },
+        { method: 'wallet_switchEthereumChain', params: [{ chainId: baseChainId }] }
+    ]);
+    assert.equal(wallet.chainId, CHAINS.base.chainId);
+    assert.deepEqual(state('ownedTokens'), OWNED);
+});
+
+test('connectWallet reports a chain the wallet refused to add', async t => {
+    const wallet = createWalletStub({ chainId: 1, knownChains: [1], rejectAdd: true });
+    const app = await loadApp(t, { wallet });
+    const { $, state } = app;
+
+    $('connectWalletBtn').click();
+    await waitFor(() => !isHidden($('errorMessage')), 'the error message');
+
+    assert.equal($('errorMessage').textContent, 'Failed to add Base to wallet. Please add it manually.');
+    assert.deepEqual(wallet.requests.map(request => request.method), ['wallet_switchEthereumChain', 'wallet_addEthereumChain']);
+    assert.equal(state('account'), null);
+    assert.ok(isHidden($('connectedContainer')));
+    assert.ok(isHidden($('loadingMessage')));
+    assert.equal($('connectWalletBtn').disabled, false);
+});
+
+test('handleViewToken rejects anything but a positive token ID', async t => {
+    const app = await loadApp(t);
+    const { $, state } = app;
+
+    $('useRpcBtn').click();
+    await waitFor(() => !isHidden($('connectedContainer')), 'the connected view');
+    const callsBefore = app.rpcFetch.calls.length;
+
+    for (const value of ['', 'abc', '0', '-3']) {
+        $('errorMessage').classList.add('hidden');
+        $('tokenIdInput').value = value;
+        $('viewTokenBtn').click();
+
+        assert.ok(!isHidden($('errorMessage')), value);
+        assert.equal($('errorMessage').textContent, 'Please enter a valid Token ID');
+        assert.equal(state('currentTokenId'), null);
+    }
+    assert.ok(!app.rpcFetch.calls.slice(callsBefore).some(call => call.method === 'eth_call'));
+
+    // A token that doesn't exist gets past validation and fails on the read
+    $('tokenIdInput').value = '999';
+    $('viewTokenBtn').click();
+    await waitFor(() => /#999/.test($('errorMessage').textContent), 'the read error');
+    assert.equal($('errorMessage').textContent, 'Failed to fetch data for XENFT #999. Please try again.');
+});
+
+test('displayXENFT renders the card and its details, and links to the token', async t => {
+    const app = await loadApp(t);
+    const { $, state, window } = app;
+
+    $('useRpcBtn').click();
+    await waitFor(() => !isHidden($('connectedContainer')), 'the connected view');
+
+    $('tokenIdInput').value = '1007';
+    $('viewTokenBtn').click();
+    await waitFor(() => $('displayTokenId').textContent === '1007', 'token #1007');
+
+    assert.ok(!isHidden($('xenftCardContainer')));
+    assert.match($('svgContainer').innerHTML, /^\s*<svg[^>]*viewBox="0 0 400 400"/);
+    assert.equal($('vmuCount').textContent, '90');
+    assert.equal($('termValue').textContent, '500');
+    assert.equal($('burnedValue').textContent, '0');
+    assert.equal($('typeValue').textContent, 'Common (Uncommon)');
+    assert.equal(state('currentXenftData.tokenId'), 1007);
+    assert.equal(window.location.hash, '#/base/token/1007?template=classic');
+
+    // Switching templates re-renders the same data
+    $('templateSelect').value = 'minimal';
+    $('templateSelect').dispatchEvent(new window.Event('change'));
+    assert.equal(window.location.hash, '#/base/token/1007?template=minimal');
+    assert.equal($('displayTokenId').textContent, '1007');
+});
+
+test('gallery save and remove', async t => {
+    const app = await loadApp(t);
+    const { $, window } = app;
+
+    $('useRpcBtn').click();
+    await waitFor(() => !isHidden($('connectedContainer')), 'the connected view');
+    $('tokenIdInput').value = '1002';
+    $('viewTokenBtn').click();
+    await waitFor(() => $('displayTokenId').textContent === '1002', 'token #1002');
+
+    $('saveToGalleryBtn').click();
+    await waitFor(() => app.alerts.length > 0, 'the save confirmation');
+    assert.deepEqual(app.alerts, ['XENFT #1002 saved to your gallery!']);
+
+    const index = JSON.parse(window.localStorage.getItem('xenftGallery'));
+    assert.deepEqual(index.items.map(item => [item.chain, item.tokenId, item.template, item.rarity]), [['base', 1002, 'classic', 'Exotic']]);
+
+    $('galleryTab').click();
+    const galleryItems = () => $('galleryContainer').querySelectorAll('.gallery-item');
+    await waitFor(() => galleryItems().length === 1, 'the saved card');
+    assert.equal(galleryItems()[0].dataset.tokenId, '1002');
+
+    galleryItems()[0].querySelector('.remove-btn').click();
+    await waitFor(() => galleryItems().length === 0, 'the card to be removed');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('xenftGallery')).items, []);
+});
+
+test('disconnect resets the session', async t => {
+    const wallet = createWalletStub();
+    const app = await loadApp(t, { wallet });
+    const { $, state, window } = app;
+
+    $('connectWalletBtn').click();
+    await waitFor(() => $('displayTokenId').textContent === '1001', 'the first token');
+
+    $('disconnectBtn').click();
+
+    ['provider', 'xenftContract', 'xenCryptoContract', 'account', 'currentTokenId', 'currentXenftData', 'web3Provider'].forEach(name => {
+        assert.equal(state(name), null, name);
+    });
+    assert.deepEqual(state('ownedTokens'), []);
+    assert.equal(state('xenftDataCache.size'), 0);
+    assert.ok(!isHidden($('connectionContainer')));
+    ['connectedContainer', 'accountInfo', 'ownedTokensContainer', 'xenftCardContainer', 'ownerLookupContainer'].forEach(id => {
+        assert.ok(isHidden($(id)), id);
+    });
+    assert.equal($('rpcStatus').textContent, '');
+    assert.equal(window.location.hash, '');
+});
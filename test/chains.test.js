@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const { CHAINS, DEFAULT_CHAIN_KEY, getChain, getChains, getChainById, toHexChainId, getAddChainParams, getChainTokenKey } = require('../chains');
+
+test('every chain has checksummed contract addresses and a unique chain ID', () => {
+    const ids = new Set();
+    getChains().forEach(chain => {
+        assert.equal(CHAINS[chain.key], chain);
+        assert.equal(ethers.utils.getAddress(chain.xenftAddress), chain.xenftAddress, chain.key);
+        assert.equal(ethers.utils.getAddress(chain.xen.address), chain.xen.address, chain.key);
+        assert.equal(chain.xen.decimals, 18);
+        assert.ok(chain.rpcUrls.length > 0 && chain.blockExplorerUrls.length > 0, chain.key);
+        assert.ok(!ids.has(chain.chainId), chain.key);
+        ids.add(chain.chainId);
+    });
+    assert.ok(getChain(DEFAULT_CHAIN_KEY));
+});
+
+test('getChain and getChainById find registered chains only', () => {
+    assert.equal(getChain('polygon').chainId, 137);
+    assert.equal(getChain('toString'), null);
+    assert.equal(getChain(undefined), null);
+
+    assert.equal(getChainById(8453).key, 'base');
+    assert.equal(getChainById('0x2105').key, 'base');
+    assert.equal(getChainById('56').key, 'bsc');
+    assert.equal(getChainById(10), null);
+});
+
+test('getAddChainParams builds an EIP-3085 request', () => {
+    assert.equal(toHexChainId(43114), '0xa86a');
+    assert.deepEqual(getAddChainParams(getChain('base')), {
+        chainId: '0x2105',
+        chainName: 'Base',
+        nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+        rpcUrls: ['https://mainnet.base.org'],
+        blockExplorerUrls: ['https://basescan.org']
+    });
+});
+
+test('getChainTokenKey tells the same token ID on two chains apart', () => {
+    assert.equal(getChainTokenKey('polygon', 1234), 'polygon:1234');
+    assert.notEqual(getChainTokenKey('base', 1), getChainTokenKey('ethereum', 1));
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const fs = require('node:fs');
+const { ethers } = require('ethers');
+
+const { parseFixture, createFixtureProvider } = require('../fixtureProvider');
+const { fetchXenftDataBatch } = require('../xenftReader');
+const { decodeTokenURI, compareTokenAttributes } = require('../tokenURIDecoder');
+const { getXENFTRarityInfo } = require('../mintInfoDecoder');
+const { getVmuProxyAddresses, fetchUserMints, compareVmuMints } = require('../vmuMints');
+
+const NETWORK = { name: 'base', chainId: 8453 };
+const NOW_MS = Date.UTC(2025, 0, 1);
+const OWNER = '0x1111111111111111111111111111111111111111';
+const XENFT_ADDRESS = '0x379002701BF6f2862e3dFdd1f96d3C5E1BF450B6';
+const XENFT_ABI = [
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    "function ownedTokens() view returns (uint256[])",
+    "function vmuCount(uint256 tokenId) view returns (uint256)",
+    "function mintInfo(uint256 tokenId) view returns (uint256)",
+    "function xenBurned(uint256 tokenId) view returns (uint256)",
+    "function isApex(uint256 tokenId) view returns (bool)"
+];
+const XEN_ABI = [
+    "function globalRank() view returns (uint256)",
+    "function userMints(address user) view returns (address user, uint256 term, uint256 maturityTs, uint256 rank, uint256 amplifier, uint256 eaaRate)"
+];
+
+const demoFixture = () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'demo.json'), 'utf8'));
+const connect = (fixture = demoFixture(), options = { xenftAddress: XENFT_ADDRESS }) => {
+    const provider = createFixtureProvider(ethers, fixture, { network: NETWORK, nowMs: NOW_MS, ...options });
+    return {
+        provider,
+        xenft: new ethers.Contract(XENFT_ADDRESS, XENFT_ABI, provider),
+        xen: new ethers.Contract('0xffcbF84650cE02DaFE96926B37a0ac5E34932fa5', XEN_ABI, provider)
+    };
+};
+
+test('parseFixture resolves tokens and rejects files that are not fixtures', () => {
+    const { owner, tokens } = parseFixture(JSON.stringify(demoFixture()), { nowMs: NOW_MS });
+    assert.equal(owner, OWNER);
+    assert.equal(tokens.size, 10);
+    assert.equal(tokens.get(1001).isApex, true);
+    assert.equal(tokens.get(1010).owner, '0x2222222222222222222222222222222222222222');
+
+    assert.throws(() => parseFixture('{'), /not valid JSON/);
+    assert.throws(() => parseFixture({ format: 'xenft-gallery', tokens: [] }), /not a XENFT fixture/);
+    assert.throws(() => parseFixture({ format: 'xenft-fixture', version: 2, tokens: [] }), /newer/);
+    assert.throws(() => parseFixture({ format: 'xenft-fixture', tokens: [{ tokenId: 1 }, { tokenId: 1 }] }), /twice/);
+});
+
+test('the demo fixture covers every category and rarity', async () => {
+    const { xenft } = connect();
+    const tokenIds = [...parseFixture(demoFixture()).tokens.keys()];
+    const data = (await fetchXenftDataBatch(ethers, xenft, tokenIds)).map(result => result.data);
+
+    const rarities = new Set(data.map(xenftData => getXENFTRarityInfo(xenftData).rarity));
+    ['Xunicorn', 'Exotic', 'Legendary', 'Epic', 'Rare', 'Limited', 'Uncommon', 'Standard', 'Basic'].forEach(rarity => {
+        assert.ok(rarities.has(rarity), rarity);
+    });
+});
+
+test('contract reads are answered from the fixture', async () => {
+    const { xenft, xen } = connect();
+
+    assert.deepEqual((await xenft.ownedTokens({ from: OWNER })).map(Number), [1001, 1002, 1003, 1004, 1005, 1006, 1007, 1008, 1009]);
+    assert.deepEqual((await xenft.ownedTokens({ from: '0x2222222222222222222222222222222222222222' })).map(Number), [1010]);
+    assert.equal((await xen.globalRank()).toString(), '24500000');
+
+    const [{ data }] = await fetchXenftDataBatch(ethers, xenft, [1002]);
+    assert.equal(data.vmuCount, 100);
+    assert.equal(data.xenBurned, 2500000);
+    assert.equal(data.isApex, true);
+    assert.equal(data.mintInfo.term, 365);
+    assert.equal(data.mintInfo.maturityTs, NOW_MS / 1000 - 10 * 86400);
+});
+
+test('generated tokenURI metadata agrees with the decoded data', async () => {
+    const { xenft } = connect();
+    const [{ data }] = await fetchXenftDataBatch(ethers, xenft, [1005]);
+    const { attributes } = decodeTokenURI(await xenft.tokenURI(1005));
+
+    const rows = compareTokenAttributes(attributes, data, getXENFTRarityInfo(data));
+    assert.deepEqual(rows.filter(row => row.status !== 'match'), []);
+});
+
+test('unknown tokens revert with a reason', async () => {
+    const { xenft } = connect();
+    await assert.rejects(xenft.vmuCount(999), error => error.reason === 'ERC721: invalid token ID');
+    await assert.rejects(xenft.tokenURI(999), error => error.reason === 'ERC721: invalid token ID');
+
+    const fixture = { ...demoFixture(), tokens: [{ tokenId: 7, vmuCount: 1, mintInfo: '0', tokenURI: 'data:application/json,{}' }] };
+    assert.equal(await connect(fixture).xenft.tokenURI(7), 'data:application/json,{}');
+});
+
+test('VMU proxies hold the mints of their token', async () => {
+    const { xenft, xen } = connect();
+    const readVmus = async tokenId => {
+        const [{ data }] = await fetchXenftDataBatch(ethers, xenft, [tokenId]);
+        const mints = await fetchUserMints(xen, getVmuProxyAddresses(ethers, XENFT_ADDRESS, tokenId, data.vmuCount));
+        return compareVmuMints(mints, data.mintInfo);
+    };
+
+    const unredeemed = await readVmus(1001);
+    assert.deepEqual(unredeemed.summary, { total: 128, active: 128, mismatches: 0, errors: 0, minRank: '18250400', maxRank: '18250527' });
+    assert.equal(unredeemed.rows[0].maturityTs, NOW_MS / 1000 + 120 * 86400);
+
+    // Redeemed tokens have cleared their VMUs
+    const redeemed = await readVmus(1005);
+    assert.deepEqual([redeemed.summary.active, redeemed.summary.mismatches], [0, 0]);
+
+    // Any other address has no mint
+    const [other] = await fetchUserMints(xen, [OWNER]);
+    assert.equal(other.user, ethers.constants.AddressZero);
+});
+
+test('fixture userMints override the mints of single VMUs', async () => {
+    const fixture = { ...demoFixture(), tokens: [{ tokenId: 7, vmuCount: 3, xenBurned: '0', mintInfo: { term: 100, maturityTs: 1735689600, rank: '50', amp: 3000, eaa: 100 }, userMints: [{ term: 99 }, null] }] };
+    const { xen } = connect(fixture);
+    const mints = await fetchUserMints(xen, getVmuProxyAddresses(ethers, XENFT_ADDRESS, 7, 3));
+
+    assert.deepEqual(mints.map(mint => [mint.term, mint.rank]), [[99, '50'], [0, '0'], [100, '52']]);
+    assert.deepEqual(compareVmuMints(mints, { term: 100, maturityTs: 1735689600, rank: '50', amp: 3000, eaa: 100, redeemed: false }).rows.map(row => row.status), ['mismatch', 'mismatch', 'ok']);
+
+    assert.throws(() => parseFixture({ format: 'xenft-fixture', tokens: [{ tokenId: 1, userMints: {} }] }), /userMints that are not a list/);
+
+    // Without the XENFT address no proxy is known
+    const [unknown] = await fetchUserMints(connect(fixture, {}).xen, getVmuProxyAddresses(ethers, XENFT_ADDRESS, 7, 1));
+    assert.equal(unknown.user, ethers.constants.AddressZero);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_GALLERY_FILTER, normalizeGalleryFilter, applyGalleryFilter, getGalleryFilterOptions } = require('../galleryFilter');
+
+const NOW = Date.UTC(2025, 0, 1);
+const DAY = 86400;
+
+/**
+ * Builds a gallery index item
+ * @param {number} tokenId - The token ID
+ * @param {Object} fields - Item overrides; `mintInfo` fields go into data (pass data: null for legacy items)
+ * @returns {Object} Gallery index item
+ */
+function item(tokenId, { mintInfo = {}, ...fields } = {}) {
+    const fullMintInfo = { term: 100, maturityTs: NOW / 1000 + DAY, rank: '1000', redeemed: false, ...mintInfo };
+    return {
+        tokenId,
+        template: 'classic',
+        savedAt: '2024-01-01T00:00:00.000Z',
+        vmuCount: 1,
+        term: fullMintInfo.term,
+        xenBurned: 0,
+        maturityTs: fullMintInfo.maturityTs,
+        category: 'Common',
+        rarity: 'Collector',
+        data: { tokenId, mintInfo: fullMintInfo },
+        ...fields
+    };
+}
+
+const ITEMS = [
+    item(12, { savedAt: '2024-03-01T00:00:00.000Z', vmuCount: 50, mintInfo: { rank: '99999999999999999999', term: 30 } }),
+    item(120, { savedAt: '2024-01-01T00:00:00.000Z', category: 'Apex', rarity: 'Exotic', xenBurned: 500, mintInfo: { maturityTs: NOW / 1000 - DAY, rank: '5' } }),
+    item(7, { savedAt: '2024-02-01T00:00:00.000Z', vmuCount: 10, mintInfo: { redeemed: true, maturityTs: NOW / 1000 - DAY, term: 400 } }),
+    item(3, { savedAt: 'not a date', data: null, maturityTs: null, term: 250, vmuCount: 100 })
+];
+
+const ids = items => items.map(entry => entry.tokenId);
+
+test('the default filter shows everything, newest saved first', () => {
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, DEFAULT_GALLERY_FILTER, NOW)), [12, 7, 120, 3]);
+});
+
+test('query matches token IDs, with or without #', () => {
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { query: '12' }, NOW)), [12, 120]);
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { query: '#7' }, NOW)), [7]);
+});
+
+test('category, rarity and term range filters', () => {
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { category: 'Apex' }, NOW)), [120]);
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { rarity: 'Collector' }, NOW)), [12, 7, 3]);
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { termMin: 100, termMax: 300, sort: 'vmuCount' }, NOW)), [3, 120]);
+});
+
+test('maturity status and redeemed filters skip items without token data', () => {
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { status: 'matured' }, NOW)), [7, 120]);
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { status: 'maturing' }, NOW)), [12]);
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { redeemed: 'yes' }, NOW)), [7]);
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { redeemed: 'no' }, NOW)), [12, 120]);
+});
+
+test('sorting by rank, VMUs and burn keeps unknown values last', () => {
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { sort: 'rank', direction: 'asc' }, NOW)), [120, 7, 12, 3]);
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { sort: 'rank', direction: 'desc' }, NOW)), [12, 7, 120, 3]);
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { sort: 'vmuCount', direction: 'desc' }, NOW)), [3, 12, 7, 120]);
+    assert.deepEqual(ids(applyGalleryFilter(ITEMS, { sort: 'xenBurned', direction: 'desc' }, NOW)), [120, 3, 7, 12]);
+});
+
+test('normalizeGalleryFilter repairs stored state', () => {
+    assert.deepEqual(normalizeGalleryFilter(null), DEFAULT_GALLERY_FILTER);
+    assert.deepEqual(
+        normalizeGalleryFilter({ sort: 'bogus', status: 'later', direction: 'up', termMin: '30', termMax: '' }),
+        { ...DEFAULT_GALLERY_FILTER, termMin: 30 }
+    );
+});
+
+test('getGalleryFilterOptions lists distinct categories and rarities', () => {
+    assert.deepEqual(getGalleryFilterOptions(ITEMS), { categories: ['Apex', 'Common'], rarities: ['Collector', 'Exotic'] });
+});
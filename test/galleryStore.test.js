@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    GALLERY_SCHEMA_VERSION,
+    migrateLegacyGalleries,
+    upgradeGalleryIndex,
+    createGalleryBundle,
+    parseGalleryBundle,
+    sanitizeGallerySvg,
+    mergeGalleryItems
+} = require('../galleryStore');
+
+const MINT_INFO = { term: 100, maturityTs: 1700000000, rank: '1', amp: 3000, eaa: 100, class: { isApex: true, isLimited: false, powerGroupIdx: 0 }, redeemed: false };
+
+// helper.js wrote flattened fields under "savedXENFTs"
+const FLATTENED = [
+    { tokenId: 1, vmuCount: 10, term: 100, xenBurned: 0, svg: '<svg>1a</svg>', category: 'Common', rarity: 'Collector', template: 'minimal', savedAt: '2024-01-01T00:00:00.000Z' },
+    { tokenId: 2, vmuCount: 5, term: 100, xenBurned: 0, svg: '<svg>2a</svg>', category: 'Common', rarity: 'Collector', savedAt: '2024-03-01T00:00:00.000Z' }
+];
+
+// mintInfoDecoder.js wrote the full data object under "savedXenfts"
+const FULL = [
+    { tokenId: 2, data: { tokenId: 2, vmuCount: 5, xenBurned: 0, isApex: true, mintInfo: MINT_INFO }, svg: '<svg>2b</svg>', template: 'badge', savedAt: '2024-02-01T00:00:00.000Z' },
+    { tokenId: 3, data: { tokenId: 3, vmuCount: 1, xenBurned: 7, isApex: true, mintInfo: MINT_INFO }, svg: '<svg>3b</svg>', savedAt: '2024-04-01T00:00:00.000Z' }
+];
+
+test('migrateLegacyGalleries merges both legacy formats by token ID', () => {
+    const items = migrateLegacyGalleries([FLATTENED, FULL]);
+
+    assert.deepEqual(items.map(item => item.tokenId), [1, 2, 3]);
+
+    const [first, second, third] = items;
+    assert.equal(first.template, 'minimal');
+    assert.equal(first.data, null);
+    assert.equal(first.term, 100);
+
+    // The newer flattened copy wins, and keeps the full data of the older one
+    assert.equal(second.svg, '<svg>2a</svg>');
+    assert.equal(second.template, 'classic');
+    assert.deepEqual(second.data.mintInfo, MINT_INFO);
+    assert.equal(second.maturityTs, 1700000000);
+
+    // Category and rarity are derived from the full data
+    assert.equal(third.category, 'Apex');
+    assert.equal(third.xenBurned, 7);
+    assert.equal(third.maturityTs, 1700000000);
+});
+
+test('migrateLegacyGalleries skips unusable entries', () => {
+    const items = migrateLegacyGalleries([[null, { tokenId: 'abc' }, { tokenId: 0 }], 'not a list']);
+    assert.deepEqual(items, []);
+});
+
+test('upgradeGalleryIndex brings version 0 to the current schema', () => {
+    const index = upgradeGalleryIndex({ version: 0, items: [] }, [FLATTENED, []]);
+
+    assert.equal(index.version, GALLERY_SCHEMA_VERSION);
+    assert.equal(index.items.length, 2);
+});
+
+test('upgradeGalleryIndex leaves a current index untouched', () => {
+    const current = { version: GALLERY_SCHEMA_VERSION, items: [] };
+    assert.equal(upgradeGalleryIndex(current, [FLATTENED]), current);
+});
+
+test('a bundle round-trips through createGalleryBundle and parseGalleryBundle', () => {
+    const items = migrateLegacyGalleries([FLATTENED, FULL]);
+    const bundle = createGalleryBundle(items.map(item => ({ ...item, png: 'data:image/png;base64,AAAA' })));
+    const parsed = parseGalleryBundle(JSON.stringify(bundle));
+
+    assert.deepEqual(parsed, items);
+});
+
+test('parseGalleryBundle rejects other files', () => {
+    assert.throws(() => parseGalleryBundle('{'), /not valid JSON/);
+    assert.throws(() => parseGalleryBundle(JSON.stringify({ format: 'xenft-theme', version: 1 })), /not a XENFT gallery backup/);
+    assert.throws(() => parseGalleryBundle(JSON.stringify({ format: 'xenft-gallery', version: 99, items: [] })), /newer/);
+});
+
+test('mergeGalleryItems keeps the most recently saved copy of each token', () => {
+    const existing = migrateLegacyGalleries([FLATTENED]);
+    const incoming = [
+        { ...existing[0], template: 'badge', savedAt: '2025-01-01T00:00:00.000Z' },
+        { ...existing[1], template: 'badge', savedAt: '2023-01-01T00:00:00.000Z' },
+        { ...existing[1], tokenId: 42 }
+    ];
+
+    const result = mergeGalleryItems(existing, incoming);
+
+    assert.deepEqual([result.added, result.updated, result.skipped], [1, 1, 1]);
+    assert.deepEqual(result.items.map(item => [item.tokenId, item.template]), [[1, 'badge'], [2, 'classic'], [42, 'classic']]);
+    assert.deepEqual(result.changed.map(item => item.tokenId), [1, 42]);
+    assert.equal(existing[0].template, 'minimal');
+});
+
+test('upgradeGalleryIndex puts version 1 items on Base', () => {
+    const { svg, chain, ...v1Item } = migrateLegacyGalleries([FLATTENED])[0];
+    const index = upgradeGalleryIndex({ version: 1, items: [v1Item] }, []);
+
+    assert.equal(index.version, GALLERY_SCHEMA_VERSION);
+    assert.deepEqual(index.items, [{ ...v1Item, chain: 'base' }]);
+});
+
+test('the same token ID on two chains are separate gallery items', () => {
+    const existing = migrateLegacyGalleries([FLATTENED]);
+    const result = mergeGalleryItems(existing, [{ ...existing[0], chain: 'polygon', savedAt: '2020-01-01T00:00:00.000Z' }]);
+
+    assert.equal(result.added, 1);
+    assert.deepEqual(result.items.map(item => `${item.chain}:${item.tokenId}`), ['base:1', 'base:2', 'polygon:1']);
+
+    // Bundles keep the chain; items of chains this app does not know are dropped
+    const bundle = createGalleryBundle([...result.items, { ...existing[0], chain: 'solana' }]);
+    assert.deepEqual(parseGalleryBundle(JSON.stringify(bundle)).map(item => item.chain), ['base', 'base', 'polygon']);
+});
+
+test('parseGalleryBundle strips what could run script from imported items', () => {
+    const [item] = migrateLegacyGalleries([FULL]);
+    const bundle = createGalleryBundle([
+        {
+            ...item,
+            svg: '<svg><image href=x onerror=alert(1) /><script>alert(2)</script><foreignObject><img src=x onerror=alert(3)></foreignObject>'
+                + '<a xlink:href="javascript:alert(4)"><rect onclick="alert(5)" fill="url(#glow)" style="fill: url(https://example.com/track)" /></a>'
+                + '<use href="#glow" /><use href="https://example.com/sprite.svg#glow" /><style>@import url(https://example.com/x.css);</style></svg>',
+            template: '<img src=x onerror=alert(6)>',
+            category: '<img src=x onerror=alert(7)>',
+            rarity: 'Rare'
+        },
+        { ...item, tokenId: 4, svg: '<svg><scr<script>ipt>alert(8)</svg>' }
+    ]);
+
+    const parsed = parseGalleryBundle(JSON.stringify(bundle));
+
+    assert.equal(parsed.length, 1);
+    assert.equal(parsed[0].svg, '<svg><rect fill="url(#glow)" /><use href="#glow" /><use /><style></style></svg>');
+    assert.equal(parsed[0].template, 'classic');
+    // An unknown category is derived again from the token's data
+    assert.deepEqual([parsed[0].category, parsed[0].rarity], ['Apex', 'Rare']);
+});
+
+test('sanitizeGallerySvg keeps the cards the templates render', () => {
+    const { decodeMintInfo, encodeMintInfo, embedSVGAnimation, generateXENFTSVG, getSVGTemplates } = require('..');
+    const data = { tokenId: 1, vmuCount: 40, xenBurned: 5, mintInfo: decodeMintInfo(encodeMintInfo(MINT_INFO)) };
+
+    getSVGTemplates().forEach(({ name }) => {
+        const svg = embedSVGAnimation(generateXENFTSVG(data, { template: name, asOf: Date.UTC(2025, 0, 1) }));
+        assert.equal(sanitizeGallerySvg(svg), svg, name);
+    });
+});
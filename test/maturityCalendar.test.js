@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getClaimWindow, buildCalendarEntries, groupEntriesByMonth, generateICS, foldICSLine } = require('../maturityCalendar');
+
+const DAY = 86400;
+const MATURITY = 1735689600; // 2025-01-01T00:00:00Z
+
+/**
+ * Builds xenftData maturing at the given time
+ * @param {number} tokenId - The token ID
+ * @param {number} maturityTs - Maturity timestamp in seconds
+ * @param {boolean} [redeemed=false] - Whether the token was redeemed
+ * @returns {Object} xenftData
+ */
+function token(tokenId, maturityTs, redeemed = false) {
+    return { tokenId, vmuCount: 10, xenBurned: 0, isApex: false, mintInfo: { term: 100, maturityTs, rank: '1', amp: 1, eaa: 0, redeemed } };
+}
+
+test('getClaimWindow follows the late-claim penalty schedule', () => {
+    assert.deepEqual(getClaimWindow(MATURITY), {
+        opensTs: MATURITY,
+        penaltyFreeUntilTs: MATURITY + DAY,
+        closesTs: MATURITY + 7 * DAY
+    });
+});
+
+test('buildCalendarEntries orders by maturity and derives the claim status', () => {
+    const now = (MATURITY + 2 * DAY) * 1000;
+    const entries = buildCalendarEntries([
+        token(1, MATURITY + 30 * DAY),
+        token(2, MATURITY),
+        token(3, MATURITY + 2 * DAY - 60),
+        token(4, MATURITY - 30 * DAY),
+        token(5, MATURITY, true),
+        token(6, 0)
+    ], { 2: ['owned', 'watched'] }, now);
+
+    assert.deepEqual(entries.map(entry => [entry.tokenId, entry.status]), [
+        [4, 'Missed'],
+        [2, 'Late'],
+        [5, 'Redeemed'],
+        [3, 'Claimable'],
+        [1, 'Maturing']
+    ]);
+    assert.deepEqual(entries[1].sources, ['owned', 'watched']);
+    assert.equal(entries[4].daysToMaturity, 28);
+});
+
+test('groupEntriesByMonth groups by UTC month', () => {
+    const entries = buildCalendarEntries([token(1, MATURITY), token(2, MATURITY + 40 * DAY), token(3, MATURITY + DAY)], {}, 0);
+    const groups = groupEntriesByMonth(entries);
+
+    assert.deepEqual(groups.map(group => [group.month, group.label, group.entries.length]), [
+        ['2025-01', 'January 2025', 2],
+        ['2025-02', 'February 2025', 1]
+    ]);
+});
+
+test('generateICS writes a claim and a window-closing event per unredeemed token', () => {
+    const entries = buildCalendarEntries([token(7, MATURITY), token(8, MATURITY, true)], {}, 0);
+    const ics = generateICS(entries, { nowMs: 0 });
+    const unfolded = ics.replace(/\r\n /g, '');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(ics), 'every line ends with CRLF');
+    assert.equal((ics.match(/BEGIN:VEVENT/g) || []).length, 2);
+    assert.ok(unfolded.includes('UID:xenft-7-claim@xenft-svg-generator'));
+    assert.ok(unfolded.includes('DTSTART:20250101T000000Z'));
+    assert.ok(unfolded.includes('DTEND:20250102T000000Z'));
+    assert.ok(unfolded.includes('DTEND:20250108T000000Z'));
+    assert.ok(unfolded.includes('SUMMARY:Claim XENFT #7 (no penalty)'));
+    assert.ok(unfolded.includes('TRIGGER:-P1D'));
+    assert.ok(!unfolded.includes('#8'));
+});
+
+test('foldICSLine keeps every line within 75 octets', () => {
+    const line = `DESCRIPTION:${'é'.repeat(100)}`;
+    const folded = foldICSLine(line).split('\r\n');
+
+    for (const part of folded) {
+        assert.ok(Buffer.byteLength(part) <= 75);
+    }
+    assert.equal(folded.map((part, i) => (i === 0 ? part : part.slice(1))).join(''), line);
+});
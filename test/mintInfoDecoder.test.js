@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { decodeMintInfo, encodeMintInfo, MINT_INFO_LAYOUTS, generateXENFTSVG } = require('../mintInfoDecoder');
+require('../templates');
+
+// Vectors packed independently with the contract's MintInfo.encodeMintInfo shifts:
+// redeemed | class << 8 | eaa << 16 | amp << 32 | rank << 48 | maturityTs << 176 | term << 240
+const KNOWN_VECTORS = [
+    {
+        packed: '0x64000000006553f1000000000000000000000000000001e2400bb800328500',
+        decoded: {
+            term: 100,
+            maturityTs: 1700000000,
+            rank: '123456',
+            amp: 3000,
+            eaa: 50,
+            class: { isApex: true, isLimited: false, powerGroupIdx: 5 },
+            redeemed: false
+        }
+    },
+    {
+        packed: '0x22600000000684ee18000000000000000055aa54d38e5267eea0bb700644c01',
+        decoded: {
+            term: 550,
+            maturityTs: 1750000000,
+            rank: '98765432109876543210',
+            amp: 2999,
+            eaa: 100,
+            class: { isApex: false, isLimited: true, powerGroupIdx: 12 },
+            redeemed: true
+        }
+    },
+    {
+        packed: '0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff01',
+        decoded: {
+            term: 0xFFFF,
+            maturityTs: Number(2n ** 64n - 1n),
+            rank: (2n ** 128n - 1n).toString(),
+            amp: 0xFFFF,
+            eaa: 0xFFFF,
+            class: { isApex: true, isLimited: true, powerGroupIdx: 63 },
+            redeemed: true
+        }
+    }
+];
+
+test('decodeMintInfo decodes known vectors', () => {
+    for (const { packed, decoded } of KNOWN_VECTORS) {
+        assert.deepEqual(decodeMintInfo(packed), decoded);
+    }
+});
+
+test('decodeMintInfo accepts hex strings, decimal strings and bigints', () => {
+    const { packed, decoded } = KNOWN_VECTORS[0];
+    assert.deepEqual(decodeMintInfo(BigInt(packed).toString()), decoded);
+    assert.deepEqual(decodeMintInfo(BigInt(packed)), decoded);
+});
+
+test('encodeMintInfo produces the known vectors', () => {
+    // The third vector's maturityTs exceeds Number precision, so only the first two round-trip exactly
+    for (const { packed, decoded } of KNOWN_VECTORS.slice(0, 2)) {
+        assert.equal(encodeMintInfo(decoded), BigInt(packed));
+    }
+});
+
+test('decode(encode(x)) round-trips every field', () => {
+    const samples = [
+        { term: 1, maturityTs: 1, rank: '1', amp: 1, eaa: 0, class: { isApex: false, isLimited: false, powerGroupIdx: 0 }, redeemed: false },
+        { term: 365, maturityTs: 1735689600, rank: '340282366920938463463374607431768211455', amp: 3000, eaa: 100, class: { isApex: true, isLimited: false, powerGroupIdx: 63 }, redeemed: false },
+        { term: 42, maturityTs: 1800000000, rank: '21000000', amp: 1, eaa: 1, class: { isApex: false, isLimited: true, powerGroupIdx: 7 }, redeemed: true }
+    ];
+
+    for (const sample of samples) {
+        assert.deepEqual(decodeMintInfo(encodeMintInfo(sample)), sample);
+    }
+});
+
+test('encode(decode(x)) round-trips packed values', () => {
+    for (const { packed } of KNOWN_VECTORS.slice(0, 2)) {
+        assert.equal(encodeMintInfo(decodeMintInfo(packed)), BigInt(packed));
+    }
+});
+
+test('rank keeps all 128 bits and does not bleed into neighbouring fields', () => {
+    const maxRank = (2n ** 128n - 1n).toString();
+    const decoded = decodeMintInfo(encodeMintInfo({ rank: maxRank }));
+
+    assert.equal(decoded.rank, maxRank);
+    assert.equal(decoded.amp, 0);
+    assert.equal(decoded.maturityTs, 0);
+});
+
+test('encodeMintInfo rejects values that do not fit their fields', () => {
+    assert.throws(() => encodeMintInfo({ term: 0x10000 }), RangeError);
+    assert.throws(() => encodeMintInfo({ rank: (2n ** 128n).toString() }), RangeError);
+    assert.throws(() => encodeMintInfo({ amp: -1 }), RangeError);
+    assert.throws(() => encodeMintInfo({ class: { powerGroupIdx: 64 } }), RangeError);
+});
+
+test('the v1 layout covers all 256 bits without overlaps', () => {
+    const fields = Object.values(MINT_INFO_LAYOUTS.v1).sort((a, b) => a.offset - b.offset);
+    let nextOffset = 0;
+    for (const field of fields) {
+        assert.equal(field.offset, nextOffset);
+        nextOffset += field.bits;
+    }
+    assert.equal(nextOffset, 256);
+});
+
+test('decodeMintInfo returns the empty structure for invalid input', () => {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.deepEqual(decodeMintInfo('not a number'), {
+            term: 0,
+            maturityTs: 0,
+            rank: '0',
+            amp: 0,
+            eaa: 0,
+            class: { isApex: false, isLimited: false, powerGroupIdx: 0 },
+            redeemed: false
+        });
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('animated SVGs carry their own keyframes; static ones stay still', () => {
+    const xenftData = { tokenId: 7, vmuCount: 12, xenBurned: 0, mintInfo: KNOWN_VECTORS[0].decoded };
+    const asOf = Date.UTC(2023, 9, 1);
+
+    for (const template of ['classic', 'minimal', 'data-dense', 'badge']) {
+        const still = generateXENFTSVG(xenftData, { template, asOf });
+        const animated = generateXENFTSVG(xenftData, { template, asOf, animated: true });
+
+        assert.doesNotMatch(still, /<style>|xenft-animated/);
+        assert.match(animated, /<svg class="xenft-animated" width=[^>]*><style>[^<]*@keyframes xenft-pulse/);
+        assert.equal(animated.match(/<svg\b/g).length, 1);
+    }
+
+    assert.match(generateXENFTSVG(xenftData, { template: 'minimal', asOf, animated: true }), /pathLength="1"[^>]*class="xenft-sweep"/);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPortfolioRows, summarizePortfolio, sortPortfolioRows, portfolioToCSV } = require('../portfolio');
+
+const NOW = Date.UTC(2025, 0, 1);
+
+/**
+ * Builds xenftData with a decoded mintInfo
+ * @param {number} tokenId - The token ID
+ * @param {Object} fields - mintInfo overrides plus vmuCount/xenBurned
+ * @returns {Object} xenftData
+ */
+function token(tokenId, { vmuCount = 1, xenBurned = 0, ...mintInfo } = {}) {
+    return {
+        tokenId,
+        vmuCount,
+        xenBurned,
+        isApex: false,
+        mintInfo: {
+            term: 100,
+            maturityTs: NOW / 1000 + 86400,
+            rank: '1000',
+            amp: 3000,
+            eaa: 100,
+            class: { isApex: false, isLimited: false, powerGroupIdx: 0 },
+            redeemed: false,
+            ...mintInfo
+        }
+    };
+}
+
+const TOKENS = [
+    token(3, { vmuCount: 100, xenBurned: 0, rank: '99999999999999999999', maturityTs: NOW / 1000 - 86400 }),
+    token(1, { vmuCount: 10, class: { isApex: true, isLimited: false, powerGroupIdx: 2 } }),
+    token(2, { vmuCount: 5, xenBurned: 1000, rank: '5', redeemed: true, class: { isApex: false, isLimited: true, powerGroupIdx: 0 } })
+];
+
+test('summarizePortfolio totals VMUs, burns, categories and statuses', () => {
+    const summary = summarizePortfolio(buildPortfolioRows(TOKENS, NOW));
+
+    assert.equal(summary.tokens, 3);
+    assert.equal(summary.vmus, 115);
+    assert.equal(summary.xenBurned, 1000);
+    assert.deepEqual(summary.statuses, { Matured: 1, Maturing: 1, Redeemed: 1 });
+    assert.equal(summary.categories.Apex + summary.categories.Limited + summary.categories.Common, 3);
+});
+
+test('sortPortfolioRows sorts numbers, big ranks and directions', () => {
+    const rows = buildPortfolioRows(TOKENS, NOW);
+
+    assert.deepEqual(sortPortfolioRows(rows, 'tokenId').map(row => row.tokenId), [1, 2, 3]);
+    assert.deepEqual(sortPortfolioRows(rows, 'vmuCount', 'desc').map(row => row.tokenId), [3, 1, 2]);
+    assert.deepEqual(sortPortfolioRows(rows, 'rank').map(row => row.tokenId), [2, 1, 3]);
+    // Ties fall back to token order
+    assert.deepEqual(sortPortfolioRows(rows, 'term').map(row => row.tokenId), [1, 2, 3]);
+    // The input is left untouched
+    assert.deepEqual(rows.map(row => row.tokenId), [3, 1, 2]);
+});
+
+test('portfolioToCSV writes a header and one escaped line per row', () => {
+    const rows = buildPortfolioRows([token(7, { maturityTs: 1700000000 })], NOW);
+    rows[0].category = 'Common, "special"';
+
+    const lines = portfolioToCSV(rows).trimEnd().split('\r\n');
+    assert.equal(lines[0], 'tokenId,type,vmuCount,term,maturityDate,maturityTs,rank,amp,eaa,xenBurned,status');
+    assert.equal(lines[1], '7,"Common, ""special""",1,100,2023-11-14,1700000000,1000,3000,100,0,Matured');
+});
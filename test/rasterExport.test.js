@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeRasterOptions, getSVGSize, resizeSVG, getRasterFileName, canvasToBlob } = require('../rasterExport');
+
+test('normalizeRasterOptions fills defaults and validates format and scale', () => {
+    assert.deepEqual(normalizeRasterOptions(), { format: 'png', scale: 1, background: 'transparent' });
+    assert.deepEqual(normalizeRasterOptions({ format: 'webp', scale: '8', background: '#000000' }), { format: 'webp', scale: 8, background: '#000000' });
+
+    // JPEG cannot be transparent
+    assert.equal(normalizeRasterOptions({ format: 'jpeg' }).background, '#ffffff');
+    assert.equal(normalizeRasterOptions({ format: 'jpeg', background: '#123456' }).background, '#123456');
+
+    assert.throws(() => normalizeRasterOptions({ format: 'bmp' }), /Unsupported image format "bmp"/);
+    assert.throws(() => normalizeRasterOptions({ scale: 9 }), /Scale must be one of 1x/);
+});
+
+test('getSVGSize reads width/height, then the viewBox', () => {
+    assert.deepEqual(getSVGSize('<svg width="400" height="300" viewBox="0 0 40 30">'), { width: 400, height: 300 });
+    assert.deepEqual(getSVGSize('\n  <svg viewBox="0 0 640 480" xmlns="http://www.w3.org/2000/svg"><rect width="10" height="10" /></svg>'), { width: 640, height: 480 });
+    assert.deepEqual(getSVGSize('<svg width="100%">'), { width: 400, height: 400 });
+});
+
+test('resizeSVG sets the pixel size and keeps the original coordinates', () => {
+    assert.equal(
+        resizeSVG('<svg width="400" height="400" viewBox="0 0 400 400"><rect width="100%" /></svg>', 1600, 1600),
+        '<svg width="1600" height="1600" viewBox="0 0 400 400"><rect width="100%" /></svg>'
+    );
+    assert.equal(resizeSVG('<svg width="200" height="100">', 400, 200), '<svg width="400" height="200" viewBox="0 0 200 100">');
+});
+
+test('getRasterFileName marks scaled exports', () => {
+    assert.equal(getRasterFileName(42, { format: 'png', scale: 1 }), 'XENFT-42.png');
+    assert.equal(getRasterFileName(42, { format: 'jpeg', scale: 4 }), 'XENFT-42@4x.jpg');
+});
+
+test('canvasToBlob reports tainted canvases and unsupported formats', async () => {
+    const canvas = toBlob => ({ width: 400, height: 400, toBlob });
+
+    const tainted = canvas(() => {
+        const error = new Error('The operation is insecure.');
+        error.name = 'SecurityError';
+        throw error;
+    });
+    await assert.rejects(canvasToBlob(tainted, 'image/png'), /tainted/);
+
+    // Browsers fall back to PNG for types they cannot encode
+    const noWebp = canvas(callback => callback(new Blob(['x'], { type: 'image/png' })));
+    await assert.rejects(canvasToBlob(noWebp, 'image/webp'), /cannot export image\/webp/);
+
+    const tooLarge = canvas(callback => callback(null));
+    await assert.rejects(canvasToBlob(tooLarge, 'image/png'), /try a smaller scale/);
+
+    const ok = canvas((callback, type, quality) => callback(new Blob([String(quality)], { type })));
+    assert.equal((await canvasToBlob(ok, 'image/jpeg')).type, 'image/jpeg');
+});
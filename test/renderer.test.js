@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const fs = require('node:fs');
+
+const renderer = require('..');
+const { decodeMintInfo, encodeMintInfo, generateXENFTSVG, getSVGTemplates } = renderer;
+
+const MINT_INFO = { term: 365, maturityTs: 1735689600, rank: '18250400', amp: 2980, eaa: 62, class: { isApex: true, isLimited: false, powerGroupIdx: 12 }, redeemed: false };
+const XENFT_DATA = { tokenId: 1001, vmuCount: 128, xenBurned: 25000000, isApex: true, mintInfo: decodeMintInfo(encodeMintInfo(MINT_INFO)) };
+const PALETTE = { primary: '#ABCDEF', secondary: '#123456', tertiary: '#654321', background: '#010203' };
+
+test('the package entry exports what renderer.d.ts declares', () => {
+    const declarations = fs.readFileSync(path.join(__dirname, '..', 'renderer.d.ts'), 'utf8');
+    const declared = [...declarations.matchAll(/^export (?:function|const) (\w+)/gm)].map(match => match[1]);
+
+    assert.deepEqual(declared.slice().sort(), Object.keys(renderer).sort());
+});
+
+test('the built-in templates come with the entry module', () => {
+    assert.deepEqual(getSVGTemplates().map(template => template.name).sort(), ['badge', 'classic', 'data-dense', 'minimal']);
+});
+
+test('a render is determined by its options', () => {
+    const options = { template: 'badge', asOf: Date.UTC(2025, 0, 1), seed: 'service' };
+
+    assert.equal(generateXENFTSVG(XENFT_DATA, options), generateXENFTSVG(XENFT_DATA, { ...options }));
+    assert.notEqual(generateXENFTSVG(XENFT_DATA, { ...options, template: 'classic' }), generateXENFTSVG(XENFT_DATA, { ...options, template: 'classic', seed: 'other' }));
+    assert.match(generateXENFTSVG(XENFT_DATA, options), /Generated on 2025-01-01/);
+});
+
+test('a single palette is used on every date', () => {
+    const render = asOf => generateXENFTSVG(XENFT_DATA, { palette: PALETTE, asOf, seed: 1 });
+    const [january, june] = [render(Date.UTC(2025, 0, 1)), render(Date.UTC(2025, 5, 1))];
+
+    [january, june].forEach(svg => {
+        assert.ok(svg.includes(`fill="${PALETTE.background}"`));
+        assert.ok(svg.includes(`stroke="${PALETTE.secondary}"`));
+    });
+    assert.ok(!generateXENFTSVG(XENFT_DATA, { asOf: Date.UTC(2025, 0, 1) }).includes(PALETTE.background));
+});
+
+test('failed renders give an escaped error card as of the render date, or throw on request', () => {
+    const asOf = Date.UTC(2025, 0, 1);
+
+    const card = generateXENFTSVG(XENFT_DATA, { template: '<script>alert("x")</script>&', asOf });
+    assert.match(card, /SVG Generation Error/);
+    assert.ok(card.includes('Unknown template: &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;&amp;'));
+    assert.ok(!card.includes('<script>'));
+    assert.match(card, /Generated on 2025-01-01/);
+    assert.match(generateXENFTSVG(null, { asOf }), /Invalid XENFT data[\s\S]*Generated on 2025-01-01/);
+    assert.match(generateXENFTSVG(XENFT_DATA, { asOf: 'someday' }), /Invalid as-of timestamp/);
+
+    assert.throws(() => generateXENFTSVG(XENFT_DATA, { template: '<b>', throwOnError: true }), /Unknown template: <b>/);
+    assert.throws(() => generateXENFTSVG({}, { throwOnError: true }), /Invalid XENFT data/);
+    assert.throws(() => generateXENFTSVG(XENFT_DATA, { asOf: NaN, throwOnError: true }), /Invalid as-of timestamp/);
+});
+
+test('palette colors must be #RRGGBB', () => {
+    const hostile = { ...PALETTE, primary: '"/><script>alert(1)</script><x a="' };
+    const asOf = Date.UTC(2025, 0, 1);
+
+    [{ palette: hostile }, { palettes: [PALETTE, hostile] }].forEach(options => {
+        const svg = generateXENFTSVG(XENFT_DATA, { ...options, asOf });
+        assert.ok(!svg.includes('<script>'));
+        assert.match(svg, /SVG Generation Error/);
+        assert.match(svg, /has an invalid primary color \(expected #RRGGBB\)/);
+    });
+
+    assert.throws(() => generateXENFTSVG(XENFT_DATA, { palette: hostile, throwOnError: true }), /Palette 1 has an invalid primary color/);
+    assert.throws(() => generateXENFTSVG(XENFT_DATA, { palettes: [PALETTE, { ...PALETTE, background: 'red' }], throwOnError: true }), /Palette 2 has an invalid background color/);
+    assert.throws(() => generateXENFTSVG(XENFT_DATA, { palette: { primary: '#000000' }, throwOnError: true }), /invalid secondary color/);
+    assert.doesNotThrow(() => generateXENFTSVG(XENFT_DATA, { palettes: [PALETTE, { ...PALETTE, primary: '#abcdef' }], throwOnError: true }));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateLateClaimPenalty, calculateGrossReward, estimateXENReward } = require('../rewardEstimator');
+
+const DAY = 86400;
+const MATURITY_TS = 1735689600;
+const XENFT_DATA = {
+    vmuCount: 10,
+    mintInfo: { term: 100, maturityTs: MATURITY_TS, rank: '1000', amp: 3000, eaa: 100, redeemed: false }
+};
+
+test('calculateLateClaimPenalty follows XENCrypto _penalty', () => {
+    // min(2^(daysLate + 3) / 7 - 1, 99) in integer math, and 99 from day 7 on
+    [0, 1, 3, 8, 17, 35, 72].forEach((penalty, daysLate) => {
+        assert.equal(calculateLateClaimPenalty(daysLate * DAY + 1), penalty, `day ${daysLate}`);
+        assert.equal(calculateLateClaimPenalty((daysLate + 1) * DAY - 1), penalty, `end of day ${daysLate}`);
+    });
+    [7, 8, 30, 365].forEach(daysLate => {
+        assert.equal(calculateLateClaimPenalty(daysLate * DAY), 99, `day ${daysLate}`);
+    });
+
+    assert.equal(calculateLateClaimPenalty(0), 0);
+    assert.equal(calculateLateClaimPenalty(-DAY), 0);
+});
+
+test('calculateGrossReward clamps the rank delta to 2', () => {
+    // log2(2) = 1, so the reward is AMP * term * (1000 + EAA) / 1000
+    const floor = 3000 * 100 * 1100 / 1000;
+    assert.equal(calculateGrossReward(1000, 1000, 3000, 100, 100), floor);
+    assert.equal(calculateGrossReward(1001, 1000, 3000, 100, 100), floor);
+    assert.equal(calculateGrossReward(1002, 1000, 3000, 100, 100), floor);
+    assert.equal(calculateGrossReward(500, 1000, 3000, 100, 100), floor);
+
+    assert.equal(calculateGrossReward(2024, 1000, 3000, 100, 100), 10 * floor);
+});
+
+test('calculateGrossReward scales with EAA and takes ranks beyond 2^53', () => {
+    assert.equal(calculateGrossReward(1026, 2, 2000, 50, 0), 10 * 2000 * 50);
+    assert.equal(calculateGrossReward(1026, 2, 2000, 50, 250), 10 * 2000 * 50 * 1.25);
+    assert.equal(calculateGrossReward(1026, 2, 2000, 50, 1), 10 * 2000 * 50 * 1001 / 1000);
+
+    assert.equal(calculateGrossReward(2n ** 60n + 5n, 5n, 1, 1000, 0), 60000);
+    assert.equal(calculateGrossReward('1048578', '2', 1, 1, 0), 20);
+});
+
+test('estimateXENReward multiplies by vmuCount and applies the penalty at claim', () => {
+    const perVmu = calculateGrossReward(25000, 1000, 3000, 100, 100);
+    const atMaturity = estimateXENReward(XENFT_DATA, { globalRank: 25000 });
+
+    assert.deepEqual(atMaturity, {
+        perVmu,
+        gross: perVmu * 10,
+        penaltyPct: 0,
+        net: perVmu * 10,
+        claimTs: MATURITY_TS,
+        isLate: false,
+        redeemed: false
+    });
+
+    const late = estimateXENReward(XENFT_DATA, { globalRank: 25000n, claimTs: MATURITY_TS + 3 * DAY });
+    assert.equal(late.penaltyPct, 8);
+    assert.equal(late.net, Math.floor(perVmu * 10 * 92 / 100));
+    assert.equal(late.isLate, true);
+
+    // Claims can't happen before maturity
+    assert.equal(estimateXENReward(XENFT_DATA, { globalRank: '25000', claimTs: MATURITY_TS - DAY }).claimTs, MATURITY_TS);
+
+    assert.equal(estimateXENReward({ ...XENFT_DATA, vmuCount: 1 }, { globalRank: 25000 }).gross, perVmu);
+    assert.equal(estimateXENReward({ ...XENFT_DATA, vmuCount: 0 }, { globalRank: 25000 }).net, 0);
+});
+
+test('estimateXENReward needs a global rank', () => {
+    [undefined, null, ''].forEach(globalRank => {
+        assert.throws(() => estimateXENReward(XENFT_DATA, { globalRank }), /global rank is required/);
+    });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRoute, formatRoute, getRouteView } = require('../router');
+
+test('parseRoute reads token routes with template and as-of date', () => {
+    assert.deepEqual(parseRoute('#/base/token/1234?template=classic&asOf=2026-12-01'), {
+        view: 'token',
+        chain: 'base',
+        tokenId: 1234,
+        template: 'classic',
+        asOf: Date.UTC(2026, 11, 1)
+    });
+    assert.deepEqual(parseRoute('#/polygon/token/7'), { view: 'token', chain: 'polygon', tokenId: 7 });
+
+    // A bad date is dropped, not the whole route
+    assert.deepEqual(parseRoute('#/base/token/7?asOf=soon'), { view: 'token', chain: 'base', tokenId: 7 });
+});
+
+test('parseRoute reads links without a chain as Base', () => {
+    assert.deepEqual(parseRoute('#/token/7?template=badge'), { view: 'token', chain: 'base', tokenId: 7, template: 'badge' });
+    assert.deepEqual(parseRoute('#/address/vitalik.eth'), { view: 'address', chain: 'base', address: 'vitalik.eth' });
+});
+
+test('parseRoute reads address and tab routes', () => {
+    const address = '0x379002701BF6f2862e3dFdd1f96d3C5E1BF450B6';
+    assert.deepEqual(parseRoute(`#/base/address/${address}`), { view: 'address', chain: 'base', address });
+    assert.deepEqual(parseRoute('#/ethereum/address/vitalik.eth'), { view: 'address', chain: 'ethereum', address: 'vitalik.eth' });
+    assert.deepEqual(parseRoute('#/gallery'), { view: 'gallery' });
+    assert.deepEqual(parseRoute('#/portfolio'), { view: 'portfolio' });
+    assert.deepEqual(parseRoute('#/calendar'), { view: 'calendar' });
+});
+
+test('parseRoute falls back to home for empty and unknown hashes', () => {
+    ['', '#', '#/', '#/token/abc', '#/token/0', '#/token/1/2', '#/address', '#/nowhere', '#/gallery/1',
+        '#/base', '#/solana/token/1', '#/base/gallery', '#/base/base/token/1'].forEach(hash => {
+        assert.deepEqual(parseRoute(hash), { view: 'home' }, hash);
+    });
+});
+
+test('parseRoute falls back to home for malformed escapes', () => {
+    ['#/base/address/%E0%A4%A', '#/%', '#/token/%ZZ'].forEach(hash => {
+        assert.deepEqual(parseRoute(hash), { view: 'home' }, hash);
+    });
+    assert.deepEqual(parseRoute('#/base/address/vitalik%2Eeth'), { view: 'address', chain: 'base', address: 'vitalik.eth' });
+});
+
+test('formatRoute is the inverse of parseRoute', () => {
+    [
+        '#/',
+        '#/base/token/1234',
+        '#/bsc/token/1234?template=data-dense',
+        '#/avalanche/token/1234?template=classic&asOf=2026-12-01',
+        '#/ethereum/address/0x0a252663DBCc0b073063D6420a40319e438Cfa59',
+        '#/gallery',
+        '#/portfolio',
+        '#/calendar'
+    ].forEach(hash => {
+        assert.equal(formatRoute(parseRoute(hash)), hash);
+    });
+
+    // Times of day are dropped, as the link only carries the date
+    assert.equal(formatRoute({ view: 'token', chain: 'base', tokenId: 5, asOf: Date.UTC(2026, 0, 2, 15, 30) }), '#/base/token/5?asOf=2026-01-02');
+
+    // Old links are rewritten with their chain
+    assert.equal(formatRoute(parseRoute('#/token/5')), '#/base/token/5');
+});
+
+test('getRouteView maps routes to tabs', () => {
+    assert.equal(getRouteView({ view: 'token', tokenId: 1 }), 'mainView');
+    assert.equal(getRouteView({ view: 'address', address: 'a.eth' }), 'mainView');
+    assert.equal(getRouteView({ view: 'gallery' }), 'galleryView');
+    assert.equal(getRouteView({ view: 'home' }), 'mainView');
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const { parseRpcUrls, getEndpointLabel, isEndpointFailure, getRetryDelay, createEndpoint, pickEndpoint, recordFailure, createRpcProvider } = require('../rpcProvider');
+
+const NETWORK = { name: 'base', chainId: 8453 };
+
+// Errors as ethers' fetchJson throws them
+const httpError = (status, headers = {}) => Object.assign(new Error('bad response'), { code: 'SERVER_ERROR', status, headers });
+const rpcError = code => Object.assign(new Error('processing response error'), { code: 'SERVER_ERROR', error: Object.assign(new Error('rpc'), { code }) });
+
+test('parseRpcUrls keeps unique http(s) URLs and reports the rest', () => {
+    assert.deepEqual(parseRpcUrls('https://a.example/v2/key\n  http://localhost:8545, https://a.example/v2/key ftp://b.example nonsense\n'), {
+        urls: ['https://a.example/v2/key', 'http://localhost:8545'],
+        invalid: ['ftp://b.example', 'nonsense']
+    });
+    assert.deepEqual(parseRpcUrls(''), { urls: [], invalid: [] });
+    assert.equal(getEndpointLabel('https://base-mainnet.g.alchemy.com/v2/secret'), 'base-mainnet.g.alchemy.com');
+});
+
+test('isEndpointFailure tells endpoint failures from call errors', () => {
+    assert.equal(isEndpointFailure(httpError(429)), true);
+    assert.equal(isEndpointFailure(httpError(503)), true);
+    assert.equal(isEndpointFailure(httpError(401)), true);
+    assert.equal(isEndpointFailure({ code: 'TIMEOUT' }), true);
+    assert.equal(isEndpointFailure({ code: 'SERVER_ERROR', serverError: new Error('ECONNREFUSED') }), true);
+    assert.equal(isEndpointFailure(rpcError(-32005)), true);
+
+    // A revert is the endpoint's answer
+    assert.equal(isEndpointFailure(rpcError(3)), false);
+    assert.equal(isEndpointFailure(new Error('invalid argument')), false);
+});
+
+test('getRetryDelay doubles up to the maximum and honors Retry-After', () => {
+    const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+    assert.deepEqual([1, 2, 3, 4, 5].map(failures => getRetryDelay(failures, options)), [100, 200, 400, 800, 1000]);
+    assert.equal(getRetryDelay(1, options, httpError(429, { 'retry-after': '0' })), 0);
+    assert.equal(getRetryDelay(1, { baseDelayMs: 100, maxDelayMs: 60000 }, httpError(429, { 'retry-after': '7' })), 7000);
+});
+
+test('pickEndpoint prefers healthy endpoints that are not cooling down', () => {
+    const [a, b, c] = ['https://a.example', 'https://b.example', 'https://c.example'].map(createEndpoint);
+    assert.equal(pickEndpoint([a, b, c], 0), a);
+
+    recordFailure(a, httpError(429), 0, { baseDelayMs: 1000 });
+    assert.equal(a.lastError, 'HTTP 429');
+    assert.equal(pickEndpoint([a, b, c], 500), b);
+    assert.equal(pickEndpoint([a, b, c], 1000), a);
+
+    b.healthy = false;
+    recordFailure(c, httpError(500), 0, { baseDelayMs: 2000 });
+    assert.equal(pickEndpoint([a, b, c], 500), a, 'the endpoint back soonest');
+});
+
+test('createRpcProvider falls back on throttled endpoints and reports who answered', async () => {
+    const answered = [];
+    const provider = createRpcProvider(ethers, ['https://a.example', 'https://b.example'], {
+        network: NETWORK,
+        baseDelayMs: 10,
+        onStatus: rpc => answered.push(rpc.lastEndpoint && rpc.lastEndpoint.label)
+    });
+    const [a, b] = provider.endpoints;
+    const calls = [];
+    a.provider.send = async method => { calls.push(`a:${method}`); throw httpError(429); };
+    b.provider.send = async method => { calls.push(`b:${method}`); return '0x10'; };
+
+    assert.equal(await provider.getBlockNumber(), 16);
+    assert.deepEqual(calls, ['a:eth_blockNumber', 'b:eth_blockNumber']);
+    assert.equal(provider.lastEndpoint, b);
+    assert.equal(answered[answered.length - 1], 'b.example');
+
+    // A call error is not retried elsewhere
+    b.provider.send = async () => { throw rpcError(3); };
+    await assert.rejects(provider.send('eth_call', [{}, 'latest']), /processing response error/);
+    assert.equal(b.failures, 0);
+});
+
+test('createRpcProvider retries with backoff and gives up after maxAttempts', async () => {
+    const provider = createRpcProvider(ethers, ['https://a.example'], { network: NETWORK, baseDelayMs: 5, maxAttempts: 3 });
+    const [a] = provider.endpoints;
+
+    let calls = 0;
+    a.provider.send = async () => {
+        calls++;
+        if (calls < 3) throw httpError(502);
+        return '0x2105';
+    };
+    assert.equal(await provider.send('eth_chainId', []), '0x2105');
+    assert.equal(calls, 3);
+
+    a.provider.send = async () => { throw httpError(503); };
+    await assert.rejects(provider.send('eth_chainId', []), error => error.status === 503);
+});
+
+test('checkHealth marks unreachable endpoints and endpoints on another chain', async () => {
+    const provider = createRpcProvider(ethers, ['https://a.example', 'https://b.example', 'https://c.example'], { network: NETWORK });
+    const [a, b, c] = provider.endpoints;
+    a.provider.send = async method => (method === 'eth_chainId' ? '0x2105' : '0x64');
+    b.provider.send = async method => (method === 'eth_chainId' ? '0x1' : '0x64');
+    c.provider.send = async () => { throw { code: 'SERVER_ERROR', serverError: new Error('offline') }; };
+
+    await provider.checkHealth();
+    assert.deepEqual([a.healthy, a.blockNumber], [true, 100]);
+    assert.deepEqual([b.healthy, b.lastError], [false, 'wrong chain (1)']);
+    assert.deepEqual([c.healthy, c.lastError], [false, 'unreachable']);
+});
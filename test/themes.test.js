@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    CLASSIC_THEME_ID,
+    normalizeTheme,
+    getThemes,
+    getActiveThemePalettes,
+    setActiveTheme,
+    createTheme,
+    updateTheme,
+    deleteTheme,
+    exportTheme,
+    importThemes
+} = require('../themes');
+const { DEFAULT_COLOR_SCHEMES } = require('../mintInfoDecoder');
+
+const PALETTE = { primary: '#abcdef', secondary: '#123456', tertiary: '#654321', background: '#010203' };
+
+// The theme store reads and writes localStorage; each test starts with an empty one
+test.beforeEach(() => {
+    const items = new Map();
+    global.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+});
+
+test.after(() => {
+    delete global.localStorage;
+});
+
+test('normalizeTheme upper-cases colors and names what is unnamed', () => {
+    assert.deepEqual(normalizeTheme({ name: '  Sunset ', palettes: [PALETTE, { ...PALETTE, name: ' Dusk ' }] }), {
+        name: 'Sunset',
+        palettes: [
+            { name: 'Cycle 1', primary: '#ABCDEF', secondary: '#123456', tertiary: '#654321', background: '#010203' },
+            { name: 'Dusk', primary: '#ABCDEF', secondary: '#123456', tertiary: '#654321', background: '#010203' }
+        ]
+    });
+
+    assert.equal(normalizeTheme({ palettes: [PALETTE] }).name, 'Untitled Theme');
+    assert.equal(normalizeTheme({ name: '   ', palettes: [PALETTE] }).name, 'Untitled Theme');
+    assert.equal(normalizeTheme({ name: 'x', palettes: [PALETTE, { ...PALETTE, name: 7 }, { ...PALETTE, name: ' ' }] }).palettes[2].name, 'Cycle 3');
+});
+
+test('normalizeTheme only takes #RRGGBB colors', () => {
+    ['#ABC', 'ABCDEF', '#ABCDEG', '#ABCDEF0', 'red', 'rgb(0,0,0)', '', 0xABCDEF, null].forEach(color => {
+        assert.throws(() => normalizeTheme({ palettes: [PALETTE, { ...PALETTE, tertiary: color }] }), /Palette 2 has an invalid tertiary color \(expected #RRGGBB\)/, String(color));
+    });
+    assert.throws(() => normalizeTheme({ palettes: [{ primary: '#000000' }] }), /Palette 1 has an invalid secondary color/);
+    assert.throws(() => normalizeTheme({ palettes: [null] }), /Palette 1 has an invalid primary color/);
+
+    assert.throws(() => normalizeTheme(null), /must be an object/);
+    assert.throws(() => normalizeTheme('theme'), /must be an object/);
+    assert.throws(() => normalizeTheme({ name: 'Empty', palettes: [] }), /at least one palette/);
+    assert.throws(() => normalizeTheme({ name: 'None' }), /at least one palette/);
+});
+
+test('a theme round-trips through exportTheme and importThemes', () => {
+    const theme = createTheme('Sunset', [PALETTE, { ...PALETTE, name: 'Dusk', background: '#000000' }]);
+    const json = exportTheme(theme.id);
+
+    assert.deepEqual(JSON.parse(json), { format: 'xenft-theme', version: 1, name: 'Sunset', palettes: theme.palettes });
+
+    const [imported] = importThemes(json);
+    assert.notEqual(imported.id, theme.id);
+    assert.deepEqual({ ...imported, id: theme.id }, theme);
+    assert.deepEqual(getThemes().map(entry => entry.name), ['Classic', 'Sunset', 'Sunset']);
+
+    // The built-in theme exports too
+    const [classic] = importThemes(exportTheme(CLASSIC_THEME_ID));
+    assert.deepEqual(classic.palettes.map(({ name, ...colors }) => colors), DEFAULT_COLOR_SCHEMES);
+});
+
+test('importThemes takes arrays and stores nothing when any theme is invalid', () => {
+    const imported = importThemes(JSON.stringify([{ name: 'One', palettes: [PALETTE] }, { name: 'Two', palettes: [PALETTE] }]));
+    assert.deepEqual(imported.map(theme => theme.name), ['One', 'Two']);
+
+    assert.throws(() => importThemes('{'), /not valid JSON/);
+    assert.throws(() => importThemes(JSON.stringify([{ name: 'Three', palettes: [PALETTE] }, { name: 'Bad', palettes: [{ ...PALETTE, primary: 'red' }] }])), /invalid primary/);
+    assert.deepEqual(getThemes().map(theme => theme.name), ['Classic', 'One', 'Two']);
+});
+
+test('the active theme drives the palettes; Classic stays read-only', () => {
+    assert.deepEqual(getActiveThemePalettes().map(({ name, ...colors }) => colors), DEFAULT_COLOR_SCHEMES);
+
+    const theme = createTheme('Mono', [PALETTE]);
+    assert.equal(setActiveTheme(theme.id), true);
+    assert.deepEqual(getActiveThemePalettes(), normalizeTheme({ palettes: [PALETTE] }).palettes);
+    assert.equal(setActiveTheme('missing'), false);
+
+    assert.equal(updateTheme(theme.id, { name: 'Mono 2' }).name, 'Mono 2');
+    assert.throws(() => updateTheme(CLASSIC_THEME_ID, { name: 'Mine' }), /cannot be edited/);
+    assert.throws(() => updateTheme('missing', { name: 'Mine' }), /not found/);
+
+    assert.equal(deleteTheme(CLASSIC_THEME_ID), false);
+    assert.equal(deleteTheme(theme.id), true);
+    assert.deepEqual(getActiveThemePalettes().map(({ name, ...colors }) => colors), DEFAULT_COLOR_SCHEMES);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TOKEN_URI_COMPARISONS,
+    parseDataURI,
+    decodeTokenURI,
+    valuesMatch,
+    compareTokenAttributes
+} = require('../tokenURIDecoder');
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg"><text>XENFT ≠ 🦄</text></svg>';
+const base64 = text => Buffer.from(text, 'utf8').toString('base64');
+const jsonURI = metadata => `data:application/json;base64,${base64(JSON.stringify(metadata))}`;
+
+const XENFT_DATA = {
+    vmuCount: 128,
+    xenBurned: 25000000,
+    mintInfo: { term: 550, maturityTs: 1735689600, rank: '18250400', amp: 2980, eaa: 62, redeemed: false }
+};
+const RARITY_INFO = { category: 'Apex', rarity: 'Xunicorn', rarityColor: '#FFD700' };
+
+// Per comparison: official values that match the data above, and ones that don't
+const CASES = {
+    'VMUs': { match: [128, '128'], mismatch: [127, 'many'] },
+    'Term': { match: [550, '550'], mismatch: [551] },
+    'Rank': { match: ['18250400', '18,250,400', 18250400], mismatch: ['18250401'] },
+    'AMP': { match: [2980, '2,980'], mismatch: [298] },
+    // The contract writes eaa / 10 in integer math
+    'EAA': { match: [62, '6', '6.2', '6.2%'], mismatch: [0.62, 620, 7, 5] },
+    'XEN Burned': { match: [25000000, '25,000,000'], mismatch: [25000001, 24999999, 25, 0] },
+    'Maturity': {
+        // The contract writes "Jan 1, 2025 00:00 UTC"
+        match: [1735689600, '1735689600', 1735689600 + 86399, 'Jan 1, 2025 00:00 UTC', 'Wed, 01 Jan 2025 00:00:00 GMT', '2025-01-01T12:00:00Z'],
+        mismatch: [1735689600 + 86400, '2025-01-03', 'soon']
+    },
+    'Category': { match: ['Apex', 'apex ', 'APEX'], mismatch: ['Limited'] },
+    'Rarity': { match: ['Xunicorn', 'xunicorn'], mismatch: ['Exotic'] },
+    'Redeemed': { match: [false, 'false', 'No', '0'], mismatch: [true, 'yes', 'TRUE', '1'] }
+};
+
+test('parseDataURI decodes base64, UTF-8 and percent-encoded content', () => {
+    assert.deepEqual(parseDataURI(`data:image/svg+xml;base64,${base64(SVG)}`), { mediaType: 'image/svg+xml', content: SVG });
+    assert.deepEqual(parseDataURI(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(SVG)}`), { mediaType: 'image/svg+xml', content: SVG });
+    assert.deepEqual(parseDataURI('data:application/json,{"a":1}'), { mediaType: 'application/json', content: '{"a":1}' });
+    assert.deepEqual(parseDataURI('data:,a%2Cb,c'), { mediaType: 'text/plain', content: 'a,b,c' });
+    assert.deepEqual(parseDataURI('data:text/plain;base64,'), { mediaType: 'text/plain', content: '' });
+});
+
+test('parseDataURI returns null for other URIs and throws on malformed content', () => {
+    [undefined, null, '', 'ipfs://Qm/1.json', 'https://example.com/1.json', 'data:text/plain', ' data:,x'].forEach(uri => {
+        assert.equal(parseDataURI(uri), null, String(uri));
+    });
+
+    assert.throws(() => parseDataURI('data:application/json;base64,e30*'), /not valid base64/);
+    assert.throws(() => parseDataURI('data:application/json,%E0%A4%A'), /not valid percent-encoding/);
+});
+
+test('decodeTokenURI reads the metadata and its embedded SVG', () => {
+    const metadata = {
+        name: 'XEN Torrent #1',
+        description: 'XENFT',
+        image: `data:image/svg+xml;base64,${base64(SVG)}`,
+        attributes: [{ trait_type: 'VMUs', value: '128' }]
+    };
+
+    assert.deepEqual(decodeTokenURI(jsonURI(metadata)), {
+        name: 'XEN Torrent #1',
+        description: 'XENFT',
+        image: metadata.image,
+        imageSvg: SVG,
+        attributes: metadata.attributes,
+        raw: metadata
+    });
+
+    // Inline markup, image_data, and images that aren't SVG
+    assert.equal(decodeTokenURI(jsonURI({ image_data: ` ${SVG}` })).imageSvg, ` ${SVG}`);
+    assert.equal(decodeTokenURI(jsonURI({ image: 'data:image/png;base64,AAAA' })).imageSvg, null);
+    assert.equal(decodeTokenURI(jsonURI({ image: 'ipfs://Qm/1.svg' })).imageSvg, null);
+    assert.equal(decodeTokenURI(jsonURI({ image: 'data:image/svg+xml;base64,***' })).imageSvg, null);
+
+    const bare = decodeTokenURI('data:application/json;utf8,{"attributes":{"VMUs":1}}');
+    assert.deepEqual([bare.name, bare.description, bare.image, bare.imageSvg, bare.attributes], ['', '', null, null, []]);
+});
+
+test('decodeTokenURI rejects what is not inline JSON metadata', () => {
+    assert.throws(() => decodeTokenURI('https://example.com/1.json'), /not a data URI/);
+    assert.throws(() => decodeTokenURI(''), /not a data URI/);
+    assert.throws(() => decodeTokenURI(`data:image/svg+xml;base64,${base64(SVG)}`), /Unexpected tokenURI media type: image\/svg\+xml/);
+    assert.throws(() => decodeTokenURI(`data:application/json;base64,${base64('{"name":')}`), /not contain valid JSON/);
+    assert.throws(() => decodeTokenURI('data:application/json;base64,!!!'), /Malformed data URI/);
+    assert.throws(() => decodeTokenURI('data:application/json,{"name":"%"}'), /Malformed data URI/);
+});
+
+test('valuesMatch compares every comparison row', () => {
+    assert.deepEqual(TOKEN_URI_COMPARISONS.map(comparison => comparison.label).sort(), Object.keys(CASES).sort());
+
+    TOKEN_URI_COMPARISONS.forEach(comparison => {
+        const generated = comparison.generated(XENFT_DATA, RARITY_INFO);
+        CASES[comparison.label].match.forEach(official => {
+            assert.equal(valuesMatch(official, generated, comparison), true, `${comparison.label}: ${official}`);
+        });
+        CASES[comparison.label].mismatch.forEach(official => {
+            assert.equal(valuesMatch(official, generated, comparison), false, `${comparison.label}: ${official}`);
+        });
+    });
+});
+
+test('XEN Burned matches in whole XEN and in wei, truncated like the contract', () => {
+    const burned = TOKEN_URI_COMPARISONS.find(comparison => comparison.label === 'XEN Burned');
+    assert.equal(valuesMatch('25000000', 25000000e18, burned), true);
+    assert.equal(valuesMatch('25000000', 25000000.75e18, burned), true);
+    assert.equal(valuesMatch('25000000', 25000001e18, burned), false);
+    assert.equal(valuesMatch('0', 5e17, burned), false);
+});
+
+test('compareTokenAttributes reports matches, mismatches, missing and extra traits', () => {
+    const rows = compareTokenAttributes([
+        { trait_type: 'VMU Count', value: '128' },
+        { trait_type: 'term', value: 551 },
+        { trait_type: 'cRank', value: '18250400' },
+        { trait_type: 'EAA (%)', value: '6.2' },
+        { trait_type: 'Maturity DateTime', value: 'Wed, 01 Jan 2025 00:00:00 GMT' },
+        { trait_type: 'Class', value: 'Apex' },
+        { trait_type: 'Series', value: 'Torrent' },
+        { value: 'no trait' },
+        null
+    ], XENFT_DATA, RARITY_INFO);
+
+    assert.deepEqual(rows.map(row => [row.label, row.trait, row.status]), [
+        ['VMUs', 'VMU Count', 'match'],
+        ['Term', 'Term', 'mismatch'],
+        ['Rank', 'cRank', 'match'],
+        ['AMP', null, 'missing'],
+        ['EAA', 'EAA (%)', 'match'],
+        ['XEN Burned', null, 'missing'],
+        ['Maturity', 'Maturity DateTime', 'match'],
+        ['Category', 'Class', 'match'],
+        ['Rarity', null, 'missing'],
+        ['Redeemed', null, 'missing'],
+        ['Series', 'Series', 'extra']
+    ]);
+    assert.deepEqual(rows[1], { label: 'Term', trait: 'Term', official: 551, generated: 550, status: 'mismatch' });
+    assert.deepEqual(rows[10], { label: 'Series', trait: 'Series', official: 'Torrent', generated: null, status: 'extra' });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const { getVmuProxyAddresses, fetchUserMints, compareVmuMints } = require('../vmuMints');
+
+// Recorded by deploying the published XENCrypto and XENTorrent bytecode (@faircrypto/xenft 0.5.1)
+// in a local EVM and minting token 10001 with bulkClaimRank(5, 1): the proxies XENCrypto recorded
+// cRanks for, in VMU order
+const DEPLOYED = {
+    xenftAddress: '0x6c56a8f88127E1b474566F13617232BA652099b9',
+    tokenId: 10001,
+    proxies: [
+        '0x220c49e8Fa69561bcd4eBB8bBBD7fF2d621D260C',
+        '0xBF71E6BCCE6B141392082166Cd35bB97A1ba89B6',
+        '0x8d10B2A79EA3930E8332F1A382Ce216b8542B6De',
+        '0x5F3aDc1Fb3621990C7AFB163cAEFaA2ee77b418D',
+        '0x7e00D374De3773BEe4E9dd125F5a04Cf0421F25F'
+    ]
+};
+
+const MINT_INFO = { term: 100, maturityTs: 1735689600, rank: '18250400', amp: 2980, eaa: 62, redeemed: false };
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const mint = (address, overrides = {}) => ({
+    address,
+    user: address,
+    term: MINT_INFO.term,
+    maturityTs: MINT_INFO.maturityTs,
+    rank: MINT_INFO.rank,
+    amplifier: MINT_INFO.amp,
+    eaaRate: MINT_INFO.eaa,
+    error: null,
+    ...overrides
+});
+
+test('getVmuProxyAddresses derives the proxies the XENFT contract creates', () => {
+    assert.deepEqual(getVmuProxyAddresses(ethers, DEPLOYED.xenftAddress, DEPLOYED.tokenId, 5), DEPLOYED.proxies);
+
+    // The salt orders VMU before token ID, and the contract address is in the init code
+    assert.deepEqual(getVmuProxyAddresses(ethers, DEPLOYED.xenftAddress.toLowerCase(), DEPLOYED.tokenId, 2), DEPLOYED.proxies.slice(0, 2));
+    assert.notEqual(getVmuProxyAddresses(ethers, DEPLOYED.xenftAddress, DEPLOYED.tokenId + 1, 1)[0], DEPLOYED.proxies[0]);
+    assert.deepEqual(getVmuProxyAddresses(ethers, DEPLOYED.xenftAddress, DEPLOYED.tokenId, 0), []);
+});
+
+test('fetchUserMints reads in batches of 20 and reports errors per address', async () => {
+    const addresses = Array.from({ length: 45 }, (_, i) => ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20));
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const xenCryptoContract = {
+        async userMints(address) {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise(resolve => setImmediate(resolve));
+            inFlight--;
+            if (address === addresses[30]) {
+                throw Object.assign(new Error('call revert exception'), { reason: 'execution reverted' });
+            }
+            return { user: address, term: 100, maturityTs: 1735689600, rank: ethers.BigNumber.from(7), amplifier: 2980, eaaRate: 62 };
+        }
+    };
+    const progress = [];
+
+    const results = await fetchUserMints(xenCryptoContract, addresses, (done, total) => progress.push([done, total]));
+
+    assert.equal(maxInFlight, 20);
+    assert.deepEqual(progress, [[20, 45], [40, 45], [45, 45]]);
+    assert.deepEqual(results.map(result => result.address), addresses);
+    assert.deepEqual(results[0], { address: addresses[0], user: addresses[0], term: 100, maturityTs: 1735689600, rank: '7', amplifier: 2980, eaaRate: 62, error: null });
+    assert.deepEqual(results[30], { address: addresses[30], error: 'execution reverted' });
+});
+
+test('compareVmuMints classifies each VMU against the mintInfo', () => {
+    const [a, b, c, d, e] = DEPLOYED.proxies;
+    const { rows, summary } = compareVmuMints([
+        mint(a),
+        mint(b, { rank: '18250401' }),
+        mint(c, { term: 99, eaaRate: 61 }),
+        mint(d, { user: ZERO_ADDRESS, term: 0, maturityTs: 0, rank: '0', amplifier: 0, eaaRate: 0 }),
+        { address: e, error: 'execution reverted' }
+    ], MINT_INFO);
+
+    assert.deepEqual(rows.map(row => row.status), ['ok', 'ok', 'mismatch', 'mismatch', 'error']);
+    assert.deepEqual(rows[2].issues, ['term 99 ≠ 100', 'eaaRate 61 ≠ 62']);
+    assert.deepEqual(rows[3].issues, ['No active mint, but the XENFT is not redeemed']);
+    assert.deepEqual(rows[4].issues, ['execution reverted']);
+    assert.deepEqual(summary, { total: 5, active: 3, mismatches: 2, errors: 1, minRank: '18250400', maxRank: '18250401' });
+});
+
+test('compareVmuMints checks the rank of the first VMU only', () => {
+    const { rows } = compareVmuMints([mint(DEPLOYED.proxies[0], { rank: '1' }), mint(DEPLOYED.proxies[1], { rank: '2' })], MINT_INFO);
+
+    assert.deepEqual(rows.map(row => row.status), ['mismatch', 'ok']);
+    assert.deepEqual(rows[0].issues, ['rank 1 ≠ 18250400']);
+});
+
+test('compareVmuMints expects empty records once the XENFT is redeemed', () => {
+    const redeemed = { ...MINT_INFO, redeemed: true };
+    const { rows, summary } = compareVmuMints([
+        mint(DEPLOYED.proxies[0], { user: ZERO_ADDRESS }),
+        mint(DEPLOYED.proxies[1])
+    ], redeemed);
+
+    assert.deepEqual(rows.map(row => row.status), ['empty', 'mismatch']);
+    assert.deepEqual(rows[1].issues, ['Active mint, but the XENFT is redeemed']);
+    assert.equal(summary.active, 1);
+});
+
+test('compareVmuMints without mintInfo only tells active from empty', () => {
+    const { rows, summary } = compareVmuMints([mint(DEPLOYED.proxies[0], { term: 5 }), mint(DEPLOYED.proxies[1], { user: ZERO_ADDRESS })]);
+
+    assert.deepEqual(rows.map(row => [row.status, row.issues]), [['ok', []], ['empty', []]]);
+    assert.deepEqual(summary, { total: 2, active: 1, mismatches: 0, errors: 0, minRank: '18250400', maxRank: '18250400' });
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const { isMulticallAvailable, batchContractReads, fetchXenftDataBatch } = require('../xenftReader');
+const { encodeMintInfo } = require('../mintInfoDecoder');
+
+const XENFT_ABI = [
+    "function vmuCount(uint256) view returns (uint256)",
+    "function mintInfo(uint256) view returns (uint256)",
+    "function xenBurned(uint256) view returns (uint256)",
+    "function isApex(uint256) view returns (bool)"
+];
+
+const MINT_INFO = { term: 100, maturityTs: 1700000000, rank: '123456', amp: 3000, eaa: 50, class: { isApex: true, isLimited: false, powerGroupIdx: 5 }, redeemed: false };
+
+// Token 2 does not exist and every read of it reverts
+const TOKENS = {
+    1: { vmuCount: 10, mintInfo: encodeMintInfo(MINT_INFO), xenBurned: 0, isApex: true }
+};
+
+/**
+ * Builds a fake XENFT contract, provider and ethers library
+ * @param {boolean} hasMulticall - Whether Multicall3 is "deployed"
+ * @returns {Object} { ethers, contract, calls } where calls counts requests by kind
+ */
+function createFakes(hasMulticall) {
+    const iface = new ethers.utils.Interface(XENFT_ABI);
+    const calls = { multicall: 0, individual: 0 };
+    const provider = { getCode: async () => (hasMulticall ? '0x6080' : '0x') };
+
+    const read = (method, tokenId) => {
+        const token = TOKENS[Number(tokenId)];
+        if (!token) throw new Error('execution reverted');
+        return method === 'isApex' ? token.isApex : ethers.BigNumber.from(token[method].toString());
+    };
+
+    const contract = { address: '0x379002701BF6f2862e3dFdd1f96d3C5E1BF450B6', interface: iface, provider };
+    for (const method of ['vmuCount', 'mintInfo', 'xenBurned', 'isApex']) {
+        contract[method] = async (tokenId) => {
+            calls.individual++;
+            return read(method, tokenId);
+        };
+    }
+
+    const fakeEthers = {
+        Contract: function() {
+            this.callStatic = {
+                aggregate3: async (requests) => {
+                    calls.multicall++;
+                    return requests.map(({ callData }) => {
+                        const { name, args } = iface.parseTransaction({ data: callData });
+                        try {
+                            return { success: true, returnData: iface.encodeFunctionResult(name, [read(name, args[0])]) };
+                        } catch (error) {
+                            return { success: false, returnData: '0x' };
+                        }
+                    });
+                }
+            };
+        }
+    };
+
+    return { ethers: fakeEthers, contract, calls };
+}
+
+for (const hasMulticall of [true, false]) {
+    test(`fetchXenftDataBatch decodes tokens and isolates failures (${hasMulticall ? 'Multicall3' : 'individual calls'})`, async () => {
+        const { ethers: fakeEthers, contract, calls } = createFakes(hasMulticall);
+        const [ok, missing] = await fetchXenftDataBatch(fakeEthers, contract, [1, 2]);
+
+        assert.deepEqual(ok, {
+            tokenId: 1,
+            data: { tokenId: 1, vmuCount: 10, mintInfo: MINT_INFO, xenBurned: 0, isApex: true },
+            error: null
+        });
+        assert.equal(missing.tokenId, 2);
+        assert.equal(missing.data, null);
+        assert.ok(missing.error);
+
+        if (hasMulticall) {
+            assert.deepEqual(calls, { multicall: 1, individual: 0 });
+        } else {
+            assert.deepEqual(calls, { multicall: 0, individual: 8 });
+        }
+    });
+}
+
+test('batchContractReads falls back to individual calls when a batch fails', async () => {
+    const { contract, calls } = createFakes(true);
+    const failingEthers = {
+        Contract: function() {
+            this.callStatic = { aggregate3: async () => { throw new Error('request too large'); } };
+        }
+    };
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const results = await batchContractReads(failingEthers, [{ contract, method: 'vmuCount', args: [1] }]);
+        assert.equal(results[0].success, true);
+        assert.equal(Number(results[0].value), 10);
+        assert.equal(calls.individual, 1);
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('isMulticallAvailable remembers the answer, but not a failed check', async () => {
+    const answers = [() => Promise.reject(new Error('429 Too Many Requests')), async () => '0x6080'];
+    let getCodeCalls = 0;
+    const provider = { getCode: () => answers[getCodeCalls++]() };
+
+    assert.equal(await isMulticallAvailable(provider), false);
+    assert.equal(await isMulticallAvailable(provider), true);
+    assert.equal(await isMulticallAvailable(provider), true);
+    assert.equal(getCodeCalls, 2);
+
+    // No code at the address is an answer, and stays
+    let emptyCalls = 0;
+    const withoutMulticall = { getCode: async () => { emptyCalls++; return '0x'; } };
+    assert.equal(await isMulticallAvailable(withoutMulticall), false);
+    assert.equal(await isMulticallAvailable(withoutMulticall), false);
+    assert.equal(emptyCalls, 1);
+});
@@ -0,0 +1,506 @@
+/**
+ * Color Theme Manager for the XENFT SVG Generator
+ *
+ * A theme is a named, ordered list of palettes. The active theme drives the
+ * color cycle rotation: each 30-day cycle uses the next palette in the list.
+ * The built-in "Classic" theme holds the 12 default palettes and is read-only;
+ * user themes are stored in localStorage and can be imported/exported as JSON.
+ */
+
+const THEME_STORAGE_KEY = 'xenftThemes';
+const CLASSIC_THEME_ID = 'classic';
+const THEME_EXPORT_FORMAT = 'xenft-theme';
+const THEME_COLOR_KEYS = ['primary', 'secondary', 'tertiary', 'background'];
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Builds the read-only Classic theme from the default color schemes
+ * @returns {Object} The Classic theme
+ */
+function getClassicTheme() {
+    const schemes = typeof DEFAULT_COLOR_SCHEMES !== 'undefined' ? DEFAULT_COLOR_SCHEMES : require('./mintInfoDecoder').DEFAULT_COLOR_SCHEMES;
+    return {
+        id: CLASSIC_THEME_ID,
+        name: 'Classic',
+        builtIn: true,
+        palettes: schemes.map((scheme, index) => ({
+            name: `Cycle ${index + 1}`,
+            ...scheme
+        }))
+    };
+}
+
+/**
+ * Reads the stored theme state
+ * @returns {Object} { activeThemeId, themes }
+ */
+function loadThemeState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(THEME_STORAGE_KEY) || 'null');
+        if (state && Array.isArray(state.themes)) {
+            return {
+                activeThemeId: state.activeThemeId || CLASSIC_THEME_ID,
+                themes: state.themes
+            };
+        }
+    } catch (error) {
+        console.error("Failed to load themes from local storage:", error);
+    }
+    return { activeThemeId: CLASSIC_THEME_ID, themes: [] };
+}
+
+/**
+ * Writes the theme state back to local storage
+ * @param {Object} state - { activeThemeId, themes }
+ * @returns {boolean} Success status
+ */
+function saveThemeState(state) {
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(state));
+        return true;
+    } catch (error) {
+        console.error("Failed to save themes to local storage:", error);
+        return false;
+    }
+}
+
+/**
+ * Returns all themes, Classic first
+ * @returns {Object[]} Themes
+ */
+function getThemes() {
+    return [getClassicTheme(), ...loadThemeState().themes];
+}
+
+/**
+ * Finds a theme by ID
+ * @param {string} themeId - The theme ID
+ * @returns {Object|null} The theme, or null if it does not exist
+ */
+function getTheme(themeId) {
+    return getThemes().find(theme => theme.id === themeId) || null;
+}
+
+/**
+ * Returns the theme that drives the color cycle rotation
+ * @returns {Object} The active theme (Classic if the stored one is missing)
+ */
+function getActiveTheme() {
+    return getTheme(loadThemeState().activeThemeId) || getClassicTheme();
+}
+
+/**
+ * Returns the palettes of the active theme, ready for generateColorScheme
+ * @returns {Object[]} Palettes
+ */
+function getActiveThemePalettes() {
+    return getActiveTheme().palettes;
+}
+
+/**
+ * Selects the theme that drives the color cycle rotation
+ * @param {string} themeId - The theme ID
+ * @returns {boolean} Success status
+ */
+function setActiveTheme(themeId) {
+    if (!getTheme(themeId)) return false;
+
+    const state = loadThemeState();
+    state.activeThemeId = themeId;
+    return saveThemeState(state);
+}
+
+/**
+ * Validates and normalizes a theme definition
+ * @param {Object} rawTheme - Theme object with a name and palettes
+ * @returns {Object} Normalized { name, palettes }
+ * @throws {Error} If the theme is invalid
+ */
+function normalizeTheme(rawTheme) {
+    if (!rawTheme || typeof rawTheme !== 'object') {
+        throw new Error("Theme must be an object");
+    }
+    if (!Array.isArray(rawTheme.palettes) || rawTheme.palettes.length === 0) {
+        throw new Error("Theme must have at least one palette");
+    }
+
+    const palettes = rawTheme.palettes.map((palette, index) => {
+        const normalized = {
+            name: palette && typeof palette.name === 'string' && palette.name.trim()
+                ? palette.name.trim()
+                : `Cycle ${index + 1}`
+        };
+        THEME_COLOR_KEYS.forEach(key => {
+            const color = palette ? palette[key] : undefined;
+            if (typeof color !== 'string' || !HEX_COLOR_PATTERN.test(color)) {
+                throw new Error(`Palette ${index + 1} has an invalid ${key} color (expected #RRGGBB)`);
+            }
+            normalized[key] = color.toUpperCase();
+        });
+        return normalized;
+    });
+
+    const name = typeof rawTheme.name === 'string' && rawTheme.name.trim() ? rawTheme.name.trim() : 'Untitled Theme';
+    return { name, palettes };
+}
+
+/**
+ * Creates a new user theme
+ * @param {string} name - Theme name
+ * @param {Object[]} palettes - Palettes for the theme
+ * @returns {Object} The created theme
+ */
+function createTheme(name, palettes) {
+    const theme = {
+        id: `theme-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        ...normalizeTheme({ name, palettes })
+    };
+
+    const state = loadThemeState();
+    state.themes.push(theme);
+    saveThemeState(state);
+    return theme;
+}
+
+/**
+ * Updates a user theme's name and/or palettes
+ * @param {string} themeId - The theme ID
+ * @param {Object} changes - { name, palettes }
+ * @returns {Object} The updated theme
+ * @throws {Error} If the theme is built in, missing or invalid
+ */
+function updateTheme(themeId, changes) {
+    if (themeId === CLASSIC_THEME_ID) {
+        throw new Error("The Classic theme cannot be edited");
+    }
+
+    const state = loadThemeState();
+    const index = state.themes.findIndex(theme => theme.id === themeId);
+    if (index < 0) {
+        throw new Error("Theme not found");
+    }
+
+    const current = state.themes[index];
+    const updated = {
+        id: themeId,
+        ...normalizeTheme({
+            name: changes.name !== undefined ? changes.name : current.name,
+            palettes: changes.palettes !== undefined ? changes.palettes : current.palettes
+        })
+    };
+
+    state.themes[index] = updated;
+    saveThemeState(state);
+    return updated;
+}
+
+/**
+ * Deletes a user theme; the Classic theme becomes active if it was the active one
+ * @param {string} themeId - The theme ID
+ * @returns {boolean} Success status
+ */
+function deleteTheme(themeId) {
+    if (themeId === CLASSIC_THEME_ID) return false;
+
+    const state = loadThemeState();
+    state.themes = state.themes.filter(theme => theme.id !== themeId);
+    if (state.activeThemeId === themeId) {
+        state.activeThemeId = CLASSIC_THEME_ID;
+    }
+    return saveThemeState(state);
+}
+
+/**
+ * Returns the active theme, first copying it if it is read-only
+ * Used by the header swatches so editing Classic creates an editable copy
+ * @returns {Object} An editable active theme
+ */
+function ensureEditableActiveTheme() {
+    const active = getActiveTheme();
+    if (!active.builtIn) return active;
+
+    const copy = createTheme(`${active.name} (Custom)`, active.palettes);
+    setActiveTheme(copy.id);
+    return copy;
+}
+
+/**
+ * Serializes a theme for export
+ * @param {string} themeId - The theme ID
+ * @returns {string} JSON string
+ */
+function exportTheme(themeId) {
+    const theme = getTheme(themeId);
+    if (!theme) {
+        throw new Error("Theme not found");
+    }
+
+    return JSON.stringify({
+        format: THEME_EXPORT_FORMAT,
+        version: 1,
+        name: theme.name,
+        palettes: theme.palettes
+    }, null, 2);
+}
+
+/**
+ * Imports one theme or an array of themes from JSON
+ * @param {string} json - Exported theme JSON
+ * @returns {Object[]} The imported themes
+ * @throws {Error} If the JSON or any theme in it is invalid
+ */
+function importThemes(json) {
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (error) {
+        throw new Error("File is not valid JSON");
+    }
+
+    const rawThemes = Array.isArray(parsed) ? parsed : [parsed];
+
+    // Validate everything before storing anything
+    const normalized = rawThemes.map(normalizeTheme);
+    return normalized.map(theme => createTheme(theme.name, theme.palettes));
+}
+
+/**
+ * Renders the theme editor
+ * @param {HTMLElement} container - The container element to render into
+ * @param {Object} options - { currentCycle, onChange }
+ */
+function renderThemeEditor(container, options = {}) {
+    if (!container) return;
+
+    const { currentCycle = -1, onChange = () => {} } = options;
+    const themes = getThemes();
+    const active = getActiveTheme();
+
+    // Re-render and notify after every change
+    const refresh = () => {
+        renderThemeEditor(container, options);
+        onChange();
+    };
+
+    const reportError = (error) => {
+        console.error("Theme editor error:", error);
+        alert(error.message);
+    };
+
+    const createButton = (label, className, onClick) => {
+        const button = document.createElement('button');
+        button.className = `btn btn-sm ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    container.innerHTML = '';
+
+    // Theme selection and actions
+    const toolbar = document.createElement('div');
+    toolbar.className = 'theme-toolbar';
+
+    const select = document.createElement('select');
+    select.id = 'themeSelect';
+    themes.forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.builtIn ? `${theme.name} (built-in)` : theme.name;
+        option.selected = theme.id === active.id;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+        setActiveTheme(select.value);
+        refresh();
+    });
+    toolbar.appendChild(select);
+
+    toolbar.appendChild(createButton('New', 'btn-primary', () => {
+        const name = prompt('Name for the new theme:', `${active.name} Copy`);
+        if (name === null) return;
+        try {
+            const theme = createTheme(name, active.palettes);
+            setActiveTheme(theme.id);
+            refresh();
+        } catch (error) {
+            reportError(error);
+        }
+    }));
+
+    const renameButton = createButton('Rename', 'btn-secondary', () => {
+        const name = prompt('New theme name:', active.name);
+        if (name === null) return;
+        try {
+            updateTheme(active.id, { name });
+            refresh();
+        } catch (error) {
+            reportError(error);
+        }
+    });
+    renameButton.disabled = active.builtIn;
+    toolbar.appendChild(renameButton);
+
+    const deleteButton = createButton('Delete', 'btn-danger', () => {
+        if (confirm(`Delete the theme "${active.name}"?`)) {
+            deleteTheme(active.id);
+            refresh();
+        }
+    });
+    deleteButton.disabled = active.builtIn;
+    toolbar.appendChild(deleteButton);
+
+    toolbar.appendChild(createButton('Export', 'btn-secondary', () => {
+        const blob = new Blob([exportTheme(active.id)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `xenft-theme-${active.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }));
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.className = 'hidden';
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            const imported = importThemes(await file.text());
+            setActiveTheme(imported[imported.length - 1].id);
+            refresh();
+        } catch (error) {
+            reportError(new Error(`Failed to import theme: ${error.message}`));
+        }
+    });
+    toolbar.appendChild(fileInput);
+    toolbar.appendChild(createButton('Import', 'btn-secondary', () => fileInput.click()));
+
+    container.appendChild(toolbar);
+
+    if (active.builtIn) {
+        const hint = document.createElement('p');
+        hint.className = 'theme-hint';
+        hint.textContent = 'The Classic theme is read-only. Click "New" to make an editable copy, or edit the swatches above.';
+        container.appendChild(hint);
+    }
+
+    // Palette list
+    const savePalettes = (palettes) => {
+        try {
+            updateTheme(active.id, { palettes });
+            refresh();
+        } catch (error) {
+            reportError(error);
+        }
+    };
+
+    const list = document.createElement('ol');
+    list.className = 'palette-list';
+
+    active.palettes.forEach((palette, index) => {
+        const item = document.createElement('li');
+        item.className = `palette-item ${index === currentCycle ? 'active' : ''}`;
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = palette.name;
+        nameInput.disabled = active.builtIn;
+        nameInput.addEventListener('change', () => {
+            const palettes = active.palettes.slice();
+            palettes[index] = { ...palette, name: nameInput.value };
+            savePalettes(palettes);
+        });
+        item.appendChild(nameInput);
+
+        THEME_COLOR_KEYS.forEach(key => {
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.title = key.charAt(0).toUpperCase() + key.slice(1);
+            colorInput.value = palette[key].toLowerCase();
+            colorInput.disabled = active.builtIn;
+            colorInput.addEventListener('change', () => {
+                const palettes = active.palettes.slice();
+                palettes[index] = { ...palette, [key]: colorInput.value };
+                savePalettes(palettes);
+            });
+            item.appendChild(colorInput);
+        });
+
+        if (!active.builtIn) {
+            const moveUp = createButton('↑', 'btn-secondary', () => {
+                const palettes = active.palettes.slice();
+                [palettes[index - 1], palettes[index]] = [palettes[index], palettes[index - 1]];
+                savePalettes(palettes);
+            });
+            moveUp.title = 'Move up';
+            moveUp.disabled = index === 0;
+            item.appendChild(moveUp);
+
+            const moveDown = createButton('↓', 'btn-secondary', () => {
+                const palettes = active.palettes.slice();
+                [palettes[index], palettes[index + 1]] = [palettes[index + 1], palettes[index]];
+                savePalettes(palettes);
+            });
+            moveDown.title = 'Move down';
+            moveDown.disabled = index === active.palettes.length - 1;
+            item.appendChild(moveDown);
+
+            const remove = createButton('✕', 'btn-danger', () => {
+                savePalettes(active.palettes.filter((_, i) => i !== index));
+            });
+            remove.title = 'Remove palette';
+            remove.disabled = active.palettes.length === 1;
+            item.appendChild(remove);
+        }
+
+        list.appendChild(item);
+    });
+
+    container.appendChild(list);
+
+    if (!active.builtIn) {
+        container.appendChild(createButton('Add Palette', 'btn-primary', () => {
+            const last = active.palettes[active.palettes.length - 1];
+            savePalettes([...active.palettes, { ...last, name: `Cycle ${active.palettes.length + 1}` }]);
+        }));
+    }
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.getThemes = getThemes;
+    window.getActiveTheme = getActiveTheme;
+    window.getActiveThemePalettes = getActiveThemePalettes;
+    window.setActiveTheme = setActiveTheme;
+    window.createTheme = createTheme;
+    window.updateTheme = updateTheme;
+    window.deleteTheme = deleteTheme;
+    window.ensureEditableActiveTheme = ensureEditableActiveTheme;
+    window.exportTheme = exportTheme;
+    window.importThemes = importThemes;
+    window.renderThemeEditor = renderThemeEditor;
+}
+
+// Export the theme store for Node (it reads and writes localStorage)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CLASSIC_THEME_ID,
+        normalizeTheme,
+        getThemes,
+        getTheme,
+        getActiveTheme,
+        getActiveThemePalettes,
+        setActiveTheme,
+        createTheme,
+        updateTheme,
+        deleteTheme,
+        exportTheme,
+        importThemes
+    };
+}
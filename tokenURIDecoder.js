@@ -0,0 +1,221 @@
+/**
+ * XENFT tokenURI Decoder Library
+ *
+ * Decodes the on-chain metadata returned by the XENFT contract's tokenURI
+ * (a data URI holding JSON with an embedded SVG image) and compares its
+ * attributes with what decodeMintInfo and getXENFTRarityInfo produced.
+ */
+
+/**
+ * Decodes a base64 string to UTF-8 text
+ * @param {string} base64 - Base64 encoded data
+ * @returns {string} Decoded text
+ */
+function decodeBase64Utf8(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Splits a data URI into its media type and decoded text content
+ * @param {string} uri - The data URI
+ * @returns {Object|null} { mediaType, content }, or null if it is not a data URI
+ * @throws {Error} If the content is not valid base64 or percent-encoding
+ */
+function parseDataURI(uri) {
+    const match = /^data:([^,]*?),(.*)$/s.exec(uri || '');
+    if (!match) return null;
+
+    const params = match[1].split(';');
+    const mediaType = params[0] || 'text/plain';
+    const isBase64 = params.includes('base64');
+
+    let content;
+    try {
+        content = isBase64 ? decodeBase64Utf8(match[2]) : decodeURIComponent(match[2]);
+    } catch (error) {
+        throw new Error(`Malformed data URI: the content is not valid ${isBase64 ? 'base64' : 'percent-encoding'}`);
+    }
+
+    return { mediaType, content };
+}
+
+/**
+ * Decodes a tokenURI into its metadata and embedded image
+ * @param {string} tokenURI - The raw tokenURI string from the contract
+ * @returns {Object} { name, description, image, imageSvg, attributes, raw }
+ * @throws {Error} If the tokenURI is not a well-formed inline JSON data URI
+ */
+function decodeTokenURI(tokenURI) {
+    const dataUri = parseDataURI(tokenURI);
+    if (!dataUri) {
+        throw new Error("tokenURI is not a data URI (off-chain metadata is not supported)");
+    }
+    if (!dataUri.mediaType.includes('json')) {
+        throw new Error(`Unexpected tokenURI media type: ${dataUri.mediaType}`);
+    }
+
+    let metadata;
+    try {
+        metadata = JSON.parse(dataUri.content);
+    } catch (error) {
+        throw new Error("tokenURI does not contain valid JSON");
+    }
+
+    // The image is usually an SVG data URI as well
+    let imageSvg = null;
+    const image = metadata.image || metadata.image_data || null;
+    if (image) {
+        let imageUri = null;
+        try {
+            imageUri = parseDataURI(image);
+        } catch (error) {
+            // A broken image leaves imageSvg empty; the attributes are still usable
+        }
+        if (imageUri && imageUri.mediaType === 'image/svg+xml') {
+            imageSvg = imageUri.content;
+        } else if (!imageUri && image.trim().startsWith('<svg')) {
+            imageSvg = image;
+        }
+    }
+
+    return {
+        name: metadata.name || '',
+        description: metadata.description || '',
+        image,
+        imageSvg,
+        attributes: Array.isArray(metadata.attributes) ? metadata.attributes : [],
+        raw: metadata
+    };
+}
+
+/**
+ * Converts an attribute value to a number when it looks numeric
+ * @param {*} value - Attribute value
+ * @returns {number|null} Parsed number, or null
+ */
+function toComparableNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') {
+        const parsed = Number(value.replace(/,/g, '').replace(/%$/, ''));
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+    return null;
+}
+
+/**
+ * Attributes we know how to compare, with the trait names the contract may use
+ * and the matching value from the decoded data. Numeric fields accept a few
+ * scalings because the metadata may present values in display units
+ */
+const TOKEN_URI_COMPARISONS = [
+    { label: 'VMUs', traits: ['VMUs', 'VMU Count'], generated: (data) => data.vmuCount },
+    { label: 'Term', traits: ['Term', 'Term (days)'], generated: (data) => data.mintInfo.term },
+    { label: 'Rank', traits: ['cRank', 'Rank'], generated: (data) => data.mintInfo.rank },
+    { label: 'AMP', traits: ['AMP', 'Amplifier'], generated: (data) => data.mintInfo.amp },
+    { label: 'EAA', traits: ['EAA (%)', 'EAA'], generated: (data) => data.mintInfo.eaa, scales: [1, 10] },
+    { label: 'XEN Burned', traits: ['XEN Burned', 'Burned'], generated: (data) => data.xenBurned, scales: [1, 1e18] },
+    { label: 'Maturity', traits: ['Maturity DateTime', 'Maturity', 'Maturity Date'], generated: (data) => data.mintInfo.maturityTs, isDate: true },
+    { label: 'Category', traits: ['Category', 'Class'], generated: (data, rarityInfo) => rarityInfo.category },
+    { label: 'Rarity', traits: ['Rarity'], generated: (data, rarityInfo) => rarityInfo.rarity },
+    { label: 'Redeemed', traits: ['Redeemed'], generated: (data) => data.mintInfo.redeemed }
+];
+
+/**
+ * Checks whether an official attribute value agrees with a generated value
+ * @param {*} official - Value from the tokenURI
+ * @param {*} generated - Value from our decoder
+ * @param {Object} comparison - Entry from TOKEN_URI_COMPARISONS
+ * @returns {boolean} True when they match
+ */
+function valuesMatch(official, generated, comparison) {
+    if (comparison.isDate) {
+        // Dates may be a unix timestamp or a date string; allow a day of rounding
+        const officialNumber = toComparableNumber(official);
+        const officialTs = officialNumber !== null ? officialNumber : Math.floor(Date.parse(official) / 1000);
+        return Number.isFinite(officialTs) && Math.abs(officialTs - Number(generated)) < 86400;
+    }
+
+    if (typeof generated === 'boolean') {
+        return ['true', 'yes', '1'].includes(String(official).trim().toLowerCase()) === generated;
+    }
+
+    const officialNumber = toComparableNumber(official);
+    const generatedNumber = toComparableNumber(String(generated));
+    if (officialNumber !== null && generatedNumber !== null) {
+        // The contract scales with integer division (eaa / 10, burned / 10**18), so a scaled value may be truncated
+        const isClose = value => Math.abs(officialNumber - value) <= 1e-9 * Math.max(Math.abs(officialNumber), Math.abs(value));
+        return (comparison.scales || [1]).some(scale => {
+            const scaled = generatedNumber / scale;
+            return isClose(scaled) || (scaled >= 1 && isClose(Math.trunc(scaled)));
+        });
+    }
+
+    return String(official).trim().toLowerCase() === String(generated).trim().toLowerCase();
+}
+
+/**
+ * Diffs the official tokenURI attributes against the decoded data
+ * @param {Object[]} attributes - Attributes from decodeTokenURI
+ * @param {Object} xenftData - Data from decodeMintInfo and the contract
+ * @param {Object} rarityInfo - Result of getXENFTRarityInfo
+ * @returns {Object[]} Rows of { label, trait, official, generated, status } where status is "match", "mismatch", "missing" or "extra"
+ */
+function compareTokenAttributes(attributes, xenftData, rarityInfo) {
+    const byTrait = new Map();
+    (attributes || []).forEach(attribute => {
+        if (attribute && attribute.trait_type !== undefined) {
+            byTrait.set(String(attribute.trait_type).toLowerCase(), attribute);
+        }
+    });
+
+    const usedTraits = new Set();
+    const rows = TOKEN_URI_COMPARISONS.map(comparison => {
+        const generated = comparison.generated(xenftData, rarityInfo);
+        const traitName = comparison.traits.find(trait => byTrait.has(trait.toLowerCase()));
+
+        if (!traitName) {
+            return { label: comparison.label, trait: null, official: null, generated, status: 'missing' };
+        }
+
+        usedTraits.add(traitName.toLowerCase());
+        const official = byTrait.get(traitName.toLowerCase()).value;
+        return {
+            label: comparison.label,
+            trait: traitName,
+            official,
+            generated,
+            status: valuesMatch(official, generated, comparison) ? 'match' : 'mismatch'
+        };
+    });
+
+    // Official attributes we don't decode ourselves
+    byTrait.forEach((attribute, key) => {
+        if (!usedTraits.has(key)) {
+            rows.push({ label: attribute.trait_type, trait: attribute.trait_type, official: attribute.value, generated: null, status: 'extra' });
+        }
+    });
+
+    return rows;
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.decodeTokenURI = decodeTokenURI;
+    window.compareTokenAttributes = compareTokenAttributes;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TOKEN_URI_COMPARISONS,
+        parseDataURI,
+        decodeTokenURI,
+        valuesMatch,
+        compareTokenAttributes
+    };
+}
@@ -0,0 +1,141 @@
+/**
+ * XENFT VMU Mint Inspector
+ *
+ * Every VMU of a XENFT is a minimal proxy contract created with CREATE2 by the
+ * XENFT contract, and each proxy holds its own cbXEN mint (XEN_CRYPTO userMints).
+ * These helpers derive the proxy addresses, read their mint records and check
+ * them against the XENFT's packed mintInfo.
+ */
+
+// EIP-1167 minimal proxy bytecode around the implementation address
+const VMU_PROXY_BYTECODE_PREFIX = '0x3D602d80600A3D3981F3363d3d373d3D3D363d73';
+const VMU_PROXY_BYTECODE_SUFFIX = '5af43d82803e903d91602b57fd5bf3';
+
+// userMints reads issued in parallel per batch
+const VMU_MINTS_BATCH_SIZE = 20;
+
+/**
+ * Derives the VMU proxy addresses of a XENFT
+ * Proxies are created with salt keccak256(abi.encodePacked(i, tokenId)) for i = 1..vmuCount
+ * @param {Object} ethers - The ethers library
+ * @param {string} xenftAddress - XENFT contract address (deployer and proxy implementation)
+ * @param {number} tokenId - The token ID
+ * @param {number} vmuCount - Number of VMUs
+ * @returns {string[]} Proxy addresses, in VMU order
+ */
+function getVmuProxyAddresses(ethers, xenftAddress, tokenId, vmuCount) {
+    const bytecode = `${VMU_PROXY_BYTECODE_PREFIX}${xenftAddress.slice(2).toLowerCase()}${VMU_PROXY_BYTECODE_SUFFIX}`;
+    const initCodeHash = ethers.utils.keccak256(bytecode);
+
+    const addresses = [];
+    for (let i = 1; i <= vmuCount; i++) {
+        const salt = ethers.utils.solidityKeccak256(['uint256', 'uint256'], [i, tokenId]);
+        addresses.push(ethers.utils.getCreate2Address(xenftAddress, salt, initCodeHash));
+    }
+    return addresses;
+}
+
+/**
+ * Reads the cbXEN mint record of each address
+ * @param {Object} xenCryptoContract - XEN_CRYPTO contract instance
+ * @param {string[]} addresses - Addresses to look up
+ * @param {Function} [onProgress] - Called with (done, total) after each batch
+ * @returns {Promise<Object[]>} { address, user, term, maturityTs, rank, amplifier, eaaRate, error } per address
+ */
+async function fetchUserMints(xenCryptoContract, addresses, onProgress) {
+    const results = [];
+
+    for (let start = 0; start < addresses.length; start += VMU_MINTS_BATCH_SIZE) {
+        const batch = addresses.slice(start, start + VMU_MINTS_BATCH_SIZE);
+        const batchResults = await Promise.all(batch.map(async (address) => {
+            try {
+                const mint = await xenCryptoContract.userMints(address);
+                return {
+                    address,
+                    user: mint.user,
+                    term: Number(mint.term),
+                    maturityTs: Number(mint.maturityTs),
+                    rank: mint.rank.toString(),
+                    amplifier: Number(mint.amplifier),
+                    eaaRate: Number(mint.eaaRate),
+                    error: null
+                };
+            } catch (error) {
+                return { address, error: error.reason || error.message };
+            }
+        }));
+
+        results.push(...batchResults);
+        if (onProgress) onProgress(results.length, addresses.length);
+    }
+
+    return results;
+}
+
+/**
+ * Checks each VMU mint against the XENFT mintInfo
+ * An empty record (zero user) is expected once the XENFT has been redeemed
+ * @param {Object[]} mints - Results of fetchUserMints
+ * @param {Object} [mintInfo] - Decoded XENFT mintInfo; omit to skip the checks (plain address lookups)
+ * @returns {Object} { rows, summary } where each row adds { status, issues }
+ */
+function compareVmuMints(mints, mintInfo) {
+    const rows = mints.map((mint, index) => {
+        const issues = [];
+
+        if (mint.error) {
+            return { ...mint, status: 'error', issues: [mint.error] };
+        }
+
+        const isEmpty = !mint.user || /^0x0{40}$/i.test(mint.user);
+        if (isEmpty) {
+            if (mintInfo && !mintInfo.redeemed) {
+                issues.push('No active mint, but the XENFT is not redeemed');
+            }
+            return { ...mint, status: issues.length ? 'mismatch' : 'empty', issues };
+        }
+
+        if (mintInfo) {
+            if (mintInfo.redeemed) issues.push('Active mint, but the XENFT is redeemed');
+            if (mint.term !== mintInfo.term) issues.push(`term ${mint.term} ≠ ${mintInfo.term}`);
+            if (mint.maturityTs !== mintInfo.maturityTs) issues.push(`maturityTs ${mint.maturityTs} ≠ ${mintInfo.maturityTs}`);
+            if (mint.amplifier !== mintInfo.amp) issues.push(`amplifier ${mint.amplifier} ≠ ${mintInfo.amp}`);
+            if (mint.eaaRate !== mintInfo.eaa) issues.push(`eaaRate ${mint.eaaRate} ≠ ${mintInfo.eaa}`);
+            // The XENFT stores the rank of its first VMU
+            if (index === 0 && mint.rank !== String(mintInfo.rank)) issues.push(`rank ${mint.rank} ≠ ${mintInfo.rank}`);
+        }
+
+        return { ...mint, status: issues.length ? 'mismatch' : 'ok', issues };
+    });
+
+    const activeRanks = rows
+        .filter(row => row.status === 'ok' || (row.status === 'mismatch' && row.user && !/^0x0{40}$/i.test(row.user)))
+        .map(row => BigInt(row.rank));
+
+    const summary = {
+        total: rows.length,
+        active: activeRanks.length,
+        mismatches: rows.filter(row => row.status === 'mismatch').length,
+        errors: rows.filter(row => row.status === 'error').length,
+        minRank: activeRanks.length ? activeRanks.reduce((a, b) => (b < a ? b : a)).toString() : null,
+        maxRank: activeRanks.length ? activeRanks.reduce((a, b) => (b > a ? b : a)).toString() : null
+    };
+
+    return { rows, summary };
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.getVmuProxyAddresses = getVmuProxyAddresses;
+    window.fetchUserMints = fetchUserMints;
+    window.compareVmuMints = compareVmuMints;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getVmuProxyAddresses,
+        fetchUserMints,
+        compareVmuMints
+    };
+}
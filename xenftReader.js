@@ -0,0 +1,181 @@
+/**
+ * XENFT Read Layer
+ *
+ * Batches contract reads through Multicall3's aggregate3 so a whole wallet of
+ * XENFTs loads in a few requests instead of four round-trips per token.
+ * Each call may fail on its own without failing the batch, and when Multicall3
+ * is not deployed on the connected chain the reads fall back to individual calls.
+ */
+
+// Multicall3 has the same address on every chain it is deployed to
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+// Calls per aggregate3 request (4 per token, so 50 tokens per request)
+const MULTICALL_BATCH_SIZE = 200;
+
+// The reads that make up a token's data, in the shape fetchXenftDataBatch returns
+const XENFT_DATA_METHODS = ['vmuCount', 'mintInfo', 'xenBurned', 'isApex'];
+
+// Whether Multicall3 exists, per provider
+const multicallAvailability = new WeakMap();
+
+/**
+ * Checks (once per provider) whether Multicall3 is deployed on the provider's chain
+ * A failed check is not remembered: this read falls back to individual calls
+ * and the next one checks again.
+ * @param {Object} provider - ethers provider
+ * @returns {Promise<boolean>} True if aggregate3 can be used
+ */
+async function isMulticallAvailable(provider) {
+    if (!multicallAvailability.has(provider)) {
+        const check = provider.getCode(MULTICALL3_ADDRESS)
+            .then(code => Boolean(code) && code !== '0x')
+            .catch(() => {
+                if (multicallAvailability.get(provider) === check) {
+                    multicallAvailability.delete(provider);
+                }
+                return false;
+            });
+        multicallAvailability.set(provider, check);
+    }
+    return multicallAvailability.get(provider);
+}
+
+/**
+ * Runs contract reads one by one (in parallel), for chains without Multicall3
+ * @param {Object[]} requests - { contract, method, args }
+ * @returns {Promise<Object[]>} { success, value, error } per request
+ */
+function readIndividually(requests) {
+    return Promise.all(requests.map(async ({ contract, method, args = [] }) => {
+        try {
+            return { success: true, value: await contract[method](...args), error: null };
+        } catch (error) {
+            return { success: false, value: null, error: error.reason || error.message };
+        }
+    }));
+}
+
+/**
+ * Runs contract reads through Multicall3 aggregate3
+ * @param {Object} ethers - The ethers library
+ * @param {Object} provider - ethers provider
+ * @param {Object[]} requests - { contract, method, args }
+ * @returns {Promise<Object[]>} { success, value, error } per request
+ */
+async function readWithMulticall(ethers, provider, requests) {
+    const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+    const results = [];
+
+    for (let start = 0; start < requests.length; start += MULTICALL_BATCH_SIZE) {
+        const batch = requests.slice(start, start + MULTICALL_BATCH_SIZE);
+        const calls = batch.map(({ contract, method, args = [] }) => ({
+            target: contract.address,
+            allowFailure: true,
+            callData: contract.interface.encodeFunctionData(method, args)
+        }));
+
+        let responses;
+        try {
+            responses = await multicall.callStatic.aggregate3(calls);
+        } catch (error) {
+            // A failing batch (e.g. request too large for the RPC) falls back to individual calls
+            console.error("Multicall batch failed, falling back to individual calls:", error);
+            results.push(...await readIndividually(batch));
+            continue;
+        }
+
+        responses.forEach((response, index) => {
+            const { contract, method } = batch[index];
+            if (!response.success) {
+                results.push({ success: false, value: null, error: `${method} reverted` });
+                return;
+            }
+            try {
+                const decoded = contract.interface.decodeFunctionResult(method, response.returnData);
+                results.push({ success: true, value: decoded.length === 1 ? decoded[0] : decoded, error: null });
+            } catch (error) {
+                results.push({ success: false, value: null, error: `${method} returned invalid data` });
+            }
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Runs contract reads, batched through Multicall3 when it is available
+ * @param {Object} ethers - The ethers library
+ * @param {Object[]} requests - { contract, method, args }; all contracts must share a provider
+ * @returns {Promise<Object[]>} { success, value, error } per request, in request order
+ */
+async function batchContractReads(ethers, requests) {
+    if (requests.length === 0) return [];
+
+    const provider = requests[0].contract.provider;
+    if (await isMulticallAvailable(provider)) {
+        return readWithMulticall(ethers, provider, requests);
+    }
+    return readIndividually(requests);
+}
+
+/**
+ * Fetches vmuCount, mintInfo, xenBurned and isApex for many tokens at once
+ * @param {Object} ethers - The ethers library
+ * @param {Object} xenftContract - XENFT contract instance
+ * @param {number[]} tokenIds - Token IDs to load
+ * @returns {Promise<Object[]>} { tokenId, data, error } per token, where data is the xenftData object
+ */
+async function fetchXenftDataBatch(ethers, xenftContract, tokenIds) {
+    const decode = typeof decodeMintInfo === 'function' ? decodeMintInfo : require('./mintInfoDecoder').decodeMintInfo;
+
+    const requests = [];
+    tokenIds.forEach(tokenId => {
+        XENFT_DATA_METHODS.forEach(method => {
+            requests.push({ contract: xenftContract, method, args: [tokenId] });
+        });
+    });
+
+    const results = await batchContractReads(ethers, requests);
+
+    return tokenIds.map((tokenId, index) => {
+        const [vmuCountResult, mintInfoResult, xenBurnedResult, isApexResult] =
+            results.slice(index * XENFT_DATA_METHODS.length, (index + 1) * XENFT_DATA_METHODS.length);
+
+        const failed = [vmuCountResult, mintInfoResult, xenBurnedResult, isApexResult].find(result => !result.success);
+        if (failed) {
+            return { tokenId, data: null, error: failed.error };
+        }
+
+        return {
+            tokenId,
+            data: {
+                tokenId,
+                vmuCount: Number(vmuCountResult.value),
+                mintInfo: decode(mintInfoResult.value.toString()),
+                xenBurned: Number(xenBurnedResult.value),
+                isApex: isApexResult.value
+            },
+            error: null
+        };
+    });
+}
+
+// Make our functions available globally
+if (typeof window !== 'undefined') {
+    window.batchContractReads = batchContractReads;
+    window.fetchXenftDataBatch = fetchXenftDataBatch;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MULTICALL3_ADDRESS,
+        isMulticallAvailable,
+        batchContractReads,
+        fetchXenftDataBatch
+    };
+}